@@ -2,6 +2,8 @@
  * Unit tests for KODA Agent modules
  */
 
+import os from "node:os";
+import path from "node:path";
 import { MODES } from "../config/constants.js";
 import { ModeManager, PlanCollector } from "../session/index.js";
 import { ModelManager } from "../models/index.js";
@@ -84,6 +86,69 @@ describe("Utils", () => {
     expect(args.defaultModel).toBe("gemini-2.0-flash");
   });
 
+  test("parseServerArgs reads context transfer strategy", () => {
+    expect(parseServerArgs([], {}).contextTransfer).toBe("replay");
+    expect(
+      parseServerArgs([], { KODA_CONTEXT_TRANSFER: "summary" }).contextTransfer
+    ).toBe("summary");
+    expect(
+      parseServerArgs(["--context-transfer", "bogus"], {}).contextTransfer
+    ).toBe("replay");
+  });
+
+  test("parseServerArgs reads restart attempts", () => {
+    expect(parseServerArgs([], {}).maxRestarts).toBe(3);
+    expect(parseServerArgs([], { KODA_MAX_RESTARTS: "5" }).maxRestarts).toBe(5);
+    expect(parseServerArgs(["--max-restarts", "0"], {}).maxRestarts).toBe(0);
+    expect(parseServerArgs(["--max-restarts", "x"], {}).maxRestarts).toBe(3);
+  });
+
+  test("parseServerArgs reads the step time limit", () => {
+    expect(parseServerArgs([], {}).stepTimeoutMs).toBe(600000);
+    expect(parseServerArgs([], { KODA_STEP_TIMEOUT: "30" }).stepTimeoutMs).toBe(
+      30000
+    );
+    expect(parseServerArgs(["--step-timeout", "0"], {}).stepTimeoutMs).toBe(0);
+  });
+
+  test("parseServerArgs enables step commits", () => {
+    expect(parseServerArgs([], {}).stepCommits).toBe(false);
+    expect(parseServerArgs([], { KODA_STEP_COMMITS: "1" }).stepCommits).toBe(
+      true
+    );
+    expect(parseServerArgs(["--step-commits"], {}).stepCommits).toBe(true);
+  });
+
+  test("parseServerArgs reads the workspace sandbox settings", () => {
+    const defaults = parseServerArgs([], {});
+    expect(defaults.allowedRoots).toEqual([]);
+    expect(defaults.outsideAccess).toBe("ask");
+
+    const args = parseServerArgs(
+      ["--allow-root", "/opt/shared", "--outside-access", "deny"],
+      {
+        KODA_ALLOWED_ROOTS: ["/data", "~/notes"].join(path.delimiter),
+        KODA_OUTSIDE_ACCESS: "bogus",
+      }
+    );
+    expect(args.allowedRoots).toEqual([
+      "/data",
+      path.join(os.homedir(), "notes"),
+      "/opt/shared",
+    ]);
+    expect(args.outsideAccess).toBe("deny");
+  });
+
+  test("parseServerArgs reads command risk policies", () => {
+    expect(parseServerArgs([], {}).commandPolicy).toEqual({});
+
+    const args = parseServerArgs(
+      ["--command-policy", "system=deny", "--command-policy", "bogus=allow"],
+      { KODA_COMMAND_POLICY: "network=allow, vcs_rewrite=maybe,system=ask" }
+    );
+    expect(args.commandPolicy).toEqual({ network: "allow", system: "deny" });
+  });
+
   test("debugLog logs when debug is true", () => {
     debugLog(true, "test message");
     expect(errorCalled).toBe(true);
@@ -227,6 +292,61 @@ describe("PlanCollector", () => {
     expect(result[0].priority).toBe("high");
     expect(result[1].priority).toBe("medium");
   });
+
+  test("buildSteps groups entries by file, then by kind", () => {
+    const collector = new PlanCollector({ debug: false });
+    collector.addEntry("s", {
+      title: "Edit app.js",
+      toolCallId: "1",
+      kind: "edit",
+      rawInput: { path: "/work/src/app.js" },
+    });
+    collector.addEntry("s", {
+      title: "Run tests",
+      toolCallId: "2",
+      kind: "execute",
+      rawInput: { command: "npm test" },
+    });
+    collector.addEntry("s", {
+      title: "Write app.js",
+      toolCallId: "3",
+      kind: "edit",
+      locations: [{ path: "/work/src/app.js" }],
+    });
+    collector.addEntry("s", {
+      title: "Remove old.js",
+      toolCallId: "4",
+      kind: "delete",
+      rawInput: { file_path: "/elsewhere/old.js" },
+    });
+
+    expect(collector.buildSteps("s", "/work")).toEqual([
+      {
+        title: "Edit src/app.js",
+        description: "- Edit app.js\n- Write app.js",
+      },
+      { title: "Run commands", description: "- Run tests: `npm test`" },
+      { title: "Delete /elsewhere/old.js", description: "- Remove old.js" },
+    ]);
+  });
+
+  test("buildSteps merges overflow into the last step", () => {
+    const collector = new PlanCollector({ debug: false });
+    for (let i = 0; i < 25; i++) {
+      collector.addEntry("s", {
+        title: `Edit ${i}`,
+        toolCallId: String(i),
+        kind: "edit",
+        rawInput: { path: `file${i}.js` },
+      });
+    }
+
+    const steps = collector.buildSteps("s");
+
+    expect(steps).toHaveLength(20);
+    expect(steps[19].title).toBe("Remaining actions");
+    expect(steps[19].description.split("\n")).toHaveLength(6);
+  });
 });
 
 describe("PermissionHandler", () => {
@@ -293,16 +413,29 @@ describe("PermissionHandler", () => {
     expect(handler.needsPermission("session", "plan", tool)).toBe(true);
   });
 
-  test("alwaysAllowed prevents permission requests", () => {
+  test("always-allow rules prevent permission requests", () => {
     const handler = new PermissionHandler(
       { requestPermission: () => {} },
       { debug: false }
     );
 
-    handler.alwaysAllowedTypes.set("session", new Set(["file_edit"]));
+    handler
+      .getSessionRules("session")
+      .push({ match: "path", pattern: "/a/**" });
 
-    const tool = { kind: "edit", title: "Write file", toolCallId: "1" };
+    const tool = {
+      kind: "edit",
+      title: "Write file",
+      toolCallId: "1",
+      rawInput: { file_path: "/a/b.js" },
+    };
     expect(handler.needsPermission("session", "default", tool)).toBe(false);
+    expect(
+      handler.needsPermission("session", "default", {
+        ...tool,
+        rawInput: { file_path: "/c.js" },
+      })
+    ).toBe(true);
   });
 });
 
@@ -431,6 +564,37 @@ describe("SlashCommandManager", () => {
     expect(called).toBe(true);
   });
 
+  test("processCommand /clear reports what was reset", async () => {
+    const manager = new SlashCommandManager({
+      debug: false,
+      onClear: () => ({ success: true, message: "Сброшено: план" }),
+    });
+
+    const result = await manager.processCommand(
+      { name: "clear", args: [] },
+      [],
+      { sessionId: "s123" }
+    );
+
+    expect(result.response).toContain("Сброшено: план");
+  });
+
+  test("processCommand /clear reports failures", async () => {
+    const manager = new SlashCommandManager({
+      debug: false,
+      onClear: () => ({ success: false, message: "spawn failed" }),
+    });
+
+    const result = await manager.processCommand(
+      { name: "clear", args: [] },
+      [],
+      { sessionId: "s123" }
+    );
+
+    expect(result.response).toContain("⚠️ spawn failed");
+    expect(result.action).toBeUndefined();
+  });
+
   test("shouldHandleLocally returns true for valid commands", () => {
     const manager = new SlashCommandManager({ debug: false });
 
@@ -512,6 +676,413 @@ describe("SlashCommandManager", () => {
     expect(called).toBe(true);
   });
 
+  test("processCommand /retry parses --model and edit", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onRetry: (sessionId, options) => {
+        calls.push([sessionId, options]);
+        return { success: true, message: "Повторяю последний запрос..." };
+      },
+    });
+
+    const withModel = await manager.processCommand(
+      { name: "retry" },
+      ["--model", "gpt-4"],
+      { sessionId: "s123" }
+    );
+    const withEdit = await manager.processCommand(
+      { name: "retry" },
+      ["edit", "use", "async/await"],
+      { sessionId: "s123" }
+    );
+
+    expect(withModel.action).toEqual({ type: "retry", model: "gpt-4" });
+    expect(withEdit.action).toEqual({
+      type: "retry",
+      instructions: "use async/await",
+    });
+    expect(calls[0]).toEqual(["s123", { model: "gpt-4" }]);
+  });
+
+  test("processCommand /retry reports usage errors and failures", async () => {
+    const manager = new SlashCommandManager({
+      debug: false,
+      onRetry: () => ({ success: false, message: "Нет запроса для повтора" }),
+    });
+
+    const missingModel = await manager.processCommand(
+      { name: "retry" },
+      ["--model"],
+      { sessionId: "s123" }
+    );
+    const failed = await manager.processCommand(
+      { name: "retry", args: [] },
+      [],
+      { sessionId: "s123" }
+    );
+
+    expect(missingModel.action).toBeUndefined();
+    expect(missingModel.response).toContain("/retry --model");
+    expect(failed.action).toBeUndefined();
+    expect(failed.response).toContain("Нет запроса для повтора");
+  });
+
+  test("processCommand /step parses edit, add, remove, move, depends, model and revert", async () => {
+    const changes = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onStepChange: (sessionId, change) => {
+        changes.push(change);
+        return { success: true, message: "ok" };
+      },
+      getPlanProgress: () => "📋 План",
+    });
+    const context = { sessionId: "s1", mode: "professional" };
+
+    const edit = await manager.processCommand(
+      { name: "step" },
+      ["edit", "2", "Run", "tests", "--", "npm", "test"],
+      context
+    );
+    await manager.processCommand(
+      { name: "step" },
+      ["add", "0", "Setup", "--", "install", "deps"],
+      context
+    );
+    await manager.processCommand({ name: "step" }, ["remove", "3"], context);
+    await manager.processCommand({ name: "step" }, ["move", "4", "1"], context);
+    await manager.processCommand(
+      { name: "step" },
+      ["depends", "3", "1,", "2"],
+      context
+    );
+    await manager.processCommand(
+      { name: "step" },
+      ["depends", "3", "none"],
+      context
+    );
+    await manager.processCommand(
+      { name: "step" },
+      ["model", "2", "koda-mini"],
+      context
+    );
+    await manager.processCommand(
+      { name: "step" },
+      ["model", "2", "off"],
+      context
+    );
+    await manager.processCommand({ name: "step" }, ["revert", "2"], context);
+
+    expect(changes).toEqual([
+      { type: "edit", step: 2, title: "Run tests", description: "npm test" },
+      { type: "add", after: 0, title: "Setup", description: "install deps" },
+      { type: "remove", step: 3 },
+      { type: "move", from: 4, to: 1 },
+      { type: "depends", step: 3, dependsOn: [1, 2] },
+      { type: "depends", step: 3, dependsOn: [] },
+      { type: "model", step: 2, model: "koda-mini" },
+      { type: "model", step: 2, model: null },
+      { type: "revert", step: 2 },
+    ]);
+    expect(edit.response).toContain("📋 План");
+  });
+
+  test("processCommand /step validates arguments", async () => {
+    const manager = new SlashCommandManager({ debug: false });
+    const context = { sessionId: "s1", mode: "professional" };
+
+    const noNumber = await manager.processCommand(
+      { name: "step" },
+      ["remove", "x"],
+      context
+    );
+    const unknown = await manager.processCommand(
+      { name: "step" },
+      ["swap", "1", "2"],
+      context
+    );
+    const badDepends = await manager.processCommand(
+      { name: "step" },
+      ["depends", "3", "a"],
+      context
+    );
+    const wrongMode = await manager.processCommand(
+      { name: "step" },
+      ["remove", "1"],
+      { sessionId: "s1", mode: "default" }
+    );
+
+    expect(noNumber.response).toContain("Укажите номер шага");
+    expect(unknown.response).toContain("Неизвестное действие");
+    expect(badDepends.response).toContain("номера шагов через запятую");
+    expect(wrongMode.response).toContain("только в режиме Professional");
+  });
+
+  test("processCommand /plan execute switches to professional mode", async () => {
+    const manager = new SlashCommandManager({
+      debug: false,
+      onPlanExecute: () => ({ success: true, message: "Готово" }),
+      getPlanProgress: () => "📋 План",
+    });
+
+    const result = await manager.processCommand({ name: "plan" }, ["execute"], {
+      sessionId: "s1",
+      mode: "plan",
+    });
+    const empty = await new SlashCommandManager({
+      debug: false,
+    }).processCommand({ name: "plan" }, ["execute"], {
+      sessionId: "s1",
+      mode: "plan",
+    });
+
+    expect(result.response).toContain("📋 План");
+    expect(result.action).toEqual({
+      type: "mode_change",
+      mode: "professional",
+    });
+    expect(empty.response).toContain("⚠️");
+    expect(empty.action).toBeUndefined();
+  });
+
+  test("processCommand /plan export and import pass the path", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onPlanExport: (sessionId, filePath) => {
+        calls.push(["export", filePath]);
+        return { success: true, message: "ok" };
+      },
+      onPlanImport: (sessionId, filePath) => {
+        calls.push(["import", filePath]);
+        return { success: true, message: "ok" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "professional" };
+
+    const exported = await manager.processCommand(
+      { name: "plan" },
+      ["export"],
+      context
+    );
+    await manager.processCommand(
+      { name: "plan" },
+      ["import", "docs/my", "plan.md"],
+      context
+    );
+    const missing = await manager.processCommand(
+      { name: "plan" },
+      ["import"],
+      context
+    );
+
+    expect(calls).toEqual([
+      ["export", null],
+      ["import", "docs/my plan.md"],
+    ]);
+    expect(exported.action).toBeUndefined();
+    expect(missing.response).toContain("Укажите путь");
+  });
+
+  test("processCommand /plan new passes the template and its parameters", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onPlanNew: (sessionId, name, params) => {
+        calls.push([name, params]);
+        return { success: true, message: "ok" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "default" };
+
+    const created = await manager.processCommand(
+      { name: "plan" },
+      [
+        "new",
+        "rest-endpoint",
+        "name=users",
+        "title=User",
+        "list",
+        "path='/api'",
+      ],
+      context
+    );
+    await manager.processCommand({ name: "plan" }, ["new"], context);
+    const invalid = await manager.processCommand(
+      { name: "plan" },
+      ["new", "rest-endpoint", "users"],
+      context
+    );
+
+    expect(calls).toEqual([
+      ["rest-endpoint", { name: "users", title: "User list", path: "/api" }],
+      [null, {}],
+    ]);
+    expect(created.action).toEqual({
+      type: "mode_change",
+      mode: "professional",
+    });
+    expect(invalid.response).toContain("key=value");
+  });
+
+  test("processCommand /undo and /checkpoints call the checkpoint handlers", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onUndo: (sessionId) => {
+        calls.push(["undo", sessionId]);
+        return { success: true, message: "ok" };
+      },
+      onCheckpoints: (sessionId, number) => {
+        calls.push(["checkpoints", number]);
+        return { success: false, message: "none" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "default" };
+
+    const undo = await manager.processCommand({ name: "undo" }, [], context);
+    const list = await manager.processCommand(
+      { name: "checkpoints" },
+      [],
+      context
+    );
+    await manager.processCommand(
+      { name: "checkpoints" },
+      ["restore", "3"],
+      context
+    );
+    const invalid = await manager.processCommand(
+      { name: "checkpoints" },
+      ["restore", "x"],
+      context
+    );
+
+    expect(calls).toEqual([
+      ["undo", "s1"],
+      ["checkpoints", null],
+      ["checkpoints", 3],
+    ]);
+    expect(undo.response).toBe("↩️ ok");
+    expect(list.response).toBe("⚠️ none");
+    expect(invalid.response).toContain("/checkpoints [restore <n>]");
+    expect(manager.shouldHandleLocally("/undo")).toBe(true);
+  });
+
+  test("processCommand /permissions parses rule changes", async () => {
+    const changes = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onPermissions: (sessionId, change) => {
+        changes.push(change);
+        return { success: true, message: "ok" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "default" };
+    const run = (args) =>
+      manager.processCommand({ name: "permissions" }, args, context);
+
+    const list = await run([]);
+    await run(["allow", "prefix", "npm", "run", "--project"]);
+    await run(["allow", "path", "src/**"]);
+    await run(["remove", "2"]);
+    const invalid = await run(["allow", "tool", "x"]);
+
+    expect(changes).toEqual([
+      { type: "list" },
+      {
+        type: "allow",
+        rule: { match: "prefix", pattern: "npm run" },
+        scope: "project",
+      },
+      {
+        type: "allow",
+        rule: { match: "path", pattern: "src/**" },
+        scope: "session",
+      },
+      { type: "remove", index: 2 },
+    ]);
+    expect(list.response).toBe("🔐 ok");
+    expect(invalid.response).toContain("/permissions [allow");
+    expect(manager.shouldHandleLocally("/permissions")).toBe(true);
+  });
+
+  test("processCommand /verify parses plan and step commands", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onVerify: (sessionId, options) => {
+        calls.push(options);
+        return { success: true, message: "ok" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "professional" };
+
+    await manager.processCommand({ name: "verify" }, ["npm", "test"], context);
+    await manager.processCommand(
+      { name: "verify" },
+      ["--step", "2", "off"],
+      context
+    );
+    await manager.processCommand({ name: "verify" }, [], context);
+    const missing = await manager.processCommand(
+      { name: "verify" },
+      ["--step", "2"],
+      context
+    );
+
+    expect(calls).toEqual([
+      { step: null, command: "npm test" },
+      { step: 2, command: null },
+      null,
+    ]);
+    expect(missing.response).toContain("Укажите команду");
+  });
+
+  test("processCommand /autopilot parses on, off and until", async () => {
+    const calls = [];
+    const manager = new SlashCommandManager({
+      debug: false,
+      onAutopilot: (sessionId, options) => {
+        calls.push(options);
+        return { success: true, message: "ok" };
+      },
+    });
+    const context = { sessionId: "s1", mode: "professional" };
+
+    const on = await manager.processCommand(
+      { name: "autopilot" },
+      ["on"],
+      context
+    );
+    const off = await manager.processCommand(
+      { name: "autopilot" },
+      ["off"],
+      context
+    );
+    await manager.processCommand(
+      { name: "autopilot" },
+      ["until", "3"],
+      context
+    );
+    await manager.processCommand({ name: "autopilot" }, [], context);
+    const invalid = await manager.processCommand(
+      { name: "autopilot" },
+      ["until", "x"],
+      context
+    );
+
+    expect(calls).toEqual([
+      { enabled: true, until: null },
+      { enabled: false, until: null },
+      { enabled: true, until: 3 },
+      null,
+    ]);
+    expect(on.action).toEqual({ type: "autopilot" });
+    expect(off.action).toBeUndefined();
+    expect(invalid.response).toContain("Укажите номер шага");
+  });
+
   test("getAvailableCommands returns ACP-compatible format", () => {
     const manager = new SlashCommandManager({ debug: false });
     const commands = manager.getAvailableCommands();
@@ -4,26 +4,71 @@
 
 import * as acp from "@agentclientprotocol/sdk";
 import { randomUUID } from "node:crypto";
+import path from "node:path";
 import process from "node:process";
 
-import { AGENT, SESSION_UPDATE } from "../config/constants.js";
 import {
+  AGENT,
+  CONTEXT_TRANSFER,
+  PATHS,
+  PERMISSIONS,
+  PLAN_STORAGE,
+  PROFESSIONAL,
+  SESSION_UPDATE,
+  TOOL_TYPE,
+} from "../config/constants.js";
+import {
+  CheckpointStore,
   ModeManager,
   PlanCollector,
+  PlanStorage,
   ProfessionalModeHandler,
+  STEP_STATUS,
+  SessionStateStore,
+  SessionStorage,
+  StepCommitter,
+  appendTranscript,
+  buildPlanRequest,
+  buildReplayPrompt,
+  buildStepCommitMessage,
+  buildStepPrompt,
+  buildSummaryPrompt,
+  buildSummaryRequest,
+  formatDraftMarkdown,
+  fillPlanTemplate,
+  formatPlanMarkdown,
+  parsePlanMarkdown,
+  parsePlanSteps,
+  runVerification,
 } from "../session/index.js";
 import { ModelManager } from "../models/index.js";
-import { PermissionHandler, ToolCallInterceptor } from "../tools/index.js";
-import { KodaAcpBridge } from "../bridge/index.js";
+import {
+  PermissionHandler,
+  TerminalManager,
+  ToolCallInterceptor,
+  WorkspaceSandbox,
+  formatRule,
+  normalizeRule,
+} from "../tools/index.js";
+import { KodaAcpBridge, BridgeSupervisor } from "../bridge/index.js";
 import { SlashCommandManager } from "../commands/index.js";
+import { withTimeout } from "../utils/index.js";
 
 /**
  * @typedef {Object} Session
  * @property {KodaAcpBridge} kodaBridge
  * @property {string} cwd
  * @property {string} model
+ * @property {Array<Object>} mcpServers
+ * @property {import("../session/session-storage.js").TranscriptEntry[]} transcript
  * @property {Object|null} pendingPrompt
+ * @property {Array<Object>|null} [lastPrompt] - Последний запрос пользователя (без /retry edit и обёрток Professional режима)
  * @property {boolean} [restarting]
+ * @property {Promise<boolean>|null} [recovering] - Идёт восстановление после сбоя
+ * @property {Promise<void>|null} [seeding] - Идёт перенос контекста в KODA
+ * @property {string[]|null} [silenced] - Буфер ответа KODA, скрытого от клиента
+ * @property {string|null} [baseModel] - Модель пользователя, пока шаг плана идёт на своей модели
+ * @property {Set<string>} [confirmedVerify] - Команды проверки, введённые пользователем через /verify
  */
 
 /**
@@ -50,11 +95,41 @@ export class KodaAgent {
       debug: config.debug,
       onAuthChange: (isAuth) => this.handleAuthChange(isAuth),
     });
+    this.sessionState = new SessionStateStore({ debug: config.debug });
+    this.sessionState.define(
+      "professional",
+      (sessionId) =>
+        new ProfessionalModeHandler({
+          onChange: () => {
+            this.sendProfessionalPlan(sessionId);
+            this.persistPlan(sessionId);
+          },
+        })
+    );
     this.permissionHandler = new PermissionHandler(connection, {
       debug: config.debug,
+      sessionState: this.sessionState,
+      commandPolicy: config.commandPolicy,
+    });
+    this.terminals = new TerminalManager(connection, {
+      debug: config.debug,
+      sessionState: this.sessionState,
+    });
+    this.sandbox = new WorkspaceSandbox(connection, {
+      roots: config.allowedRoots,
+      policy: config.outsideAccess,
+      debug: config.debug,
+      sessionState: this.sessionState,
     });
     this.planCollector = new PlanCollector({ debug: config.debug });
-    this.professionalHandler = new ProfessionalModeHandler();
+    this.sessionStorage = new SessionStorage({ debug: config.debug });
+    this.planStorage = new PlanStorage({ debug: config.debug });
+    this.stepCommitter = new StepCommitter({ debug: config.debug });
+    this.checkpoints = new CheckpointStore({ debug: config.debug });
+    this.supervisor = new BridgeSupervisor({
+      maxAttempts: config.maxRestarts,
+      debug: config.debug,
+    });
 
     // Initialize interceptor
     this.interceptor = new ToolCallInterceptor(
@@ -63,6 +138,8 @@ export class KodaAgent {
         permissionHandler: this.permissionHandler,
         modeManager: this.modeManager,
         planCollector: this.planCollector,
+        sessionState: this.sessionState,
+        sandbox: this.sandbox,
       },
       { debug: config.debug }
     );
@@ -77,13 +154,35 @@ export class KodaAgent {
       onModelChange: (sessionId, model) =>
         this.handleSlashModelChange(sessionId, model),
       onClear: (sessionId) => this.handleSlashClear(sessionId),
-      onRetry: (sessionId) => this.handleSlashRetry(sessionId),
+      onRetry: (sessionId, options) =>
+        this.handleSlashRetry(sessionId, options),
+      onUndo: (sessionId) => this.handleCheckpointRestore(sessionId, 1),
+      onPermissions: (sessionId, change) =>
+        this.handlePermissions(sessionId, change),
+      onCheckpoints: (sessionId, number) =>
+        number === null
+          ? this.handleCheckpointList(sessionId)
+          : this.handleCheckpointRestore(sessionId, number),
       getAvailableModelsList: () => this.modelManager.availableModels,
       // Professional mode callbacks
       onPlanApprove: (sessionId) => this.handlePlanApprove(sessionId),
       onPlanSkip: (sessionId) => this.handlePlanSkip(sessionId),
       onPlanReject: (sessionId) => this.handlePlanReject(sessionId),
       getPlanProgress: (sessionId) => this.getPlanProgress(sessionId),
+      onAutopilot: (sessionId, options) =>
+        this.handleAutopilot(sessionId, options),
+      onVerify: (sessionId, options) => this.handleVerify(sessionId, options),
+      onPlanResume: (sessionId, planId) =>
+        this.handlePlanResume(sessionId, planId),
+      onPlanExecute: (sessionId) => this.handlePlanExecute(sessionId),
+      onPlanExport: (sessionId, filePath) =>
+        this.handlePlanExport(sessionId, filePath),
+      onPlanNew: (sessionId, name, params) =>
+        this.handlePlanNew(sessionId, name, params),
+      onPlanImport: (sessionId, filePath) =>
+        this.handlePlanImport(sessionId, filePath),
+      onStepChange: (sessionId, change) =>
+        this.handleStepChange(sessionId, change),
     });
 
     // Check initial auth status
@@ -140,7 +239,7 @@ export class KodaAgent {
     return {
       protocolVersion: acp.PROTOCOL_VERSION,
       agentCapabilities: {
-        loadSession: false,
+        loadSession: true,
         promptCapabilities: {
           embeddedContext: true,
           image: true,
@@ -178,12 +277,7 @@ export class KodaAgent {
       `Creating session ${sessionId} with model: ${model || "(default)"}`
     );
 
-    // Create KODA CLI bridge
-    const kodaBridge = new KodaAcpBridge(this.config, {
-      onMessage: (message) => this.handleKodaMessage(sessionId, message),
-      onClose: (code, signal) => this.handleKodaClose(sessionId, code, signal),
-      onError: (error) => this.handleKodaError(sessionId, error),
-    });
+    const kodaBridge = this.createBridge(sessionId);
 
     try {
       await kodaBridge.spawn(cwd, { model });
@@ -196,17 +290,23 @@ export class KodaAgent {
       kodaBridge,
       cwd,
       model,
+      mcpServers,
+      transcript: [],
       pendingPrompt: null,
     });
 
     this.modeManager.setMode(sessionId, this.config.defaultMode);
     this.modelManager.setModel(sessionId, model);
+    await this.permissionHandler.loadRules(sessionId, cwd);
 
     // Check auth and load models
     const isAuth = await this.modelManager.checkAuth();
     this.modelManager.setAuthenticated(isAuth);
     await this.modelManager.updateAvailableModels();
 
+    this.persistSession(sessionId);
+    this.pruneStorage();
+
     // Send available commands after response
     setImmediate(() => {
       this.sendAvailableCommands(sessionId);
@@ -219,6 +319,144 @@ export class KodaAgent {
     };
   }
 
+  /**
+   * Загрузить сохранённую сессию (ACP session/load)
+   * @param {Object} params
+   * @returns {Promise<Object>}
+   */
+  async loadSession(params) {
+    const { sessionId } = params;
+
+    const isAuth = await this.modelManager.checkAuth();
+    this.modelManager.setAuthenticated(isAuth);
+    await this.modelManager.updateAvailableModels();
+
+    const existing = this.sessions.get(sessionId);
+    if (existing) {
+      this.debugLog(`Session ${sessionId} already active, replaying history`);
+      await this.replayTranscript(sessionId, existing.transcript);
+      return {
+        modes: this.modeManager.getModeConfig(
+          this.modeManager.getMode(sessionId)
+        ),
+        models: this.modelManager.getModelConfig(existing.model),
+      };
+    }
+
+    const record = await this.sessionStorage.load(sessionId);
+    if (!record) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const cwd = params.cwd || record.cwd || process.cwd();
+    const mcpServers = params.mcpServers?.length
+      ? params.mcpServers
+      : record.mcpServers || [];
+
+    // The saved model may have become unavailable (e.g. after /logout)
+    let model = record.model;
+    if (
+      model &&
+      !this.modelManager.availableModels.some((m) => m.modelId === model)
+    ) {
+      this.debugLog(`Saved model ${model} unavailable, using default`);
+      model = this.config.defaultModel;
+    }
+
+    this.debugLog(`Loading session ${sessionId} with model: ${model}`);
+
+    const kodaBridge = this.createBridge(sessionId);
+
+    try {
+      await kodaBridge.spawn(cwd, { model });
+      await kodaBridge.createSession(cwd, mcpServers);
+    } catch (error) {
+      throw new Error(`Failed to start KODA CLI: ${error.message}`);
+    }
+
+    const transcript = record.transcript || [];
+    this.sessions.set(sessionId, {
+      kodaBridge,
+      cwd,
+      model,
+      mcpServers,
+      transcript,
+      pendingPrompt: null,
+    });
+
+    let mode = record.mode || this.config.defaultMode;
+    try {
+      this.modeManager.setMode(sessionId, mode);
+    } catch {
+      mode = this.config.defaultMode;
+      this.modeManager.setMode(sessionId, mode);
+    }
+    this.modelManager.setModel(sessionId, model);
+    await this.permissionHandler.loadRules(sessionId, cwd);
+
+    await this.replayTranscript(sessionId, transcript);
+    this.seedContext(sessionId);
+    this.pruneStorage();
+
+    setImmediate(() => {
+      this.sendAvailableCommands(sessionId);
+    });
+
+    return {
+      modes: this.modeManager.getModeConfig(mode),
+      models: this.modelManager.getModelConfig(model),
+    };
+  }
+
+  /**
+   * Воспроизвести историю сессии в клиенте
+   * @private
+   * @param {string} sessionId
+   * @param {Array<Object>} transcript
+   */
+  async replayTranscript(sessionId, transcript) {
+    for (const entry of transcript) {
+      const sessionUpdate =
+        entry.role === "user"
+          ? SESSION_UPDATE.USER_MESSAGE_CHUNK
+          : SESSION_UPDATE.AGENT_MESSAGE_CHUNK;
+
+      for (const content of entry.content) {
+        await this.connection.sessionUpdate({
+          sessionId,
+          update: { sessionUpdate, content },
+        });
+      }
+    }
+
+    this.debugLog(
+      `Replayed ${transcript.length} transcript entries for ${sessionId}`
+    );
+  }
+
+  /**
+   * Сохранить состояние сессии на диск
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    try {
+      await this.sessionStorage.save(sessionId, {
+        cwd: session.cwd,
+        mode: this.modeManager.getMode(sessionId),
+        model: session.model,
+        mcpServers: session.mcpServers,
+        transcript: session.transcript,
+      });
+    } catch (error) {
+      this.debugLog(`Failed to persist session: ${error.message}`);
+    }
+  }
+
   /**
    * Отправить доступные команды клиенту
    * @private
@@ -319,6 +557,8 @@ export class KodaAgent {
       this.planCollector.clearPlan(sessionId);
     }
 
+    this.persistSession(sessionId);
+
     await this.connection.sessionUpdate({
       sessionId,
       update: {
@@ -346,30 +586,16 @@ export class KodaAgent {
 
     this.modelManager.setModel(sessionId, modelId);
     this.debugLog(`Changing model: ${session.model} -> ${modelId}`);
-
-    session.restarting = true;
-
-    if (session.kodaBridge) {
-      session.kodaBridge.kill();
-    }
-
-    const kodaBridge = new KodaAcpBridge(this.config, {
-      onMessage: (message) => this.handleKodaMessage(sessionId, message),
-      onClose: (code, signal) => this.handleKodaClose(sessionId, code, signal),
-      onError: (error) => this.handleKodaError(sessionId, error),
-    });
+    // An explicit choice replaces the model plan steps return to
+    session.baseModel = null;
 
     try {
-      await kodaBridge.spawn(session.cwd, { model: modelId });
-      await kodaBridge.createSession(session.cwd, []);
+      await this.respawnBridge(sessionId, modelId);
     } catch (error) {
-      session.restarting = false;
       throw new Error(`Failed to restart with new model: ${error.message}`);
     }
 
-    session.kodaBridge = kodaBridge;
-    session.model = modelId;
-    session.restarting = false;
+    this.persistSession(sessionId);
 
     // Note: current_model_update not supported by Zed, model change confirmed via agent message
     this.debugLog(`Model changed to: ${modelId}`);
@@ -391,17 +617,131 @@ export class KodaAgent {
     const promptText = this.extractPromptText(params.prompt);
     this.debugLog(`Prompt text: ${promptText.slice(0, 100)}...`);
 
-    // Check for slash commands
-    if (this.slashCommands.isSlashCommand(promptText)) {
+    if (session.recovering) {
+      const recovered = await session.recovering;
+      if (!recovered) {
+        throw new Error("KODA CLI could not be restarted, start a new thread");
+      }
+    }
+
+    if (session.seeding) {
+      await session.seeding;
+    }
+
+    let prompt = Array.isArray(params.prompt)
+      ? params.prompt
+      : [{ type: "text", text: promptText }];
+
+    /** @type {{type: "planning"|"step", task?: string}|null} */
+    let professionalTurn = null;
+    let userPrompt = !this.slashCommands.isSlashCommand(promptText);
+
+    if (userPrompt) {
+      // /retry and /plan need the user's words, not the planning request
+      session.lastPrompt = prompt;
+    } else {
       const slashResult = await this.processSlashCommand(
         params.sessionId,
         promptText
       );
-      if (slashResult?.handled) {
+      if (slashResult?.retryPrompt) {
+        prompt = slashResult.retryPrompt;
+        userPrompt = true;
+        // /retry --model перезапускает KODA и восстанавливает контекст
+        if (session.seeding) {
+          await session.seeding;
+        }
+      } else if (slashResult?.stepPrompt) {
+        prompt = slashResult.stepPrompt;
+        professionalTurn = { type: "step" };
+      } else if (slashResult?.handled) {
+        return { stopReason: "end_turn" };
+      }
+    }
+
+    // The transcript keeps what the user wrote, not the wrappers sent to KODA
+    const shown = prompt;
+    if (
+      userPrompt &&
+      this.modeManager.getMode(params.sessionId) === "professional"
+    ) {
+      if (this.getProfessionalHandler(params.sessionId).isPlanActive()) {
+        await this.sendMessage(
+          params.sessionId,
+          "\n\n📋 План ещё не завершён. Используйте `/approve`, `/skip`, `/reject` или `/progress`."
+        );
         return { stopReason: "end_turn" };
       }
+
+      // First prompt of a task: ask KODA for a plan instead of doing the work
+      const task = this.extractPromptText(prompt);
+      prompt = [
+        {
+          type: "text",
+          text: buildPlanRequest(task, this.modelManager.availableModels),
+        },
+        ...prompt.filter((block) => block.type !== "text"),
+      ];
+      professionalTurn = { type: "planning", task };
+    }
+
+    let result = await this.runTurn(
+      params.sessionId,
+      prompt,
+      professionalTurn,
+      shown
+    );
+
+    // Autopilot keeps running approved plan steps within the same turn
+    while (professionalTurn && result.stopReason === "end_turn") {
+      const stepPrompt = await this.startAutopilotStep(params.sessionId);
+      if (!stepPrompt) break;
+
+      professionalTurn = { type: "step" };
+      result = await this.runTurn(
+        params.sessionId,
+        stepPrompt,
+        professionalTurn
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Отправить prompt в KODA CLI и дождаться конца хода
+   * @private
+   * @param {string} sessionId
+   * @param {Array<Object>} prompt - ACP content blocks
+   * @param {{type: "planning"|"step", task?: string, timedOut?: boolean}|null} professionalTurn
+   * @param {Array<Object>|null} [userPrompt=null] - Сообщение пользователя для транскрипта
+   *   (по умолчанию - prompt); для шага плана записывается его заголовок
+   * @returns {Promise<{stopReason: string}>}
+   */
+  async runTurn(sessionId, prompt, professionalTurn, userPrompt = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { stopReason: "end_turn" };
+    }
+
+    let shown = userPrompt || prompt;
+    if (professionalTurn?.type === "step") {
+      const handler = this.getProfessionalHandler(sessionId);
+      const step = handler.getCurrentStep();
+      shown = [
+        {
+          type: "text",
+          text: `Шаг ${handler.currentPlan.currentStepIndex + 1}: ${step.title}`,
+        },
+      ];
+      // Switch before the turn, so the new model gets the transcript up to this step
+      await this.applyStepModel(sessionId, step);
     }
 
+    appendTranscript(session.transcript, "user", shown);
+    this.checkpoints.beginTurn(sessionId, this.extractPromptText(shown));
+    const replyStart = session.transcript.length;
+
     // Cancel previous prompt
     if (session.pendingPrompt?.abortController) {
       session.pendingPrompt.abortController.abort();
@@ -410,19 +750,50 @@ export class KodaAgent {
 
     const abortController = new AbortController();
     session.pendingPrompt = { abortController };
+    if (professionalTurn?.type === "step" && this.config.stepCommits) {
+      // Files changed before the step stay out of its commit
+      professionalTurn.snapshot = await this.stepCommitter
+        .snapshot(session.cwd)
+        .catch(() => null);
+    }
+    const stepTimer = this.startStepTimer(sessionId, professionalTurn);
 
     try {
-      const response = await session.kodaBridge.sendPrompt(params.prompt);
-      return { stopReason: response.stopReason || "end_turn" };
+      const response = await session.kodaBridge.sendPrompt(prompt);
+      const stopReason = response.stopReason || "end_turn";
+
+      if (professionalTurn) {
+        await this.finishProfessionalTurn(sessionId, professionalTurn, {
+          stopReason,
+          reply: this.collectReply(session, replyStart),
+        });
+      }
+      return { stopReason };
     } catch (error) {
       if (abortController.signal.aborted) {
+        if (professionalTurn) {
+          await this.finishProfessionalTurn(sessionId, professionalTurn, {
+            stopReason: "cancelled",
+            reply: "",
+          });
+        }
         return { stopReason: "cancelled" };
       }
 
-      await this.sendMessage(params.sessionId, `\n\nError: ${error.message}`);
+      await this.sendMessage(sessionId, `\n\nError: ${error.message}`);
+      if (professionalTurn) {
+        await this.finishProfessionalTurn(sessionId, professionalTurn, {
+          stopReason: "error",
+          reply: "",
+          error: error.message,
+        });
+      }
       return { stopReason: "end_turn" };
     } finally {
+      clearTimeout(stepTimer);
       session.pendingPrompt = null;
+      this.interceptor.clearRejections(sessionId);
+      this.persistSession(sessionId);
     }
   }
 
@@ -455,21 +826,43 @@ export class KodaAgent {
       return;
     }
 
+    if (session.silenced) {
+      this.handleSilencedMessage(session, message);
+      return;
+    }
+
     if (message.method === "session/update" && message.params) {
       const update = message.params.update;
       this.debugLog(`Received session update: ${update?.sessionUpdate}`);
 
       try {
-        const result = await this.interceptor.processSessionUpdate(
+        // Starts synchronously, so the permission decision is registered
+        // before KODA's terminal/create for this tool call can be checked
+        const processing = this.interceptor.processSessionUpdate(
           sessionId,
-          update
+          update,
+          { cwd: session.cwd }
         );
+        if (update?.sessionUpdate === SESSION_UPDATE.TOOL_CALL) {
+          this.checkAutopilotToolCall(sessionId, update);
+        }
+        const result = await processing;
 
         if (result.forward && result.update) {
           await this.connection.sessionUpdate({
             sessionId,
             update: result.update,
           });
+
+          if (
+            result.update.sessionUpdate ===
+              SESSION_UPDATE.AGENT_MESSAGE_CHUNK &&
+            result.update.content
+          ) {
+            appendTranscript(session.transcript, "agent", [
+              result.update.content,
+            ]);
+          }
         }
       } catch (err) {
         this.debugLog(`Error processing session update: ${err.message}`);
@@ -482,6 +875,32 @@ export class KodaAgent {
     }
   }
 
+  /**
+   * Обработать сообщение KODA CLI во время скрытого обмена (перенос контекста)
+   * @private
+   * @param {Session} session
+   * @param {Object} message
+   */
+  handleSilencedMessage(session, message) {
+    if (message.method === "session/update") {
+      const update = message.params?.update;
+      if (
+        update?.sessionUpdate === SESSION_UPDATE.AGENT_MESSAGE_CHUNK &&
+        update.content?.type === "text"
+      ) {
+        session.silenced.push(update.content.text);
+      }
+      return;
+    }
+
+    if (message.id !== undefined && message.method) {
+      session.kodaBridge.sendResponse(message.id, null, {
+        code: -32000,
+        message: "Tools are unavailable while conversation context is restored",
+      });
+    }
+  }
+
   /**
    * Обработать запрос от KODA CLI
    * @private
@@ -494,46 +913,82 @@ export class KodaAgent {
     this.debugLog(`KODA request: ${method}`);
 
     try {
+      let check = await this.interceptor.checkClientRequest(
+        sessionId,
+        method,
+        params,
+        { cwd: session.cwd }
+      );
+      if (check.allowed) {
+        check = await this.sandbox.checkRequest(sessionId, method, params, {
+          cwd: session.cwd,
+          mode: this.modeManager.getMode(sessionId),
+        });
+      }
+      if (!check.allowed) {
+        this.debugLog(`Denied ${method}: ${check.reason}`);
+        session.kodaBridge.sendResponse(id, null, {
+          code: -32000,
+          message: check.reason,
+        });
+        return;
+      }
+
+      // The path the sandbox checked, so a symlink swapped in since can't
+      // redirect the request
+      const filePath = check.path || params?.path;
       let result;
 
       switch (method) {
         case "fs/read_text_file":
           result = await this.connection.readTextFile({
             sessionId,
-            path: params.path,
+            path: filePath,
             line: params.line,
             limit: params.limit,
           });
           break;
 
         case "fs/write_text_file":
+          await this.checkpoints
+            .recordFile(sessionId, filePath, async (recorded) => {
+              const file = await this.connection.readTextFile({
+                sessionId,
+                path: recorded,
+              });
+              return file.content;
+            })
+            .catch((error) =>
+              this.debugLog(`Checkpoint failed: ${error.message}`)
+            );
           result = await this.connection.writeTextFile({
             sessionId,
-            path: params.path,
+            path: filePath,
             content: params.content,
           });
           break;
 
-        case "terminal/new":
-          result = await this.connection.newTerminal({
-            sessionId,
-            cwd: params.cwd,
-          });
+        case "terminal/create":
+          result = await this.terminals.create(sessionId, params);
           break;
 
-        case "terminal/send_input":
-          result = await this.connection.sendTerminalInput({
-            sessionId,
-            terminalId: params.terminalId,
-            input: params.input,
-          });
+        case "terminal/output":
+          result = await this.terminals.output(sessionId, params.terminalId);
           break;
 
-        case "terminal/close":
-          result = await this.connection.closeTerminal({
+        case "terminal/wait_for_exit":
+          result = await this.terminals.waitForExit(
             sessionId,
-            terminalId: params.terminalId,
-          });
+            params.terminalId
+          );
+          break;
+
+        case "terminal/kill":
+          result = await this.terminals.kill(sessionId, params.terminalId);
+          break;
+
+        case "terminal/release":
+          result = await this.terminals.release(sessionId, params.terminalId);
           break;
 
         case "session/request_permission":
@@ -541,6 +996,15 @@ export class KodaAgent {
           break;
 
         default:
+          // Forwarding would skip the plan mode and rejection checks above
+          if (method.startsWith("terminal/") || method.startsWith("fs/")) {
+            this.debugLog(`Rejected unsupported client method: ${method}`);
+            session.kodaBridge.sendResponse(id, null, {
+              code: -32601,
+              message: `Method not found: ${method}`,
+            });
+            return;
+          }
           try {
             result = await this.connection.extMethod(method, params);
           } catch (extErr) {
@@ -577,7 +1041,28 @@ export class KodaAgent {
     };
 
     if (params.toolCall) {
-      permissionParams.toolCall = params.toolCall;
+      // Deny rules answer KODA's own permission requests without the user
+      const { decision } = this.permissionHandler.evaluate(
+        sessionId,
+        this.modeManager.getMode(sessionId),
+        params.toolCall
+      );
+      if (decision === "deny") {
+        const reject = permissionParams.options.find((option) =>
+          option.kind?.startsWith("reject")
+        );
+        return {
+          outcome: reject
+            ? { outcome: "selected", optionId: reject.optionId }
+            : { outcome: "cancelled" },
+        };
+      }
+
+      permissionParams.toolCall = await this.interceptor.attachEditDiff(
+        sessionId,
+        params.toolCall,
+        { cwd: this.sessions.get(sessionId)?.cwd }
+      );
     } else {
       permissionParams.toolCall = {
         toolCallId: params.toolCallId || `permission_${Date.now()}`,
@@ -590,6 +1075,22 @@ export class KodaAgent {
     return this.connection.requestPermission(permissionParams);
   }
 
+  /**
+   * Создать KODA CLI bridge для сессии
+   * @private
+   * @param {string} sessionId
+   * @returns {KodaAcpBridge}
+   */
+  createBridge(sessionId) {
+    const kodaBridge = new KodaAcpBridge(this.config, {
+      onMessage: (message) => this.handleKodaMessage(sessionId, message),
+      onClose: (code, signal) =>
+        this.handleKodaClose(sessionId, code, signal, kodaBridge),
+      onError: (error) => this.handleKodaError(sessionId, error),
+    });
+    return kodaBridge;
+  }
+
   /**
    * Обработать ошибку KODA CLI
    * @private
@@ -606,8 +1107,9 @@ export class KodaAgent {
    * @param {string} sessionId
    * @param {number} code
    * @param {string} signal
+   * @param {KodaAcpBridge} [kodaBridge] - Bridge, процесс которого завершился
    */
-  handleKodaClose(sessionId, code, signal) {
+  handleKodaClose(sessionId, code, signal, kodaBridge) {
     const session = this.sessions.get(sessionId);
     if (!session) return;
 
@@ -620,12 +1122,109 @@ export class KodaAgent {
       return;
     }
 
+    if (kodaBridge && kodaBridge !== session.kodaBridge) {
+      this.debugLog(`Ignoring close of a replaced bridge for ${sessionId}`);
+      return;
+    }
+
+    if (session.recovering) {
+      return;
+    }
+
+    session.recovering = this.recoverSession(sessionId, code, signal);
+  }
+
+  /**
+   * Перезапустить упавший KODA CLI с экспоненциальной задержкой
+   * @private
+   * @param {string} sessionId
+   * @param {number} code
+   * @param {string} signal
+   * @returns {Promise<boolean>} - true если сессия восстановлена
+   */
+  async recoverSession(sessionId, code, signal) {
+    const session = this.sessions.get(sessionId);
+    const reason = signal ? `signal ${signal}` : `code ${code}`;
+    const maxAttempts = this.supervisor.maxAttempts;
+
+    this.debugLog(`KODA CLI crashed for ${sessionId} (${reason}), recovering`);
+    this.terminals.releaseAll(sessionId);
+
+    const outcome = await this.supervisor.restart(
+      async () => {
+        const kodaBridge = this.createBridge(sessionId);
+        try {
+          await kodaBridge.spawn(session.cwd, { model: session.model });
+          await kodaBridge.createSession(session.cwd, session.mcpServers);
+        } catch (error) {
+          kodaBridge.kill();
+          throw error;
+        }
+        return kodaBridge;
+      },
+      {
+        onAttempt: (attempt, delayMs) =>
+          this.notify(
+            sessionId,
+            `\n\n⚠️ KODA CLI завершился неожиданно (${reason}). Перезапуск через ${Math.round(delayMs / 1000)} с (попытка ${attempt}/${maxAttempts})...`
+          ),
+      }
+    );
+
+    if (!this.sessions.has(sessionId)) {
+      outcome.result?.kill();
+      return false;
+    }
+
+    session.recovering = null;
+
+    if (outcome.success) {
+      session.kodaBridge = outcome.result;
+      this.debugLog(`Session ${sessionId} recovered`);
+      this.seedContext(sessionId);
+      await this.notify(
+        sessionId,
+        "\n\n✅ KODA CLI перезапущен. Можно продолжать работу."
+      );
+      return true;
+    }
+
+    const details = outcome.error ? `: ${outcome.error.message}` : "";
+    await this.notify(
+      sessionId,
+      `\n\n❌ Не удалось перезапустить KODA CLI после ${outcome.attempts} попыток${details}\n\nПроверьте, что \`koda\` установлен и доступен (переменная \`KODA_CLI_PATH\`), запустите агент с \`KODA_DEBUG=1\` для диагностики и создайте новый тред.`
+    );
+    this.cleanupSession(sessionId);
+    return false;
+  }
+
+  /**
+   * Удалить все данные сессии
+   * @private
+   * @param {string} sessionId
+   */
+  cleanupSession(sessionId) {
     this.sessions.delete(sessionId);
     this.modeManager.deleteSession(sessionId);
     this.modelManager.deleteSession(sessionId);
-    this.permissionHandler.deleteSession(sessionId);
     this.planCollector.deleteSession(sessionId);
-    this.professionalHandler.reset();
+    this.sessionState.delete(sessionId);
+    this.checkpoints.endSession(sessionId);
+    this.sessionStorage
+      .delete(sessionId)
+      .catch((error) =>
+        this.debugLog(`Failed to delete session: ${error.message}`)
+      );
+  }
+
+  /**
+   * Получить обработчик Professional режима для сессии
+   * @private
+   * @param {string} sessionId
+   * @returns {ProfessionalModeHandler}
+   */
+  getProfessionalHandler(sessionId) {
+    return this.sessionState.get(sessionId, "professional");
   }
 
   // ===========================================================================
@@ -680,6 +1279,31 @@ export class KodaAgent {
           case "cancel":
             await this.cancel({ sessionId });
             break;
+          case "retry":
+            return {
+              handled: true,
+              retryPrompt: this.buildRetryPrompt(sessionId, result.action),
+            };
+          case "plan_approve":
+          case "plan_skip":
+          case "autopilot": {
+            // An approved step (or autopilot) runs in this same turn
+            const handler = this.getProfessionalHandler(sessionId);
+            const step = handler.getCurrentStep();
+            const stepPrompt =
+              step?.status === STEP_STATUS.IN_PROGRESS
+                ? [
+                    {
+                      type: "text",
+                      text: buildStepPrompt(handler.currentPlan, step),
+                    },
+                  ]
+                : await this.startAutopilotStep(sessionId);
+            if (stepPrompt) {
+              return { handled: true, stepPrompt };
+            }
+            break;
+          }
         }
       }
 
@@ -824,27 +1448,130 @@ Waiting for authorization...`;
 
     this.debugLog(`Restarting KODA session ${sessionId}`);
 
-    session.restarting = true;
+    try {
+      await this.respawnBridge(sessionId, session.model);
+      this.debugLog(`Session ${sessionId} restarted successfully`);
+    } catch (error) {
+      this.debugLog(`Failed to restart session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Заменить процесс KODA CLI, сохранив контекст разговора
+   * @private
+   * @param {string} sessionId
+   * @param {string} model
+   * @throws {Error} If the new KODA CLI process fails to start
+   */
+  async respawnBridge(sessionId, model) {
+    const session = this.sessions.get(sessionId);
+    const summary = await this.requestSummary(session);
+
+    session.restarting = true;
 
     if (session.kodaBridge) {
       session.kodaBridge.kill();
     }
+    // Terminals belong to the old KODA process, nobody will release them
+    this.terminals.releaseAll(sessionId);
 
-    const kodaBridge = new KodaAcpBridge(this.config, {
-      onMessage: (message) => this.handleKodaMessage(sessionId, message),
-      onClose: (code, signal) => this.handleKodaClose(sessionId, code, signal),
-      onError: (error) => this.handleKodaError(sessionId, error),
-    });
+    const kodaBridge = this.createBridge(sessionId);
 
     try {
-      await kodaBridge.spawn(session.cwd, { model: session.model });
-      await kodaBridge.createSession(session.cwd, []);
-      session.kodaBridge = kodaBridge;
+      await kodaBridge.spawn(session.cwd, { model });
+      await kodaBridge.createSession(session.cwd, session.mcpServers);
+    } finally {
       session.restarting = false;
-      this.debugLog(`Session ${sessionId} restarted successfully`);
+    }
+
+    session.kodaBridge = kodaBridge;
+    session.model = model;
+    this.seedContext(sessionId, summary);
+  }
+
+  /**
+   * Попросить текущую KODA сессию пересказать разговор (стратегия summary)
+   * @private
+   * @param {Session} session
+   * @returns {Promise<string|null>}
+   */
+  async requestSummary(session) {
+    if (
+      this.config.contextTransfer !== "summary" ||
+      !session.transcript.length ||
+      !session.kodaBridge?.isRunning()
+    ) {
+      return null;
+    }
+
+    try {
+      const summary = await this.captureKodaReply(
+        session,
+        buildSummaryRequest()
+      );
+      return summary.trim() || null;
     } catch (error) {
-      session.restarting = false;
-      this.debugLog(`Failed to restart session: ${error.message}`);
+      this.debugLog(`Summary failed, falling back to replay: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Передать историю разговора в новую KODA сессию (в фоне)
+   * @private
+   * @param {string} sessionId
+   * @param {string|null} [summary=null] - Готовый пересказ вместо транскрипта
+   */
+  seedContext(sessionId, summary = null) {
+    const session = this.sessions.get(sessionId);
+    if (
+      !session ||
+      this.config.contextTransfer === "none" ||
+      !session.transcript.length
+    ) {
+      return;
+    }
+
+    const text = summary
+      ? buildSummaryPrompt(summary)
+      : buildReplayPrompt(session.transcript);
+
+    session.seeding = this.captureKodaReply(session, text)
+      .then(() => this.debugLog(`Context restored for session ${sessionId}`))
+      .catch((error) =>
+        this.debugLog(`Failed to restore context: ${error.message}`)
+      )
+      .finally(() => {
+        session.seeding = null;
+      });
+  }
+
+  /**
+   * Отправить prompt в KODA CLI, не показывая ответ клиенту
+   * @private
+   * @param {Session} session
+   * @param {string} text
+   * @returns {Promise<string>} - Текст ответа KODA
+   */
+  async captureKodaReply(session, text) {
+    const chunks = [];
+    const kodaBridge = session.kodaBridge;
+    session.silenced = chunks;
+
+    try {
+      await withTimeout(
+        kodaBridge.sendPrompt([{ type: "text", text }]),
+        CONTEXT_TRANSFER.TIMEOUT_MS,
+        "Context transfer timed out"
+      );
+      return chunks.join("");
+    } catch (error) {
+      kodaBridge.sendCancel();
+      throw error;
+    } finally {
+      if (session.silenced === chunks) {
+        session.silenced = null;
+      }
     }
   }
 
@@ -875,29 +1602,378 @@ Waiting for authorization...`;
   }
 
   /**
-   * Обработчик /clear
+   * Обработчик /clear - начать KODA сессию заново для того же sessionId
    * @private
+   * @param {string} sessionId
+   * @returns {Promise<{success: boolean, message: string}>}
    */
   async handleSlashClear(sessionId) {
-    if (!sessionId) return;
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
     this.debugLog(`Clearing session ${sessionId}`);
-    await this.sendMessage(
-      sessionId,
-      "\n\n🗑️ История сессии очищена (в текущей сессии).\n\nДля полного сброса создайте новую сессию."
-    );
+    await this.cancel({ sessionId });
+
+    const planEntries = this.planCollector.getPlan(sessionId).length;
+    const hadProfessionalPlan =
+      this.sessionState.peek(sessionId, "professional")?.hasPlan() || false;
+
+    // Empty transcript first so the respawned KODA session starts blank
+    session.transcript = [];
+
+    try {
+      await this.respawnBridge(sessionId, session.model);
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось перезапустить KODA CLI: ${error.message}`,
+      };
+    }
+
+    // Professional plan, tracked tool calls and session "Allow Always" rules;
+    // project rules stay in .koda/permissions.json
+    this.planCollector.clearPlan(sessionId);
+    this.sessionState.delete(sessionId);
+    await this.permissionHandler.loadRules(sessionId, session.cwd);
+    // Start a fresh record instead of keeping the old one's history
+    this.sessionStorage
+      .delete(sessionId)
+      .catch((error) =>
+        this.debugLog(`Failed to delete session: ${error.message}`)
+      );
+    this.persistSession(sessionId);
+
+    try {
+      await this.connection.sessionUpdate({
+        sessionId,
+        update: { sessionUpdate: SESSION_UPDATE.PLAN, entries: [] },
+      });
+    } catch (error) {
+      this.debugLog(`Failed to clear plan panel: ${error.message}`);
+    }
+
+    const reset = [
+      "история разговора (новая сессия KODA CLI)",
+      `план Plan Mode (записей: ${planEntries})`,
+      hadProfessionalPlan
+        ? "план Professional режима"
+        : "план Professional режима (не было)",
+      "отслеживаемые tool calls",
+      "разрешения «Разрешать всегда»",
+    ];
+
+    return {
+      success: true,
+      message: `Сессия очищена. Сброшено:\n${reset.map((item) => `- ${item}`).join("\n")}`,
+    };
   }
 
   /**
-   * Обработчик /retry
+   * Обработчик /retry - проверить, что повтор возможен, и сменить модель
    * @private
+   * @param {string} sessionId
+   * @param {{model?: string, instructions?: string}} [options={}]
+   * @returns {Promise<{success: boolean, message: string}>}
    */
-  async handleSlashRetry(sessionId) {
-    if (!sessionId) return;
+  async handleSlashRetry(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    if (!session.lastPrompt) {
+      return { success: false, message: "Нет запроса для повтора" };
+    }
+
     this.debugLog(`Retrying last request for session ${sessionId}`);
-    await this.sendMessage(
-      sessionId,
-      "\n\n🔄 Для повтора последнего запроса нажмите кнопку повтора в интерфейсе Zed."
+
+    if (options.model && options.model !== session.model) {
+      try {
+        await this.unstable_setSessionModel({
+          sessionId,
+          modelId: options.model,
+        });
+      } catch (error) {
+        return {
+          success: false,
+          message: `Не удалось сменить модель: ${error.message}`,
+        };
+      }
+      return {
+        success: true,
+        message: `Повторяю последний запрос на модели \`${options.model}\`...`,
+      };
+    }
+
+    if (options.instructions) {
+      return {
+        success: true,
+        message: "Повторяю последний запрос с дополнительными инструкциями...",
+      };
+    }
+
+    return { success: true, message: "Повторяю последний запрос..." };
+  }
+
+  /**
+   * Обработчик /permissions - правила разрешений сессии, проекта и пользователя
+   * @private
+   * @param {string} sessionId
+   * @param {{type: string, rule?: Object, scope?: string, index?: number}} change
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handlePermissions(sessionId, change) {
+    const scopes = {
+      session: "сессия",
+      project: `проект, \`${PERMISSIONS.FILE}\``,
+      user: `пользователь, \`${PATHS.PERMISSIONS_FILE}\``,
+    };
+    const decisions = {
+      allow: "разрешить",
+      ask: "спрашивать",
+      deny: "запретить",
+    };
+
+    if (change.type === "list") {
+      const rules = this.permissionHandler.listRules(sessionId);
+      if (rules.length === 0) {
+        return {
+          success: true,
+          message: `Правил разрешений нет. Правила «Разрешать всегда» появляются при выборе «Разрешать всегда» в запросе разрешения или через \`/permissions allow\`; правила allow, ask и deny задаются в \`${PERMISSIONS.FILE}\` и \`${PATHS.PERMISSIONS_FILE}\`.`,
+        };
+      }
+      const lines = rules.map(
+        ({ rule, decision, scope }, index) =>
+          `${index + 1}. ${decisions[decision]}: ${formatRule(rule)} — ${scopes[scope]}`
+      );
+      return {
+        success: true,
+        message: `Правила разрешений (запрет сильнее вопроса, вопрос сильнее разрешения):\n\n${lines.join("\n")}\n\nУдалить правило сессии или проекта: \`/permissions remove <n>\``,
+      };
+    }
+
+    if (change.type === "remove") {
+      const entry =
+        this.permissionHandler.listRules(sessionId)[change.index - 1];
+      if (entry?.scope === "user") {
+        return {
+          success: false,
+          message: `Правила пользователя меняются только в \`${PATHS.PERMISSIONS_FILE}\``,
+        };
+      }
+
+      let removed;
+      try {
+        removed = await this.permissionHandler.removeRule(
+          sessionId,
+          change.index - 1
+        );
+      } catch (error) {
+        return {
+          success: false,
+          message: `Не удалось сохранить правила: ${error.message}`,
+        };
+      }
+      if (!removed) {
+        return {
+          success: false,
+          message: `Нет правила с номером ${change.index}. Список: \`/permissions\``,
+        };
+      }
+      return {
+        success: true,
+        message: `Правило удалено: ${decisions[removed.decision]}: ${formatRule(removed.rule)} — ${scopes[removed.scope]}`,
+      };
+    }
+
+    const rule = normalizeRule(change.rule);
+    if (!rule) {
+      return { success: false, message: "Укажите шаблон правила" };
+    }
+    if (
+      change.scope === "project" &&
+      !this.permissionHandler.canAllowInProject(rule)
+    ) {
+      return {
+        success: false,
+        message: `В \`${PERMISSIONS.FILE}\` можно разрешать только неопасные команды и префиксы команд; такие правила задаются без \`--project\` или в \`${PATHS.PERMISSIONS_FILE}\``,
+      };
+    }
+
+    try {
+      const added = await this.permissionHandler.addRule(
+        sessionId,
+        rule,
+        change.scope
+      );
+      return added
+        ? {
+            success: true,
+            message: `Правило добавлено: ${formatRule(rule)} — ${scopes[change.scope]}`,
+          }
+        : {
+            success: false,
+            message: `Такое правило уже есть: ${formatRule(rule)}`,
+          };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось сохранить правило: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Удалить устаревшие чекпоинты файлов и сохранённые сессии в фоне
+   * @private
+   */
+  pruneStorage() {
+    this.checkpoints
+      .prune()
+      .catch((error) =>
+        this.debugLog(`Failed to prune checkpoints: ${error.message}`)
+      );
+    this.sessionStorage
+      .prune()
+      .catch((error) =>
+        this.debugLog(`Failed to prune sessions: ${error.message}`)
+      );
+  }
+
+  /**
+   * Путь файла чекпоинта для сообщений: относительно cwd сессии
+   * @private
+   * @param {Session} session
+   * @param {string} filePath
+   * @returns {string}
+   */
+  displayCheckpointPath(session, filePath) {
+    const relative = path.relative(session.cwd, filePath);
+    return relative && !relative.startsWith("..") && !path.isAbsolute(relative)
+      ? relative
+      : filePath;
+  }
+
+  /**
+   * Обработчик /checkpoints - список чекпоинтов сессии
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handleCheckpointList(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const checkpoints = await this.checkpoints.list(sessionId);
+    if (checkpoints.length === 0) {
+      return {
+        success: false,
+        message: "Чекпоинтов нет: агент ещё не изменял файлы в этой сессии",
+      };
+    }
+
+    const lines = checkpoints.map((checkpoint, index) => {
+      const time = new Date(checkpoint.createdAt).toLocaleString("ru-RU");
+      const files = checkpoint.files
+        .map((file) => this.displayCheckpointPath(session, file.path))
+        .join(", ");
+      const label = checkpoint.label ? ` — «${checkpoint.label}»` : "";
+      return `${index + 1}. ${time}${label}: ${files}`;
+    });
+
+    return {
+      success: true,
+      message: `Чекпоинты (последний ход — 1):\n${lines.join("\n")}\n\n\`/checkpoints restore <n>\` — вернуть файлы к состоянию до хода n, \`/undo\` — отменить последний ход`,
+    };
+  }
+
+  /**
+   * Обработчик /undo и /checkpoints restore - вернуть файлы к состоянию до хода
+   * @private
+   * @param {string} sessionId
+   * @param {number} number - Номер чекпоинта (1 - последний ход)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handleCheckpointRestore(sessionId, number) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const checkpoints = await this.checkpoints.list(sessionId);
+    if (checkpoints.length === 0) {
+      return { success: false, message: "Нет изменений файлов для отмены" };
+    }
+    if (number > checkpoints.length) {
+      return {
+        success: false,
+        message: `Чекпоинтов ${checkpoints.length}, номер вне диапазона`,
+      };
+    }
+
+    // KODA must not keep writing files while they are being restored
+    if (session.pendingPrompt) {
+      await this.cancel({ sessionId });
+    }
+
+    let restored;
+    try {
+      restored = await this.checkpoints.restore(
+        sessionId,
+        checkpoints[number - 1].id,
+        {
+          write: (filePath, content) =>
+            this.connection.writeTextFile({
+              sessionId,
+              path: filePath,
+              content,
+            }),
+        }
+      );
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось восстановить файлы: ${error.message}`,
+      };
+    }
+
+    const files = restored.files.map(
+      (file) =>
+        `- ${this.displayCheckpointPath(session, file.path)}${file.deleted ? " (удалён)" : ""}`
     );
+    const turns =
+      number === 1 ? "последнего хода" : `последних ${number} ходов`;
+    return {
+      success: true,
+      message: `Изменения ${turns} отменены:\n${files.join("\n")}`,
+    };
+  }
+
+  /**
+   * Собрать prompt для /retry из последнего запроса
+   * @private
+   * @param {string} sessionId
+   * @param {{instructions?: string}} action
+   * @returns {Array<Object>}
+   */
+  buildRetryPrompt(sessionId, action) {
+    const { lastPrompt } = this.sessions.get(sessionId);
+
+    if (!action.instructions) {
+      return lastPrompt;
+    }
+
+    return [
+      ...lastPrompt,
+      {
+        type: "text",
+        text: `\n\nAdditional instructions: ${action.instructions}`,
+      },
+    ];
   }
 
   // ===========================================================================
@@ -910,15 +1986,17 @@ Waiting for authorization...`;
    * @param {string} sessionId
    * @returns {{success: boolean, message: string}}
    */
-  handlePlanApprove(_sessionId) {
-    if (!this.professionalHandler.hasPlan()) {
+  handlePlanApprove(sessionId) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    if (!handler.hasPlan()) {
       return { success: false, message: "Нет активного плана для одобрения" };
     }
 
-    if (this.professionalHandler.isPlanPendingApproval()) {
-      const approved = this.professionalHandler.approvePlan();
+    if (handler.isPlanPendingApproval()) {
+      const approved = handler.approvePlan();
       if (approved) {
-        const step = this.professionalHandler.getCurrentStep();
+        const step = handler.getCurrentStep();
         return {
           success: true,
           message: `План одобрен. Готов к выполнению шага 1: ${step?.title || ""}`,
@@ -927,8 +2005,12 @@ Waiting for authorization...`;
       return { success: false, message: "Не удалось одобрить план" };
     }
 
-    if (this.professionalHandler.isStepAwaitingApproval()) {
-      const step = this.professionalHandler.approveCurrentStep();
+    if (handler.getCurrentStep()?.status === STEP_STATUS.FAILED) {
+      handler.retryCurrentStep();
+    }
+
+    if (handler.isStepAwaitingApproval()) {
+      const step = handler.approveCurrentStep();
       if (step) {
         return {
           success: true,
@@ -947,19 +2029,21 @@ Waiting for authorization...`;
    * @param {string} sessionId
    * @returns {{success: boolean, message: string}}
    */
-  handlePlanSkip(_sessionId) {
-    if (!this.professionalHandler.hasPlan()) {
+  handlePlanSkip(sessionId) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    if (!handler.hasPlan()) {
       return { success: false, message: "Нет активного плана" };
     }
 
-    const currentStep = this.professionalHandler.getCurrentStep();
+    const currentStep = handler.getCurrentStep();
     if (!currentStep) {
       return { success: false, message: "Нет текущего шага для пропуска" };
     }
 
-    const hasNext = this.professionalHandler.skipCurrentStep();
+    const hasNext = handler.skipCurrentStep();
     if (hasNext) {
-      const nextStep = this.professionalHandler.getCurrentStep();
+      const nextStep = handler.getCurrentStep();
       return {
         success: true,
         message: `Шаг "${currentStep.title}" пропущен. Следующий: ${nextStep?.title || ""}`,
@@ -978,12 +2062,14 @@ Waiting for authorization...`;
    * @param {string} sessionId
    * @returns {{success: boolean, message: string}}
    */
-  handlePlanReject(_sessionId) {
-    if (!this.professionalHandler.hasPlan()) {
+  handlePlanReject(sessionId) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    if (!handler.hasPlan()) {
       return { success: false, message: "Нет активного плана для отклонения" };
     }
 
-    this.professionalHandler.rejectPlan();
+    handler.rejectPlan();
     return {
       success: true,
       message: "План отклонён. Вы можете отправить новую задачу.",
@@ -991,21 +2077,995 @@ Waiting for authorization...`;
   }
 
   /**
-   * Получить прогресс плана (Professional mode)
+   * Отправить план Professional режима в панель плана Zed
    * @private
    * @param {string} sessionId
-   * @returns {string|null}
    */
-  getPlanProgress(_sessionId) {
-    if (!this.professionalHandler.hasPlan()) {
-      return null;
-    }
+  async sendProfessionalPlan(sessionId) {
+    const handler = this.sessionState.peek(sessionId, "professional");
+    if (!handler || !this.sessions.has(sessionId)) return;
 
-    return this.professionalHandler.formatPlanForDisplay();
-  }
-
-  // ===========================================================================
-  // Helper Methods
+    try {
+      await this.connection.sessionUpdate({
+        sessionId,
+        update: {
+          sessionUpdate: SESSION_UPDATE.PLAN,
+          entries: handler.toPlanEntries(),
+        },
+      });
+    } catch (error) {
+      this.debugLog(`Failed to send professional plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Сохранить план Professional режима в .koda/plans проекта
+   * @private
+   * @param {string} sessionId
+   */
+  async persistPlan(sessionId) {
+    const session = this.sessions.get(sessionId);
+    const handler = this.sessionState.peek(sessionId, "professional");
+    if (!session || !handler?.currentPlan) return;
+
+    try {
+      await this.planStorage.save(session.cwd, handler.serialize(), sessionId);
+    } catch (error) {
+      this.debugLog(`Failed to persist plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Продолжить сохранённый план через /plan resume (Professional mode)
+   * @private
+   * @param {string} sessionId
+   * @param {string} [planId] - По умолчанию последний незавершённый план
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handlePlanResume(sessionId, planId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const handler = this.getProfessionalHandler(sessionId);
+    if (handler.isPlanActive()) {
+      return {
+        success: false,
+        message:
+          "В сессии уже есть активный план. Завершите его или отклоните через `/reject`.",
+      };
+    }
+
+    let record;
+    try {
+      record = planId
+        ? await this.planStorage.load(session.cwd, planId)
+        : await this.planStorage.findResumable(session.cwd);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    if (!record) {
+      return {
+        success: false,
+        message: planId
+          ? `План \`${planId}\` не найден`
+          : "Нет сохранённых незавершённых планов",
+      };
+    }
+
+    handler.resumePlan(record);
+    const step = handler.getCurrentStep();
+    return {
+      success: true,
+      message: `План "${record.currentPlan.taskDescription}" восстановлен.${
+        step ? ` Следующий шаг: ${step.title} — \`/approve\`.` : ""
+      }`,
+    };
+  }
+
+  /**
+   * Превратить черновик Plan Mode в план Professional режима (/plan execute)
+   * @private
+   * @param {string} sessionId
+   * @returns {{success: boolean, message: string}}
+   */
+  handlePlanExecute(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const entries = this.planCollector.getPlan(sessionId);
+    if (entries.length === 0) {
+      return {
+        success: false,
+        message:
+          "Черновик пуст: в режиме Plan ещё не собрано ни одного действия. Переключитесь в `/mode plan` и опишите задачу.",
+      };
+    }
+
+    const handler = this.getProfessionalHandler(sessionId);
+    if (handler.isPlanActive()) {
+      return {
+        success: false,
+        message:
+          "В сессии уже есть активный план. Завершите его или отклоните через `/reject`.",
+      };
+    }
+
+    const steps = this.planCollector.buildSteps(sessionId, session.cwd);
+    const task = session.lastPrompt
+      ? this.extractPromptText(session.lastPrompt)
+      : "";
+    handler.createPlan(task || "Plan Mode draft", steps);
+    this.planCollector.clearPlan(sessionId);
+
+    return {
+      success: true,
+      message: `Черновик Plan Mode (${entries.length} действий) превращён в план из ${steps.length} шагов. \`/approve\` — начать выполнение, \`/step\` — изменить шаги.`,
+    };
+  }
+
+  /**
+   * Сохранить план или черновик Plan Mode в Markdown (/plan export)
+   * @private
+   * @param {string} sessionId
+   * @param {string|null} filePath - Путь относительно cwd сессии
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handlePlanExport(sessionId, filePath) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    // The Professional plan wins over a Plan Mode draft
+    const handler = this.sessionState.peek(sessionId, "professional");
+    const entries = this.planCollector.getPlan(sessionId);
+    let markdown;
+    if (handler?.hasPlan()) {
+      markdown = formatPlanMarkdown(handler.currentPlan);
+    } else if (entries.length > 0) {
+      const task = session.lastPrompt
+        ? this.extractPromptText(session.lastPrompt)
+        : "";
+      markdown = formatDraftMarkdown(entries, task);
+    } else {
+      return { success: false, message: "Нет плана для экспорта" };
+    }
+
+    const target = path.resolve(
+      session.cwd,
+      filePath || PLAN_STORAGE.EXPORT_FILE
+    );
+    try {
+      await this.planStorage.exportMarkdown(target, markdown);
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось записать \`${target}\`: ${error.message}`,
+      };
+    }
+
+    return {
+      success: true,
+      message: `План сохранён в \`${path.relative(session.cwd, target)}\``,
+    };
+  }
+
+  /**
+   * Загрузить план Professional режима из Markdown-чеклиста (/plan import)
+   * @private
+   * @param {string} sessionId
+   * @param {string} filePath - Путь относительно cwd сессии
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handlePlanImport(sessionId, filePath) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const handler = this.getProfessionalHandler(sessionId);
+    if (handler.isPlanActive()) {
+      return {
+        success: false,
+        message:
+          "В сессии уже есть активный план. Завершите его или отклоните через `/reject`.",
+      };
+    }
+
+    let imported;
+    try {
+      imported = await this.planStorage.importMarkdown(
+        path.resolve(session.cwd, filePath)
+      );
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось прочитать \`${filePath}\`: ${error.message}`,
+      };
+    }
+
+    const error = this.createPlanFromChecklist(
+      handler,
+      imported,
+      `\`${filePath}\``,
+      path.basename(filePath)
+    );
+    if (error) {
+      return { success: false, message: error };
+    }
+    return {
+      success: true,
+      message: `План импортирован из \`${filePath}\`: ${imported.steps.length} шагов. \`/approve\` — начать выполнение.`,
+    };
+  }
+
+  /**
+   * Создать план Professional режима из шаблона проекта (/plan new)
+   * @private
+   * @param {string} sessionId
+   * @param {string|null} name - Имя шаблона в .koda/plan-templates
+   * @param {Record<string, string>} params - Значения параметров {{name}}
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handlePlanNew(sessionId, name, params) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, message: "Сессия не найдена" };
+    }
+
+    const handler = this.getProfessionalHandler(sessionId);
+    if (handler.isPlanActive()) {
+      return {
+        success: false,
+        message:
+          "В сессии уже есть активный план. Завершите его или отклоните через `/reject`.",
+      };
+    }
+
+    const template = name
+      ? await this.planStorage.readTemplate(session.cwd, name)
+      : null;
+    if (template === null) {
+      const templates = await this.planStorage.listTemplates(session.cwd);
+      const list = templates.map(
+        (t) =>
+          `- \`${t.name}\`${t.params.length > 0 ? ` — ${t.params.join(", ")}` : ""}`
+      );
+      const header = name
+        ? `Шаблон \`${name}\` не найден`
+        : "Укажите шаблон: `/plan new <шаблон> key=value...`";
+      return {
+        success: false,
+        message:
+          list.length > 0
+            ? `${header}. Шаблоны проекта:\n${list.join("\n")}`
+            : `${header}. В \`${PLAN_STORAGE.TEMPLATES_DIR}\` нет шаблонов (\`*.md\`)`,
+      };
+    }
+
+    const { text, missing } = fillPlanTemplate(template, params);
+    if (missing.length > 0) {
+      const example = missing.map((param) => `${param}=...`).join(" ");
+      return {
+        success: false,
+        message: `Не заданы параметры шаблона: ${missing.join(", ")}\n\nПример: \`/plan new ${name} ${example}\``,
+      };
+    }
+
+    const checklist = parsePlanMarkdown(text);
+    const error = this.createPlanFromChecklist(
+      handler,
+      checklist,
+      `шаблоне \`${name}\``,
+      name
+    );
+    if (error) {
+      return { success: false, message: error };
+    }
+    return {
+      success: true,
+      message: `План создан из шаблона \`${name}\`: ${checklist.steps.length} шагов. \`/approve\` — начать выполнение.`,
+    };
+  }
+
+  /**
+   * Создать план из разобранного Markdown-чеклиста
+   * @private
+   * @param {ProfessionalModeHandler} handler
+   * @param {ReturnType<typeof parsePlanMarkdown>} checklist
+   * @param {string} source - Откуда чеклист, для сообщений ("В <source> нет...")
+   * @param {string} fallbackTask - Задача, если у чеклиста нет заголовка
+   * @returns {string|null} Ошибка или null, если план создан
+   */
+  createPlanFromChecklist(handler, checklist, source, fallbackTask) {
+    const { task, verify, steps } = checklist;
+    if (steps.length === 0) {
+      return `В ${source} нет пунктов чеклиста (\`- [ ] Шаг\`)`;
+    }
+    if (steps.length > PROFESSIONAL.MAX_STEPS) {
+      return `В плане ${steps.length} шагов, максимум ${PROFESSIONAL.MAX_STEPS}`;
+    }
+    if (!steps.some((step) => step.status === STEP_STATUS.PENDING)) {
+      return "Все шаги плана уже отмечены выполненными";
+    }
+
+    handler.createPlan(task || fallbackTask, steps);
+    if (verify) {
+      handler.setVerifyCommand(null, verify);
+    }
+    return null;
+  }
+
+  /**
+   * Обработать итог хода Professional режима: создать план или закрыть шаг
+   * @private
+   * @param {string} sessionId
+   * @param {{type: "planning"|"step", task?: string}} turn
+   * @param {{stopReason: string, reply: string, error?: string}} outcome
+   */
+  async finishProfessionalTurn(sessionId, turn, outcome) {
+    const handler = this.getProfessionalHandler(sessionId);
+    const succeeded = outcome.stopReason === "end_turn" && !turn.timedOut;
+
+    if (turn.type === "planning") {
+      if (!succeeded) {
+        await this.notify(sessionId, "\n\n⚠️ Составление плана прервано.");
+        return;
+      }
+
+      const steps = parsePlanSteps(outcome.reply);
+      if (steps.length === 0) {
+        await this.notify(
+          sessionId,
+          "\n\n⚠️ Не удалось разобрать план из ответа KODA. Уточните задачу и отправьте её снова."
+        );
+        return;
+      }
+
+      handler.createPlan(turn.task, steps);
+      await this.notify(
+        sessionId,
+        `\n\n${handler.formatPlanForDisplay()}\n\n\`/approve\` — начать выполнение, \`/reject\` — отклонить план.`
+      );
+      return;
+    }
+
+    const step = handler.getCurrentStep();
+    if (!step || step.status !== STEP_STATUS.IN_PROGRESS) {
+      return;
+    }
+
+    if (!succeeded) {
+      const reason = turn.timedOut
+        ? `превышен лимит времени шага (${this.config.stepTimeoutMs / 1000} с)`
+        : outcome.error || `stop reason: ${outcome.stopReason}`;
+      await this.failProfessionalStep(sessionId, handler, reason);
+      return;
+    }
+
+    const verifyCommand = handler.getVerifyCommand();
+    if (verifyCommand) {
+      const refused = await this.authorizeVerification(
+        sessionId,
+        verifyCommand
+      );
+      if (refused) {
+        await this.failProfessionalStep(sessionId, handler, refused);
+        return;
+      }
+
+      await this.notify(sessionId, `\n\n🔎 Проверка: \`${verifyCommand}\``);
+      const verification = await runVerification(verifyCommand, {
+        cwd: this.sessions.get(sessionId)?.cwd || process.cwd(),
+        timeoutMs: PROFESSIONAL.VERIFY_TIMEOUT_SEC * 1000,
+        maxOutputChars: PROFESSIONAL.MAX_RESULT_CHARS,
+      });
+
+      if (verification.exitCode !== 0) {
+        const reason = verification.timedOut
+          ? "проверка превысила лимит времени"
+          : `проверка завершилась с кодом ${verification.exitCode ?? "?"}`;
+        await this.failProfessionalStep(
+          sessionId,
+          handler,
+          reason,
+          verification
+        );
+        return;
+      }
+    }
+
+    let result = outcome.reply.slice(-PROFESSIONAL.MAX_RESULT_CHARS);
+    const commit = turn.snapshot
+      ? await this.commitProfessionalStep(sessionId, handler, turn.snapshot)
+      : null;
+    if (commit) {
+      result = `Commit: ${commit}\n\n${result}`.trim();
+    }
+
+    const hasNext = handler.completeCurrentStep(result, commit);
+    if (hasNext) {
+      const next = handler.getCurrentStep();
+      const number = handler.currentPlan.currentStepIndex + 1;
+      const hint = handler.shouldAutoApproveStep()
+        ? ""
+        : "\n\n`/approve` — выполнить, `/skip` — пропустить.";
+      await this.notify(
+        sessionId,
+        `\n\n✅ Шаг "${step.title}" выполнен. Следующий шаг ${number}: ${next.title}${hint}`
+      );
+      return;
+    }
+
+    const progress = handler.getProgress();
+    await this.notify(
+      sessionId,
+      `\n\n🎉 План выполнен: ${progress.completed}/${progress.total} шагов.`
+    );
+    await this.applyStepModel(sessionId, null);
+  }
+
+  /**
+   * Переключить KODA CLI на модель шага плана
+   *
+   * Шаг без своей модели выполняется на модели пользователя; она же
+   * возвращается после завершения плана (step = null).
+   * @private
+   * @param {string} sessionId
+   * @param {import("../session/professional-handler.js").PlanStep|null} step
+   */
+  async applyStepModel(sessionId, step) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    const baseModel = session.baseModel ?? session.model;
+    let model = step?.model || baseModel;
+    if (
+      model !== baseModel &&
+      !this.modelManager.availableModels.some((m) => m.modelId === model)
+    ) {
+      await this.notify(
+        sessionId,
+        `\n\n⚠️ Модель шага \`${model}\` недоступна, шаг выполняется на \`${baseModel}\`.`
+      );
+      model = baseModel;
+    }
+    if (model === session.model) return;
+
+    this.debugLog(`Switching session ${sessionId} to model ${model}`);
+    try {
+      await this.respawnBridge(sessionId, model);
+    } catch (error) {
+      await this.notify(
+        sessionId,
+        `\n\n⚠️ Не удалось переключиться на модель \`${model}\`: ${error.message}`
+      );
+      return;
+    }
+
+    this.modelManager.setModel(sessionId, model);
+    session.baseModel = model === baseModel ? null : baseModel;
+    await this.notify(sessionId, `\n\n🧠 Модель: \`${model}\`\n\n`);
+
+    if (session.seeding) {
+      await session.seeding;
+    }
+  }
+
+  /**
+   * Закоммитить изменения текущего шага в git
+   * @private
+   * @param {string} sessionId
+   * @param {ProfessionalModeHandler} handler
+   * @param {Map<string, string>} snapshot - Состояние рабочей копии до шага
+   * @returns {Promise<string|null>} Хэш коммита
+   */
+  async commitProfessionalStep(sessionId, handler, snapshot) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const message = buildStepCommitMessage(
+      handler.currentPlan,
+      handler.getCurrentStep()
+    );
+    try {
+      const { hash, skipped } = await this.stepCommitter.commit(
+        session.cwd,
+        snapshot,
+        message
+      );
+      if (hash) {
+        await this.notify(sessionId, `\n\n📦 Коммит ${hash.slice(0, 7)}`);
+      }
+      if (skipped.length > 0) {
+        const files = skipped.map(
+          (file) => `- \`${path.relative(session.cwd, file)}\``
+        );
+        await this.notify(
+          sessionId,
+          `\n\n⚠️ Не закоммичены файлы с правками, сделанными до шага:\n${files.join("\n")}`
+        );
+      }
+      return hash;
+    } catch (error) {
+      this.debugLog("Step commit failed:", error.message);
+      await this.notify(
+        sessionId,
+        `\n\n⚠️ Не удалось создать коммит шага: ${error.stderr?.trim() || error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Отменить git-коммит выполненного шага (/step revert)
+   * @private
+   * @param {string} sessionId
+   * @param {ProfessionalModeHandler} handler
+   * @param {number} number - Номер шага (с 1)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async revertProfessionalStep(sessionId, handler, number) {
+    const step = handler.currentPlan.steps[number - 1];
+    if (!step.commit) {
+      return { success: false, message: `У шага ${number} нет коммита` };
+    }
+    if (step.revertedBy) {
+      return {
+        success: false,
+        message: `Коммит шага ${number} уже отменён (${step.revertedBy.slice(0, 7)})`,
+      };
+    }
+
+    try {
+      const revert = await this.stepCommitter.revert(
+        this.sessions.get(sessionId)?.cwd || process.cwd(),
+        step.commit
+      );
+      handler.markStepReverted(number - 1, revert);
+      return {
+        success: true,
+        message: `Коммит шага ${number} (${step.commit.slice(0, 7)}) отменён коммитом ${revert.slice(0, 7)}`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Не удалось отменить коммит шага ${number}: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Отметить текущий шаг неудавшимся и остановить автопилот
+   * @private
+   * @param {string} sessionId
+   * @param {ProfessionalModeHandler} handler
+   * @param {string} reason
+   * @param {import("../session/professional-handler.js").StepVerification} [verification]
+   */
+  async failProfessionalStep(sessionId, handler, reason, verification = null) {
+    const step = handler.getCurrentStep();
+    handler.failCurrentStep(
+      verification ? verification.output || reason : reason,
+      verification
+    );
+
+    let autopilot = "";
+    if (handler.autoApproveSteps) {
+      handler.setAutopilot(false);
+      autopilot = " Автопилот остановлен.";
+    }
+
+    const output = verification?.output
+      ? `\n\n\`\`\`\n${verification.output}\n\`\`\``
+      : "";
+    const retry = verification ? "повторить с выводом проверки" : "повторить";
+    await this.notify(
+      sessionId,
+      `\n\n❌ Шаг "${step.title}" не выполнен (${reason}).${autopilot}${output}\n\n\`/approve\` — ${retry}, \`/skip\` — пропустить, \`/reject\` — отменить план.`
+    );
+  }
+
+  /**
+   * Включить/выключить автопилот через /autopilot (Professional mode)
+   * @private
+   * @param {string} sessionId
+   * @param {{enabled: boolean, until: number|null}|null} options - null = показать статус
+   * @returns {{success: boolean, message: string}}
+   */
+  handleAutopilot(sessionId, options) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    if (!options) {
+      if (!handler.autoApproveSteps) {
+        return { success: true, message: "Автопилот выключен" };
+      }
+      return {
+        success: true,
+        message:
+          handler.autoApproveUntil === null
+            ? "Автопилот включён"
+            : `Автопилот включён до шага ${handler.autoApproveUntil + 1}`,
+      };
+    }
+
+    if (!options.enabled) {
+      handler.setAutopilot(false);
+      return { success: true, message: "Автопилот выключен" };
+    }
+
+    const total = handler.currentPlan?.steps.length;
+    if (options.until && handler.isPlanActive() && options.until > total) {
+      return {
+        success: false,
+        message: `В плане ${total} шагов, номер вне диапазона`,
+      };
+    }
+
+    handler.setAutopilot(true, options.until ? options.until - 1 : null);
+
+    const limit = this.config.stepTimeoutMs
+      ? ` Лимит времени шага: ${this.config.stepTimeoutMs / 1000} с.`
+      : "";
+    const scope = options.until
+      ? `до шага ${options.until} включительно`
+      : "до конца плана";
+    const waiting = handler.isPlanPendingApproval()
+      ? " План начнёт выполняться после `/approve`."
+      : "";
+    return {
+      success: true,
+      message: `Автопилот включён ${scope}: шаги выполняются без \`/approve\` и останавливаются при ошибке или опасной команде.${limit}${waiting}`,
+    };
+  }
+
+  /**
+   * Задать или показать команды проверки через /verify (Professional mode)
+   * @private
+   * @param {string} sessionId
+   * @param {{step: number|null, command: string|null}|null} options - null = показать
+   * @returns {{success: boolean, message: string}}
+   */
+  handleVerify(sessionId, options) {
+    const handler = this.getProfessionalHandler(sessionId);
+    if (!handler.isPlanActive()) {
+      return { success: false, message: "Нет активного плана" };
+    }
+
+    const plan = handler.currentPlan;
+    if (!options) {
+      const lines = [
+        plan.verifyCommand
+          ? `Проверка плана: \`${plan.verifyCommand}\``
+          : "Проверка плана не задана",
+      ];
+      plan.steps.forEach((step, index) => {
+        if (step.verify) {
+          lines.push(`Шаг ${index + 1}: \`${step.verify}\``);
+        }
+      });
+      return { success: true, message: lines.join("\n") };
+    }
+
+    const { step, command } = options;
+    if (step !== null && step > plan.steps.length) {
+      return {
+        success: false,
+        message: `В плане ${plan.steps.length} шагов, номер вне диапазона`,
+      };
+    }
+
+    if (!handler.setVerifyCommand(step === null ? null : step - 1, command)) {
+      return {
+        success: false,
+        message: `Шаг ${step} уже выполнен`,
+      };
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (command && session) {
+      session.confirmedVerify = new Set(session.confirmedVerify).add(command);
+    }
+
+    const target = step === null ? "плана" : `шага ${step}`;
+    return {
+      success: true,
+      message: command
+        ? `Проверка ${target}: \`${command}\``
+        : `Проверка ${target} убрана`,
+    };
+  }
+
+  /**
+   * Проверить команду проверки правилами разрешений перед запуском
+   *
+   * Команды из /plan import и шаблонов пользователь не вводил сам, поэтому
+   * они проходят ту же проверку, что и команды KODA. Команды, заданные через
+   * /verify, уже подтверждены пользователем: для них действуют только запреты.
+   * @private
+   * @param {string} sessionId
+   * @param {string} command
+   * @returns {Promise<string|null>} Причина отказа или null, если можно запускать
+   */
+  async authorizeVerification(sessionId, command) {
+    const mode = this.modeManager.getMode(sessionId);
+    const toolCall = {
+      toolCallId: `verify_${Date.now()}`,
+      title: `Проверка шага: ${command}`,
+      kind: "execute",
+      status: "pending",
+      rawInput: { command },
+    };
+
+    const { decision } = this.permissionHandler.evaluate(
+      sessionId,
+      mode,
+      toolCall
+    );
+    if (decision === "deny") {
+      return "команда проверки запрещена правилами разрешений";
+    }
+    if (
+      decision === "allow" ||
+      this.sessions.get(sessionId)?.confirmedVerify?.has(command)
+    ) {
+      return null;
+    }
+
+    const outcome = await this.permissionHandler.requestPermission(
+      sessionId,
+      toolCall,
+      mode
+    );
+    return outcome.optionId?.startsWith("allow")
+      ? null
+      : "запуск команды проверки не разрешён";
+  }
+
+  /**
+   * Одобрить следующий шаг плана, если включён автопилот
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<Array<Object>|null>} Prompt шага или null
+   */
+  async startAutopilotStep(sessionId) {
+    const handler = this.sessionState.peek(sessionId, "professional");
+    if (
+      !this.sessions.has(sessionId) ||
+      !handler?.autoApproveSteps ||
+      !handler.isStepAwaitingApproval()
+    ) {
+      return null;
+    }
+
+    const number = handler.currentPlan.currentStepIndex + 1;
+    if (!handler.shouldAutoApproveStep()) {
+      handler.setAutopilot(false);
+      await this.notify(
+        sessionId,
+        `\n\n⏸️ Автопилот остановлен перед шагом ${number}. \`/approve\` — продолжить вручную.`
+      );
+      return null;
+    }
+
+    const step = handler.approveCurrentStep();
+    await this.notify(
+      sessionId,
+      `\n\n🤖 Автопилот: шаг ${number} — ${step.title}\n\n`
+    );
+    return [{ type: "text", text: buildStepPrompt(handler.currentPlan, step) }];
+  }
+
+  /**
+   * Запустить таймер лимита времени шага под автопилотом
+   * @private
+   * @param {string} sessionId
+   * @param {Object|null} turn
+   * @returns {NodeJS.Timeout|null}
+   */
+  startStepTimer(sessionId, turn) {
+    const handler = this.sessionState.peek(sessionId, "professional");
+    if (
+      turn?.type !== "step" ||
+      !handler?.autoApproveSteps ||
+      !this.config.stepTimeoutMs
+    ) {
+      return null;
+    }
+
+    return setTimeout(() => {
+      this.debugLog(`Step time limit exceeded in session ${sessionId}`);
+      turn.timedOut = true;
+      this.cancel({ sessionId });
+    }, this.config.stepTimeoutMs);
+  }
+
+  /**
+   * Остановить автопилот, если KODA запускает опасную команду
+   *
+   * Уведомление не ожидается: проверка идёт рядом с запросом разрешения.
+   * @private
+   * @param {string} sessionId
+   * @param {Object} toolCall
+   */
+  checkAutopilotToolCall(sessionId, toolCall) {
+    const handler = this.sessionState.peek(sessionId, "professional");
+    if (
+      !handler?.autoApproveSteps ||
+      this.permissionHandler.getToolType(toolCall) !==
+        TOOL_TYPE.DANGEROUS_COMMAND
+    ) {
+      return;
+    }
+
+    handler.setAutopilot(false);
+    this.notify(
+      sessionId,
+      `\n\n⏸️ Автопилот остановлен: опасная команда "${toolCall.title || "command"}". Текущий шаг продолжится, следующий — после \`/approve\`.\n\n`
+    );
+  }
+
+  /**
+   * Собрать текст ответа KODA, полученного после записи транскрипта
+   * @private
+   * @param {Session} session
+   * @param {number} start - Индекс первой записи ответа
+   * @returns {string}
+   */
+  collectReply(session, start) {
+    return session.transcript
+      .slice(start)
+      .filter((entry) => entry.role === "agent")
+      .flatMap((entry) => entry.content)
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  /**
+   * Изменить шаги плана через /step (Professional mode)
+   * @private
+   * @param {string} sessionId
+   * @param {Object} change - Разобранная команда /step (номера шагов с 1)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async handleStepChange(sessionId, change) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    // Commits of a finished plan can still be reverted
+    const available =
+      change.type === "revert" ? handler.hasPlan() : handler.isPlanActive();
+    if (!available) {
+      return { success: false, message: "Нет активного плана" };
+    }
+
+    const total = handler.currentPlan.steps.length;
+    const outOfRange = [
+      change.step,
+      change.from,
+      change.to,
+      ...(change.dependsOn || []),
+    ].some((n) => n !== undefined && n > total);
+    if (outOfRange || change.after > total) {
+      return {
+        success: false,
+        message: `В плане ${total} шагов, номер вне диапазона`,
+      };
+    }
+
+    switch (change.type) {
+      case "edit":
+        return handler.modifyStep(change.step - 1, change)
+          ? { success: true, message: `Шаг ${change.step} изменён` }
+          : {
+              success: false,
+              message: `Шаг ${change.step} уже выполняется или завершён`,
+            };
+      case "add":
+        return handler.addStep(change.after - 1, change)
+          ? {
+              success: true,
+              message:
+                change.after === 0
+                  ? "Шаг добавлен в начало плана"
+                  : `Шаг добавлен после шага ${change.after}`,
+            }
+          : {
+              success: false,
+              message: "Нельзя добавить шаг перед уже начатыми шагами",
+            };
+      case "remove":
+        return handler.removeStep(change.step - 1)
+          ? { success: true, message: `Шаг ${change.step} удалён` }
+          : {
+              success: false,
+              message: "Можно удалять только ещё не начатые шаги",
+            };
+      case "move":
+        return handler.moveStep(change.from - 1, change.to - 1)
+          ? {
+              success: true,
+              message: `Шаг ${change.from} перемещён на позицию ${change.to}`,
+            }
+          : {
+              success: false,
+              message:
+                "Можно переставлять только ещё не начатые шаги и не раньше их зависимостей",
+            };
+      case "depends":
+        if (
+          !handler.setStepDependencies(
+            change.step - 1,
+            change.dependsOn.map((n) => n - 1)
+          )
+        ) {
+          return {
+            success: false,
+            message:
+              "Зависимости можно менять только у ещё не начатых шагов и без циклов",
+          };
+        }
+        return {
+          success: true,
+          message:
+            change.dependsOn.length > 0
+              ? `Шаг ${change.step} выполнится после шагов ${change.dependsOn.join(", ")}`
+              : `У шага ${change.step} больше нет зависимостей`,
+        };
+      case "model":
+        if (
+          change.model &&
+          !this.modelManager.availableModels.some(
+            (m) => m.modelId === change.model
+          )
+        ) {
+          return {
+            success: false,
+            message: `Модель \`${change.model}\` недоступна. Список: \`/models\``,
+          };
+        }
+        if (!handler.setStepModel(change.step - 1, change.model)) {
+          return {
+            success: false,
+            message: `Шаг ${change.step} уже завершён`,
+          };
+        }
+        return {
+          success: true,
+          message: change.model
+            ? `Шаг ${change.step} выполнится на модели \`${change.model}\``
+            : `Шаг ${change.step} выполнится на модели сессии`,
+        };
+      case "revert":
+        return this.revertProfessionalStep(sessionId, handler, change.step);
+      default:
+        return { success: false, message: "Неизвестное действие" };
+    }
+  }
+
+  /**
+   * Получить прогресс плана (Professional mode)
+   * @private
+   * @param {string} sessionId
+   * @returns {string|null}
+   */
+  getPlanProgress(sessionId) {
+    const handler = this.getProfessionalHandler(sessionId);
+
+    if (!handler.hasPlan()) {
+      return null;
+    }
+
+    return handler.formatPlanForDisplay();
+  }
+
+  // ===========================================================================
+  // Helper Methods
   // ===========================================================================
 
   /**
@@ -1027,6 +3087,20 @@ Waiting for authorization...`;
     return String(prompt);
   }
 
+  /**
+   * Отправить сообщение агента, не прерываясь на ошибках соединения
+   * @private
+   * @param {string} sessionId
+   * @param {string} text
+   */
+  async notify(sessionId, text) {
+    try {
+      await this.sendMessage(sessionId, text);
+    } catch (error) {
+      this.debugLog(`Failed to notify session ${sessionId}: ${error.message}`);
+    }
+  }
+
   /**
    * Отправить сообщение агента
    * @private
@@ -0,0 +1,1526 @@
+/**
+ * Tests for KodaAgent
+ */
+
+import { jest } from "@jest/globals";
+import { execFileSync } from "node:child_process";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+/** @type {Array<Object>} */
+const bridges = [];
+
+const { BridgeSupervisor } = await import("../bridge/supervisor.js");
+
+// Mock KODA CLI bridge - records every spawned instance
+jest.unstable_mockModule("../bridge/index.js", () => ({
+  BridgeSupervisor,
+  KodaAcpBridge: class {
+    constructor(config, callbacks) {
+      this.config = config;
+      this.callbacks = callbacks;
+      this.spawn = jest.fn().mockResolvedValue(undefined);
+      this.createSession = jest.fn().mockResolvedValue({ sessionId: "koda" });
+      this.sendPrompt = jest.fn().mockResolvedValue({ stopReason: "end_turn" });
+      this.sendResponse = jest.fn();
+      this.sendCancel = jest.fn();
+      this.kill = jest.fn();
+      this.isRunning = jest.fn().mockReturnValue(true);
+      bridges.push(this);
+    }
+  },
+}));
+
+jest.unstable_mockModule("../models/api-client.js", () => ({
+  fetchModels: jest.fn().mockResolvedValue({
+    freeModels: [
+      { modelId: "KodaAgent", name: "KodaAgent", requiresAuth: false },
+    ],
+    premiumModels: [],
+  }),
+  invalidateCache: jest.fn(),
+}));
+
+jest.unstable_mockModule("../auth/index.js", () => ({
+  hasStoredToken: jest.fn().mockResolvedValue(false),
+  deleteToken: jest.fn(),
+  authenticate: jest.fn(),
+  pollDeviceFlow: jest.fn(),
+  openBrowser: jest.fn(),
+}));
+
+const { KodaAgent } = await import("./koda-agent.js");
+const { CheckpointStore, SessionStorage } = await import("../session/index.js");
+
+/**
+ * Дождаться завершения фоновых записей на диск
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+describe("KodaAgent", () => {
+  let agent;
+  let connection;
+  let dir;
+  let project;
+
+  beforeEach(async () => {
+    bridges.length = 0;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "koda-agent-"));
+    project = path.join(dir, "project");
+
+    connection = {
+      sessionUpdate: jest.fn().mockResolvedValue(undefined),
+      requestPermission: jest.fn(),
+      readTextFile: jest.fn(),
+      writeTextFile: jest.fn().mockResolvedValue({}),
+      extMethod: jest.fn(),
+    };
+
+    agent = new KodaAgent(connection, {
+      kodaCommand: "koda",
+      extraArgs: [],
+      defaultMode: "default",
+      defaultModel: "",
+      debug: false,
+    });
+    agent.sessionStorage = new SessionStorage({ dir });
+    agent.checkpoints = new CheckpointStore({
+      dir: path.join(dir, "checkpoints"),
+    });
+    agent.permissionHandler.store.userFile = path.join(dir, "permissions.json");
+    agent.supervisor.sleep = () => Promise.resolve();
+  });
+
+  afterEach(async () => {
+    await flush();
+    await Promise.allSettled([
+      ...agent.planStorage.writeQueue.values(),
+      ...agent.sessionStorage.writeQueue.values(),
+    ]);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe("initialize", () => {
+    test("advertises loadSession support", async () => {
+      const result = await agent.initialize();
+      expect(result.agentCapabilities.loadSession).toBe(true);
+    });
+  });
+
+  describe("session persistence", () => {
+    test("persists new session and transcript after a prompt", async () => {
+      const { sessionId } = await agent.newSession({
+        cwd: "/project",
+        mcpServers: [],
+      });
+
+      bridges[0].sendPrompt.mockImplementation(async () => {
+        await agent.handleKodaMessage(sessionId, {
+          method: "session/update",
+          params: {
+            update: {
+              sessionUpdate: "agent_message_chunk",
+              content: { type: "text", text: "Hi there" },
+            },
+          },
+        });
+        return { stopReason: "end_turn" };
+      });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "Hello" }],
+      });
+      await flush();
+
+      const record = await agent.sessionStorage.load(sessionId);
+      expect(record.cwd).toBe("/project");
+      expect(record.transcript).toEqual([
+        { role: "user", content: [{ type: "text", text: "Hello" }] },
+        { role: "agent", content: [{ type: "text", text: "Hi there" }] },
+      ]);
+    });
+
+    test("persists mode changes", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+
+      await agent.setSessionMode({ sessionId, modeId: "plan" });
+      await flush();
+
+      expect((await agent.sessionStorage.load(sessionId)).mode).toBe("plan");
+    });
+
+    test("deletes the saved session when the session is removed", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      await flush();
+
+      agent.cleanupSession(sessionId);
+      await Promise.allSettled([...agent.sessionStorage.writeQueue.values()]);
+
+      expect(await agent.sessionStorage.load(sessionId)).toBeNull();
+    });
+
+    test("does not record slash commands in the transcript", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/status" }],
+      });
+
+      expect(agent.sessions.get(sessionId).transcript).toEqual([]);
+    });
+  });
+
+  describe("handleKodaRequest", () => {
+    test("returns an error to KODA for writes in plan mode", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      await agent.setSessionMode({ sessionId, modeId: "plan" });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 7,
+        method: "fs/write_text_file",
+        params: { path: "/project/a.js", content: "x" },
+      });
+
+      expect(connection.writeTextFile).not.toHaveBeenCalled();
+      expect(bridges[0].sendResponse).toHaveBeenCalledWith(
+        7,
+        null,
+        expect.objectContaining({
+          code: -32000,
+          message: expect.stringContaining("plan mode"),
+        })
+      );
+    });
+
+    test("forwards writes in default mode", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 8,
+        method: "fs/write_text_file",
+        params: { path: "/project/a.js", content: "x" },
+      });
+
+      expect(connection.writeTextFile).toHaveBeenCalledWith({
+        sessionId,
+        path: "/project/a.js",
+        content: "x",
+      });
+      expect(bridges[0].sendResponse).toHaveBeenCalledWith(8, {});
+    });
+
+    test("writes to the path the sandbox checked", async () => {
+      await fs.mkdir(path.join(project, "real"), { recursive: true });
+      await fs.symlink(path.join(project, "real"), path.join(project, "link"));
+      const { sessionId } = await agent.newSession({ cwd: project });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 9,
+        method: "fs/write_text_file",
+        params: { path: path.join(project, "link", "a.js"), content: "x" },
+      });
+
+      expect(connection.writeTextFile).toHaveBeenCalledWith({
+        sessionId,
+        path: path.join(await fs.realpath(project), "real", "a.js"),
+        content: "x",
+      });
+    });
+
+    test("asks before KODA reads files outside the workspace", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      connection.requestPermission.mockResolvedValue({
+        outcome: { outcome: "selected", optionId: "reject" },
+      });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 10,
+        method: "fs/read_text_file",
+        params: { path: "/etc/passwd" },
+      });
+
+      expect(connection.readTextFile).not.toHaveBeenCalled();
+      expect(connection.requestPermission).toHaveBeenCalledWith(
+        expect.objectContaining({
+          toolCall: expect.objectContaining({
+            locations: [{ path: expect.stringMatching(/passwd$/) }],
+          }),
+        })
+      );
+      expect(bridges[0].sendResponse).toHaveBeenCalledWith(
+        10,
+        null,
+        expect.objectContaining({
+          message: expect.stringContaining("outside the workspace"),
+        })
+      );
+    });
+
+    test("runs the ACP terminal lifecycle for KODA", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      const terminal = {
+        id: "term-1",
+        currentOutput: jest
+          .fn()
+          .mockResolvedValue({ output: "done\n", truncated: false }),
+        waitForExit: jest.fn().mockResolvedValue({ exitCode: 0 }),
+        kill: jest.fn().mockResolvedValue({}),
+        release: jest.fn().mockResolvedValue({}),
+      };
+      connection.createTerminal = jest.fn().mockResolvedValue(terminal);
+
+      const request = (id, method, params) =>
+        agent.handleKodaMessage(sessionId, { id, method, params });
+
+      await request(20, "terminal/create", {
+        sessionId: "koda",
+        command: "npm",
+        args: ["test"],
+        outputByteLimit: 4096,
+      });
+      await request(21, "terminal/wait_for_exit", { terminalId: "term-1" });
+      await request(22, "terminal/output", { terminalId: "term-1" });
+      await request(23, "terminal/release", { terminalId: "term-1" });
+      await request(24, "terminal/kill", { terminalId: "term-1" });
+
+      expect(connection.createTerminal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sessionId,
+          command: "npm",
+          args: ["test"],
+          outputByteLimit: 4096,
+        })
+      );
+      const send = bridges[0].sendResponse;
+      expect(send).toHaveBeenCalledWith(20, { terminalId: "term-1" });
+      expect(send).toHaveBeenCalledWith(21, { exitCode: 0 });
+      expect(send).toHaveBeenCalledWith(22, {
+        output: "done\n",
+        truncated: false,
+      });
+      expect(send).toHaveBeenCalledWith(23, {});
+      // Released terminals are forgotten
+      expect(send).toHaveBeenCalledWith(
+        24,
+        null,
+        expect.objectContaining({ message: "Unknown terminal: term-1" })
+      );
+      expect(terminal.kill).not.toHaveBeenCalled();
+    });
+
+    test("rejects unknown terminal methods instead of forwarding them", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 12,
+        method: "terminal/send_input",
+        params: { terminalId: "t1", input: "rm -rf /\n" },
+      });
+
+      expect(connection.extMethod).not.toHaveBeenCalled();
+      expect(bridges[0].sendResponse).toHaveBeenCalledWith(
+        12,
+        null,
+        expect.objectContaining({
+          code: -32601,
+          message: "Method not found: terminal/send_input",
+        })
+      );
+    });
+
+    test("releases KODA's terminals when the session is cleaned up", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      const release = jest.fn().mockResolvedValue({});
+      connection.createTerminal = jest
+        .fn()
+        .mockResolvedValue({ id: "term-1", release });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 25,
+        method: "terminal/create",
+        params: { command: "npm", args: ["start"] },
+      });
+      agent.cleanupSession(sessionId);
+
+      expect(release).toHaveBeenCalled();
+    });
+
+    test("attaches a diff to KODA's permission requests for edits", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      connection.readTextFile.mockResolvedValue({ content: "a = 1\n" });
+      connection.requestPermission.mockResolvedValue({
+        outcome: { outcome: "selected", optionId: "allow" },
+      });
+
+      await agent.handleKodaMessage(sessionId, {
+        id: 9,
+        method: "session/request_permission",
+        params: {
+          toolCall: {
+            toolCallId: "edit-1",
+            title: "Edit a.js",
+            kind: "edit",
+            rawInput: {
+              file_path: "/project/a.js",
+              old_string: "1",
+              new_string: "2",
+            },
+          },
+          options: [],
+        },
+      });
+
+      expect(connection.readTextFile).toHaveBeenCalledWith({
+        sessionId,
+        path: "/project/a.js",
+      });
+      expect(
+        connection.requestPermission.mock.calls[0][0].toolCall.content
+      ).toEqual([
+        {
+          type: "diff",
+          path: "/project/a.js",
+          oldText: "a = 1\n",
+          newText: "a = 2\n",
+        },
+      ]);
+    });
+  });
+
+  describe("/undo and /checkpoints", () => {
+    /**
+     * Ход, в котором KODA записывает файлы через клиента
+     */
+    async function turnWithWrites(sessionId, text, files) {
+      bridges[0].sendPrompt.mockImplementationOnce(async () => {
+        for (const [name, content] of Object.entries(files)) {
+          await agent.handleKodaMessage(sessionId, {
+            id: name,
+            method: "fs/write_text_file",
+            params: { path: path.join(project, name), content },
+          });
+        }
+        return { stopReason: "end_turn" };
+      });
+      await agent.prompt({ sessionId, prompt: [{ type: "text", text }] });
+    }
+
+    function lastMessage() {
+      const texts = connection.sessionUpdate.mock.calls
+        .map(([{ update }]) => update.content?.text)
+        .filter(Boolean);
+      return texts[texts.length - 1];
+    }
+
+    const read = (name) => fs.readFile(path.join(project, name), "utf8");
+
+    test("restores files written by the agent turn by turn", async () => {
+      await fs.mkdir(project, { recursive: true });
+      await fs.writeFile(path.join(project, "app.js"), "v1");
+      connection.writeTextFile.mockImplementation(async (params) => {
+        await fs.writeFile(params.path, params.content);
+        return {};
+      });
+      const { sessionId } = await agent.newSession({ cwd: project });
+
+      await turnWithWrites(sessionId, "Refactor app", {
+        "app.js": "v2",
+        "new.js": "new",
+      });
+      await turnWithWrites(sessionId, "Fix typo", { "app.js": "v3" });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/checkpoints" }],
+      });
+      expect(lastMessage()).toMatch(/1\. .*«Fix typo»: app\.js/);
+      expect(lastMessage()).toMatch(/2\. .*«Refactor app»: app\.js, new\.js/);
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/undo" }],
+      });
+      expect(await read("app.js")).toBe("v2");
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/checkpoints restore 1" }],
+      });
+      expect(await read("app.js")).toBe("v1");
+      await expect(read("new.js")).rejects.toThrow();
+      expect(lastMessage()).toContain("new.js (удалён)");
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/undo" }],
+      });
+      expect(lastMessage()).toContain("Нет изменений файлов для отмены");
+    });
+  });
+
+  describe("/permissions", () => {
+    test("saves project rules and loads them in new sessions", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      const run = async (text) => {
+        await agent.prompt({
+          sessionId,
+          prompt: [{ type: "text", text }],
+        });
+        return connection.sessionUpdate.mock.calls.at(-1)[0].update.content
+          .text;
+      };
+
+      expect(
+        await run("/permissions allow prefix npm run --project")
+      ).toContain("Правило добавлено: команды `npm run …`");
+      await run("/permissions allow command make");
+      expect(await run("/permissions allow path src/** --project")).toContain(
+        "можно разрешать только неопасные команды и префиксы команд"
+      );
+      expect(await run("/permissions")).toContain(
+        "1. разрешить: команда `make` — сессия\n2. разрешить: команды `npm run …` — проект"
+      );
+
+      const other = await agent.newSession({ cwd: project });
+      const tool = { kind: "execute", rawInput: { command: "npm run build" } };
+      expect(
+        agent.permissionHandler.needsPermission(
+          other.sessionId,
+          "default",
+          tool
+        )
+      ).toBe(false);
+      expect(
+        agent.permissionHandler.needsPermission(other.sessionId, "default", {
+          kind: "execute",
+          rawInput: { command: "make" },
+        })
+      ).toBe(true);
+
+      expect(await run("/permissions remove 2")).toContain("Правило удалено");
+      const saved = JSON.parse(
+        await fs.readFile(
+          path.join(project, ".koda", "permissions.json"),
+          "utf8"
+        )
+      );
+      expect(saved.allow).toEqual([]);
+    });
+
+    test("applies deny rules from the project and user files", async () => {
+      await fs.mkdir(path.join(project, ".koda"), { recursive: true });
+      await fs.writeFile(
+        path.join(project, ".koda", "permissions.json"),
+        JSON.stringify({
+          version: 1,
+          deny: [
+            { match: "path", pattern: "migrations/**", toolType: "file_edit" },
+          ],
+        })
+      );
+      await fs.writeFile(
+        path.join(dir, "permissions.json"),
+        JSON.stringify({
+          version: 1,
+          ask: [{ match: "path", pattern: "**/package.json" }],
+        })
+      );
+      const { sessionId } = await agent.newSession({ cwd: project });
+      await agent.setSessionMode({ sessionId, modeId: "yolo" });
+      const migration = path.join(project, "migrations", "001.sql");
+
+      await agent.handleKodaMessage(sessionId, {
+        method: "session/update",
+        params: {
+          update: {
+            sessionUpdate: "tool_call",
+            toolCallId: "edit-1",
+            title: "Edit 001.sql",
+            kind: "edit",
+            rawInput: { file_path: migration, content: "drop table x;" },
+          },
+        },
+      });
+      await agent.handleKodaMessage(sessionId, {
+        id: 11,
+        method: "fs/write_text_file",
+        params: { path: migration, content: "drop table x;" },
+      });
+
+      expect(connection.requestPermission).not.toHaveBeenCalled();
+      expect(connection.sessionUpdate).toHaveBeenCalledWith({
+        sessionId,
+        update: expect.objectContaining({
+          toolCallId: "edit-1",
+          status: "failed",
+          rawOutput: expect.objectContaining({ denied: true }),
+        }),
+      });
+      expect(connection.writeTextFile).not.toHaveBeenCalled();
+      expect(bridges[0].sendResponse).toHaveBeenCalledWith(
+        11,
+        null,
+        expect.objectContaining({
+          message: expect.stringContaining("denied by a project"),
+        })
+      );
+
+      const response = await agent.handlePermissionRequest(sessionId, {
+        toolCall: {
+          toolCallId: "edit-2",
+          title: "Edit 002.sql",
+          kind: "edit",
+          rawInput: { file_path: path.join(project, "migrations", "002.sql") },
+        },
+        options: [
+          { optionId: "yes", kind: "allow_once" },
+          { optionId: "no", kind: "reject_once" },
+        ],
+      });
+      expect(response.outcome).toEqual({ outcome: "selected", optionId: "no" });
+
+      // The user's ask rule prompts even in YOLO mode
+      expect(
+        agent.permissionHandler.evaluate(sessionId, "yolo", {
+          kind: "edit",
+          rawInput: { file_path: path.join(project, "package.json") },
+        }).decision
+      ).toBe("ask");
+    });
+  });
+
+  describe("model switching", () => {
+    /**
+     * Создать сессию с одним обменом сообщениями
+     */
+    async function sessionWithHistory() {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      const session = agent.sessions.get(sessionId);
+      session.transcript.push(
+        { role: "user", content: [{ type: "text", text: "Fix login" }] },
+        { role: "agent", content: [{ type: "text", text: "Fixed auth.js" }] }
+      );
+      return { sessionId, session };
+    }
+
+    test("replays the transcript into the new KODA session", async () => {
+      const { sessionId, session } = await sessionWithHistory();
+
+      await agent.unstable_setSessionModel({ sessionId, modelId: "KodaAgent" });
+      await session.seeding;
+
+      expect(bridges).toHaveLength(2);
+      expect(bridges[0].kill).toHaveBeenCalled();
+      const [[seed]] = bridges[1].sendPrompt.mock.calls;
+      expect(seed[0].text).toContain("User: Fix login");
+      expect(seed[0].text).toContain("Assistant: Fixed auth.js");
+    });
+
+    test("hides KODA's reply to the restore prompt", async () => {
+      const { sessionId, session } = await sessionWithHistory();
+      connection.sessionUpdate.mockClear();
+
+      await agent.unstable_setSessionModel({ sessionId, modelId: "KodaAgent" });
+      bridges[1].sendPrompt.mockImplementation(async () => {
+        await agent.handleKodaMessage(sessionId, {
+          method: "session/update",
+          params: {
+            update: {
+              sessionUpdate: "agent_message_chunk",
+              content: { type: "text", text: "OK" },
+            },
+          },
+        });
+        return { stopReason: "end_turn" };
+      });
+      agent.seedContext(sessionId);
+      await session.seeding;
+
+      expect(connection.sessionUpdate).not.toHaveBeenCalled();
+      expect(session.transcript).toHaveLength(2);
+    });
+
+    test("summary strategy asks the old session for a summary", async () => {
+      agent.config.contextTransfer = "summary";
+      const { sessionId, session } = await sessionWithHistory();
+      bridges[0].sendPrompt.mockImplementation(async () => {
+        await agent.handleKodaMessage(sessionId, {
+          method: "session/update",
+          params: {
+            update: {
+              sessionUpdate: "agent_message_chunk",
+              content: { type: "text", text: "Goal: fix login" },
+            },
+          },
+        });
+        return { stopReason: "end_turn" };
+      });
+
+      await agent.unstable_setSessionModel({ sessionId, modelId: "KodaAgent" });
+      await session.seeding;
+
+      const [[seed]] = bridges[1].sendPrompt.mock.calls;
+      expect(seed[0].text).toContain("Goal: fix login");
+      expect(seed[0].text).not.toContain("Fixed auth.js");
+    });
+
+    test("none strategy starts a blank KODA session", async () => {
+      agent.config.contextTransfer = "none";
+      const { sessionId } = await sessionWithHistory();
+
+      await agent.unstable_setSessionModel({ sessionId, modelId: "KodaAgent" });
+
+      expect(bridges[1].sendPrompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("/clear", () => {
+    test("respawns KODA and resets per-session state", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      const session = agent.sessions.get(sessionId);
+      session.transcript.push({
+        role: "user",
+        content: [{ type: "text", text: "old" }],
+      });
+      agent.planCollector.addEntry(sessionId, { title: "Edit", kind: "edit" });
+      agent
+        .getProfessionalHandler(sessionId)
+        .createPlan("Task", [{ title: "Step" }]);
+      agent.permissionHandler
+        .getSessionRules(sessionId)
+        .push({ match: "command", pattern: "npm test" });
+      agent.interceptor.getState(sessionId).blockedToolCalls.set("tc1", {});
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/clear" }],
+      });
+
+      expect(bridges).toHaveLength(2);
+      expect(bridges[1].sendPrompt).not.toHaveBeenCalled();
+      expect(session.kodaBridge).toBe(bridges[1]);
+      expect(session.transcript).toEqual([]);
+      expect(agent.planCollector.getPlan(sessionId)).toEqual([]);
+      expect(agent.getProfessionalHandler(sessionId).hasPlan()).toBe(false);
+      expect(agent.permissionHandler.getSessionRules(sessionId)).toEqual([]);
+      expect(agent.interceptor.getState(sessionId).blockedToolCalls.size).toBe(
+        0
+      );
+
+      const texts = connection.sessionUpdate.mock.calls.map(
+        ([params]) => params.update.content?.text || ""
+      );
+      expect(texts.some((t) => t.includes("план Plan Mode (записей: 1)"))).toBe(
+        true
+      );
+    });
+
+    test("starts a fresh session record", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      await flush();
+      const filePath = agent.sessionStorage.getFilePath(sessionId);
+      const record = JSON.parse(await fs.readFile(filePath, "utf8"));
+      record.createdAt = "2000-01-01T00:00:00.000Z";
+      await fs.writeFile(filePath, JSON.stringify(record));
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/clear" }],
+      });
+      await flush();
+      await Promise.allSettled([...agent.sessionStorage.writeQueue.values()]);
+
+      const saved = await agent.sessionStorage.load(sessionId);
+      expect(saved.transcript).toEqual([]);
+      expect(saved.createdAt).not.toBe("2000-01-01T00:00:00.000Z");
+    });
+  });
+
+  describe("/retry", () => {
+    const original = [
+      { type: "text", text: "Fix login" },
+      { type: "resource_link", uri: "file:///project/auth.js", name: "auth" },
+    ];
+
+    test("resends the last prompt with the same content blocks", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      await agent.prompt({ sessionId, prompt: original });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/retry" }],
+      });
+
+      expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(2);
+      expect(bridges[0].sendPrompt.mock.calls[1][0]).toEqual(original);
+    });
+
+    test("appends extra instructions with edit", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      await agent.prompt({ sessionId, prompt: original });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/retry edit keep it short" }],
+      });
+
+      const [resent] = bridges[0].sendPrompt.mock.calls[1];
+      expect(resent.slice(0, 2)).toEqual(original);
+      expect(resent[2].text).toContain("keep it short");
+    });
+
+    test("applies each edit to the original prompt", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      await agent.prompt({ sessionId, prompt: original });
+
+      for (const text of [
+        "/retry edit keep it short",
+        "/retry edit add tests",
+      ]) {
+        await agent.prompt({ sessionId, prompt: [{ type: "text", text }] });
+      }
+
+      const [resent] = bridges[0].sendPrompt.mock.calls[2];
+      expect(resent).toHaveLength(3);
+      expect(resent[2].text).toContain("add tests");
+      expect(resent[2].text).not.toContain("keep it short");
+    });
+
+    test("retries the user's task, not the Professional planning request", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.modeManager.setMode(sessionId, "professional");
+      await agent.prompt({ sessionId, prompt: original });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/retry" }],
+      });
+
+      expect(agent.sessions.get(sessionId).lastPrompt).toEqual(original);
+      const [planning] = bridges[0].sendPrompt.mock.calls[1];
+      expect(planning[0].text.match(/\[Planning\]/g)).toHaveLength(1);
+      expect(planning[0].text).toContain("Fix login");
+      expect(planning.slice(1)).toEqual(original.slice(1));
+    });
+
+    test("switches the model before resending with --model", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.sessions.get(sessionId).model = "other";
+      await agent.prompt({ sessionId, prompt: original });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/retry --model KodaAgent" }],
+      });
+
+      expect(bridges).toHaveLength(2);
+      expect(agent.sessions.get(sessionId).model).toBe("KodaAgent");
+      const calls = bridges[1].sendPrompt.mock.calls;
+      expect(calls[calls.length - 1][0]).toEqual(original);
+    });
+
+    test("does not contact KODA when there is nothing to retry", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+
+      await agent.prompt({
+        sessionId,
+        prompt: [{ type: "text", text: "/retry" }],
+      });
+
+      expect(bridges[0].sendPrompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("professional mode", () => {
+    /**
+     * Ответить на prompt текстом, как это делает KODA CLI
+     */
+    function replyWith(sessionId, bridge, text, stopReason = "end_turn") {
+      bridge.sendPrompt.mockImplementationOnce(async () => {
+        await agent.handleKodaMessage(sessionId, {
+          method: "session/update",
+          params: {
+            update: {
+              sessionUpdate: "agent_message_chunk",
+              content: { type: "text", text },
+            },
+          },
+        });
+        return { stopReason };
+      });
+    }
+
+    async function send(sessionId, text) {
+      return agent.prompt({ sessionId, prompt: [{ type: "text", text }] });
+    }
+
+    async function professionalSession() {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.modeManager.setMode(sessionId, "professional");
+      replyWith(
+        sessionId,
+        bridges[0],
+        '```json\n{"steps": [{"title": "Add tokens"}, {"title": "Add toggle"}]}\n```'
+      );
+      await send(sessionId, "Add dark theme");
+      return sessionId;
+    }
+
+    test("asks KODA for a plan and waits for approval", async () => {
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+
+      const [[planning]] = bridges[0].sendPrompt.mock.calls;
+      expect(planning[0].text).toContain("[Planning]");
+      expect(planning[0].text).toContain("Add dark theme");
+      expect(handler.isPlanPendingApproval()).toBe(true);
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual([
+        "Add tokens",
+        "Add toggle",
+      ]);
+    });
+
+    test("records the user's words, not the prompts sent to KODA", async () => {
+      const sessionId = await professionalSession();
+      await send(sessionId, "/approve");
+      replyWith(sessionId, bridges[0], "Added tokens");
+      await send(sessionId, "/approve");
+
+      const users = agent.sessions
+        .get(sessionId)
+        .transcript.filter((entry) => entry.role === "user")
+        .map((entry) => entry.content[0].text);
+      expect(users).toEqual(["Add dark theme", "Шаг 1: Add tokens"]);
+    });
+
+    test("runs each approved step as its own prompt", async () => {
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+
+      await send(sessionId, "/approve");
+      expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(1);
+
+      replyWith(sessionId, bridges[0], "Added tokens to theme.css");
+      await send(sessionId, "/approve");
+
+      const [stepPrompt] = bridges[0].sendPrompt.mock.calls[1];
+      expect(stepPrompt[0].text).toContain("Now do step 1 only: Add tokens");
+      expect(handler.currentPlan.steps[0].status).toBe("completed");
+      expect(handler.currentPlan.steps[0].result).toBe(
+        "Added tokens to theme.css"
+      );
+      expect(handler.isStepAwaitingApproval()).toBe(true);
+    });
+
+    test("marks the step failed and retries it on /approve", async () => {
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+      await send(sessionId, "/approve");
+
+      replyWith(sessionId, bridges[0], "Stopped", "cancelled");
+      await send(sessionId, "/approve");
+      expect(handler.getCurrentStep().status).toBe("failed");
+
+      await send(sessionId, "/approve");
+      expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(3);
+      expect(handler.currentPlan.steps[0].status).toBe("completed");
+    });
+
+    test("pushes the plan to the plan panel on every change", async () => {
+      const sessionId = await professionalSession();
+      await flush();
+
+      const plans = () =>
+        connection.sessionUpdate.mock.calls
+          .map(([params]) => params.update)
+          .filter((update) => update.sessionUpdate === "plan");
+
+      expect(plans().at(-1).entries).toEqual([
+        { content: "1. Add tokens", priority: "high", status: "pending" },
+        { content: "2. Add toggle", priority: "medium", status: "pending" },
+      ]);
+
+      await send(sessionId, "/approve");
+      await send(sessionId, "/approve");
+      await flush();
+
+      expect(
+        plans()
+          .at(-1)
+          .entries.map((e) => e.status)
+      ).toEqual(["completed", "pending"]);
+    });
+
+    test("edits the plan with /step before approval", async () => {
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+
+      await send(sessionId, "/step add 2 Write docs -- README section");
+      await send(sessionId, "/step move 3 1");
+      await send(sessionId, "/step edit 2 Add color tokens");
+      await send(sessionId, "/step remove 9");
+
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual([
+        "Write docs",
+        "Add color tokens",
+        "Add toggle",
+      ]);
+      const texts = connection.sessionUpdate.mock.calls.map(
+        ([params]) => params.update.content?.text || ""
+      );
+      expect(texts.some((t) => t.includes("номер вне диапазона"))).toBe(true);
+      expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(1);
+    });
+
+    test("saves the plan and resumes it in a new session", async () => {
+      const sessionId = await professionalSession();
+      await send(sessionId, "/approve");
+      await Promise.all([...agent.planStorage.writeQueue.values()]);
+
+      const { sessionId: next } = await agent.newSession({ cwd: project });
+      await send(next, "/plan resume");
+
+      const handler = agent.getProfessionalHandler(next);
+      expect(handler.currentPlan.taskDescription).toBe("Add dark theme");
+      expect(handler.isStepAwaitingApproval()).toBe(true);
+      expect(agent.modeManager.getMode(next)).toBe("professional");
+    });
+
+    test("/plan resume reports when nothing is saved", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+
+      await send(sessionId, "/plan resume");
+
+      const texts = connection.sessionUpdate.mock.calls.map(
+        ([params]) => params.update.content?.text || ""
+      );
+      expect(texts.some((t) => t.includes("Нет сохранённых"))).toBe(true);
+    });
+
+    test("does not start a new task while a plan is active", async () => {
+      const sessionId = await professionalSession();
+
+      await send(sessionId, "Something else");
+
+      expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(1);
+    });
+
+    test("keeps the plan unset when the reply has no steps", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.modeManager.setMode(sessionId, "professional");
+      replyWith(sessionId, bridges[0], "I need more details.");
+
+      await send(sessionId, "Do it");
+
+      expect(agent.getProfessionalHandler(sessionId).hasPlan()).toBe(false);
+    });
+
+    test("/plan execute turns a Plan Mode draft into a plan", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.modeManager.setMode(sessionId, "plan");
+      bridges[0].sendPrompt.mockImplementationOnce(async () => {
+        await agent.handleKodaMessage(sessionId, {
+          method: "session/update",
+          params: {
+            update: {
+              sessionUpdate: "tool_call",
+              toolCallId: "t1",
+              title: "Edit theme.css",
+              kind: "edit",
+              rawInput: { path: path.join(project, "theme.css") },
+            },
+          },
+        });
+        return { stopReason: "end_turn" };
+      });
+      await send(sessionId, "Add dark theme");
+
+      await send(sessionId, "/plan execute");
+
+      const handler = agent.getProfessionalHandler(sessionId);
+      expect(handler.isPlanPendingApproval()).toBe(true);
+      expect(handler.currentPlan.taskDescription).toBe("Add dark theme");
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual([
+        "Edit theme.css",
+      ]);
+      expect(agent.modeManager.getMode(sessionId)).toBe("professional");
+      expect(agent.planCollector.getPlan(sessionId)).toEqual([]);
+    });
+
+    test("/plan export and import round-trip a plan", async () => {
+      const sessionId = await professionalSession();
+      await send(sessionId, "/approve");
+      replyWith(sessionId, bridges[0], "Added tokens");
+      await send(sessionId, "/approve");
+
+      await send(sessionId, "/plan export plans/theme.md");
+      const markdown = await fs.readFile(
+        path.join(project, "plans", "theme.md"),
+        "utf8"
+      );
+      expect(markdown).toContain("- [x] 1. Add tokens _(completed)_");
+      await send(sessionId, "/reject");
+
+      const { sessionId: next } = await agent.newSession({ cwd: project });
+      await send(next, "/plan import plans/theme.md");
+
+      const handler = agent.getProfessionalHandler(next);
+      expect(handler.currentPlan.taskDescription).toBe("Add dark theme");
+      expect(handler.getCurrentStep().title).toBe("Add toggle");
+      expect(handler.currentPlan.steps[0].result).toBe("Added tokens");
+      expect(agent.modeManager.getMode(next)).toBe("professional");
+    });
+
+    test("/plan new creates a plan from a project template", async () => {
+      const templates = path.join(project, ".koda", "plan-templates");
+      await fs.mkdir(templates, { recursive: true });
+      await fs.writeFile(
+        path.join(templates, "rest-endpoint.md"),
+        [
+          "# Plan: Add REST endpoint {{name}}",
+          "- Verify: `npm test`",
+          "",
+          "- [ ] 1. Add route /api/{{name}}",
+          "- [ ] 2. Write tests for {{name}}",
+          "  Depends on: 1",
+        ].join("\n")
+      );
+      const { sessionId } = await agent.newSession({ cwd: project });
+      const handler = agent.getProfessionalHandler(sessionId);
+
+      await send(sessionId, "/plan new rest-endpoint");
+      expect(handler.hasPlan()).toBe(false);
+
+      await send(sessionId, "/plan new rest-endpoint name=users");
+
+      expect(handler.currentPlan.taskDescription).toBe(
+        "Add REST endpoint users"
+      );
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual([
+        "Add route /api/users",
+        "Write tests for users",
+      ]);
+      expect(handler.currentPlan.verifyCommand).toBe("npm test");
+      expect(handler.isPlanPendingApproval()).toBe(true);
+      expect(agent.modeManager.getMode(sessionId)).toBe("professional");
+      expect(bridges[0].sendPrompt).not.toHaveBeenCalled();
+    });
+
+    test("fails a step when its verification command fails", async () => {
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+      await fs.mkdir(project, { recursive: true });
+      const node = JSON.stringify(process.execPath);
+      await send(sessionId, "/approve");
+      await send(
+        sessionId,
+        `/verify ${node} -e "console.log('2 failing'); process.exit(1)"`
+      );
+
+      replyWith(sessionId, bridges[0], "Added tokens");
+      await send(sessionId, "/approve");
+
+      expect(handler.getCurrentStep().status).toBe("failed");
+      expect(handler.getCurrentStep().result).toBe("2 failing");
+
+      await send(sessionId, `/verify ${node} -e "process.exit(0)"`);
+      await send(sessionId, "/approve");
+
+      const [retry] = bridges[0].sendPrompt.mock.calls[2];
+      expect(retry[0].text).toContain("exited with code 1");
+      expect(retry[0].text).toContain("2 failing");
+      expect(handler.currentPlan.steps[0].status).toBe("completed");
+    });
+
+    test("asks before running a verification command from a template", async () => {
+      const templates = path.join(project, ".koda", "plan-templates");
+      await fs.mkdir(templates, { recursive: true });
+      const node = JSON.stringify(process.execPath);
+      const verify = `${node} -e "require('fs').writeFileSync('verified', '')"`;
+      await fs.writeFile(
+        path.join(templates, "theme.md"),
+        [
+          "# Plan: Add theme",
+          `- Verify: \`${verify}\``,
+          "",
+          "- [ ] Add tokens",
+        ].join("\n")
+      );
+      const { sessionId } = await agent.newSession({ cwd: project });
+      agent.modeManager.setMode(sessionId, "professional");
+      const handler = agent.getProfessionalHandler(sessionId);
+      connection.requestPermission.mockResolvedValue({
+        outcome: { outcome: "selected", optionId: "reject" },
+      });
+
+      await send(sessionId, "/plan new theme");
+      await send(sessionId, "/approve");
+      replyWith(sessionId, bridges[0], "Added tokens");
+      await send(sessionId, "/approve");
+
+      const [[request]] = connection.requestPermission.mock.calls;
+      expect(request.toolCall.rawInput).toEqual({ command: verify });
+      expect(handler.getCurrentStep().status).toBe("failed");
+      await expect(fs.access(path.join(project, "verified"))).rejects.toThrow();
+    });
+
+    test("commits each completed step and reverts it with /step revert", async () => {
+      const git = (...args) =>
+        execFileSync("git", args, { cwd: project, encoding: "utf8" }).trim();
+      await fs.mkdir(project, { recursive: true });
+      git("init", "-q");
+      git("config", "user.email", "test@example.com");
+      git("config", "user.name", "Test");
+      git("commit", "-q", "--allow-empty", "-m", "init");
+      agent.config.stepCommits = true;
+
+      const sessionId = await professionalSession();
+      const handler = agent.getProfessionalHandler(sessionId);
+      await send(sessionId, "/approve");
+      bridges[0].sendPrompt.mockImplementationOnce(async () => {
+        await fs.writeFile(path.join(project, "theme.css"), "--bg: #000;\n");
+        return { stopReason: "end_turn" };
+      });
+      await send(sessionId, "/approve");
+
+      const step = handler.currentPlan.steps[0];
+      expect(step.commit).toBe(git("rev-parse", "HEAD"));
+      expect(step.result).toContain(`Commit: ${step.commit}`);
+      expect(git("show", "--name-only", "--format=%s", "HEAD")).toBe(
+        "Add tokens\n\ntheme.css"
+      );
+
+      await send(sessionId, "/step revert 1");
+
+      expect(step.revertedBy).toBe(git("rev-parse", "HEAD"));
+      await expect(
+        fs.access(path.join(project, "theme.css"))
+      ).rejects.toThrow();
+    });
+
+    test("runs steps on their own models and switches back", async () => {
+      const { sessionId } = await agent.newSession({ cwd: project });
+      const session = agent.sessions.get(sessionId);
+      const handler = agent.getProfessionalHandler(sessionId);
+      agent.modeManager.setMode(sessionId, "professional");
+      replyWith(
+        sessionId,
+        bridges[0],
+        '```json\n{"steps": [{"title": "Add tokens", "model": "KodaAgent"}, {"title": "Add toggle", "dependsOn": [1]}]}\n```'
+      );
+      await send(sessionId, "Add dark theme");
+      await send(sessionId, "/approve");
+
+      const [step1, step2] = handler.currentPlan.steps;
+      expect(step2.dependsOn).toEqual([step1.id]);
+
+      await send(sessionId, "/step model 2 premium-model");
+      const texts = connection.sessionUpdate.mock.calls.map(
+        ([{ update }]) => update.content?.text || ""
+      );
+      expect(texts.some((text) => text.includes("недоступна"))).toBe(true);
+      expect(step2.model).toBeNull();
+
+      await send(sessionId, "/approve");
+      expect(bridges).toHaveLength(2);
+      expect(bridges[1].spawn).toHaveBeenCalledWith(project, {
+        model: "KodaAgent",
+      });
+      const stepPrompt = bridges[1].sendPrompt.mock.calls.at(-1)[0];
+      expect(stepPrompt[0].text).toContain("Now do step 1 only: Add tokens");
+      expect(session.model).toBe("KodaAgent");
+
+      await send(sessionId, "/approve");
+      expect(bridges).toHaveLength(3);
+      expect(bridges[2].spawn).toHaveBeenCalledWith(project, { model: "" });
+      expect(session.baseModel).toBeNull();
+      expect(handler.currentPlan.status).toBe("completed");
+    });
+
+    describe("/autopilot", () => {
+      test("runs the remaining steps back to back", async () => {
+        const sessionId = await professionalSession();
+        const handler = agent.getProfessionalHandler(sessionId);
+
+        await send(sessionId, "/autopilot on");
+        replyWith(sessionId, bridges[0], "Added tokens");
+        replyWith(sessionId, bridges[0], "Added toggle");
+        await send(sessionId, "/approve");
+
+        expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(3);
+        expect(handler.currentPlan.status).toBe("completed");
+        expect(handler.currentPlan.steps.map((s) => s.result)).toEqual([
+          "Added tokens",
+          "Added toggle",
+        ]);
+      });
+
+      test("stops before the step after the until limit", async () => {
+        const sessionId = await professionalSession();
+        const handler = agent.getProfessionalHandler(sessionId);
+        await send(sessionId, "/approve");
+
+        await send(sessionId, "/autopilot until 1");
+
+        expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(2);
+        expect(handler.isStepAwaitingApproval()).toBe(true);
+        expect(handler.currentPlan.currentStepIndex).toBe(1);
+        expect(handler.autoApproveSteps).toBe(false);
+      });
+
+      test("stops when a step fails", async () => {
+        const sessionId = await professionalSession();
+        const handler = agent.getProfessionalHandler(sessionId);
+        await send(sessionId, "/approve");
+
+        replyWith(sessionId, bridges[0], "Broken", "refusal");
+        await send(sessionId, "/autopilot on");
+
+        expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(2);
+        expect(handler.getCurrentStep().status).toBe("failed");
+        expect(handler.autoApproveSteps).toBe(false);
+      });
+
+      test("stops after a dangerous command", async () => {
+        const sessionId = await professionalSession();
+        const handler = agent.getProfessionalHandler(sessionId);
+        await send(sessionId, "/approve");
+
+        bridges[0].sendPrompt.mockImplementationOnce(async () => {
+          await agent.handleKodaMessage(sessionId, {
+            method: "session/update",
+            params: {
+              update: {
+                sessionUpdate: "tool_call",
+                toolCallId: "t1",
+                title: "Run",
+                kind: "execute",
+                rawInput: { command: "rm -rf build" },
+              },
+            },
+          });
+          return { stopReason: "end_turn" };
+        });
+        await send(sessionId, "/autopilot on");
+
+        expect(bridges[0].sendPrompt).toHaveBeenCalledTimes(2);
+        expect(handler.currentPlan.steps[0].status).toBe("completed");
+        expect(handler.isStepAwaitingApproval()).toBe(true);
+        expect(handler.autoApproveSteps).toBe(false);
+      });
+
+      test("holds KODA's terminal until the dangerous command is answered", async () => {
+        const sessionId = await professionalSession();
+        await send(sessionId, "/approve");
+        await send(sessionId, "/autopilot on");
+        connection.createTerminal = jest.fn().mockResolvedValue({ id: "t" });
+        connection.requestPermission.mockResolvedValue({
+          outcome: { outcome: "selected", optionId: "reject" },
+        });
+
+        await Promise.all([
+          agent.handleKodaMessage(sessionId, {
+            method: "session/update",
+            params: {
+              update: {
+                sessionUpdate: "tool_call",
+                toolCallId: "t1",
+                title: "Run",
+                kind: "execute",
+                rawInput: { command: "rm -rf build" },
+              },
+            },
+          }),
+          agent.handleKodaMessage(sessionId, {
+            id: 30,
+            method: "terminal/create",
+            params: { command: "rm", args: ["-rf", "build"] },
+          }),
+        ]);
+
+        expect(connection.createTerminal).not.toHaveBeenCalled();
+        expect(bridges[0].sendResponse).toHaveBeenCalledWith(
+          30,
+          null,
+          expect.objectContaining({ message: expect.stringContaining("Run") })
+        );
+      });
+
+      test("cancels a step that runs past the time limit", async () => {
+        const sessionId = await professionalSession();
+        const handler = agent.getProfessionalHandler(sessionId);
+        agent.config.stepTimeoutMs = 10;
+        await send(sessionId, "/approve");
+
+        bridges[0].sendPrompt.mockImplementationOnce(
+          () =>
+            new Promise((resolve) => {
+              bridges[0].sendCancel.mockImplementationOnce(() =>
+                resolve({ stopReason: "cancelled" })
+              );
+            })
+        );
+        await send(sessionId, "/autopilot on");
+
+        expect(handler.getCurrentStep().status).toBe("failed");
+        expect(handler.getCurrentStep().result).toContain("лимит времени");
+        expect(handler.autoApproveSteps).toBe(false);
+      });
+    });
+  });
+
+  describe("per-session state", () => {
+    test("keeps professional plans of different sessions apart", async () => {
+      const first = await agent.newSession({ cwd: project });
+      const second = await agent.newSession({ cwd: project });
+
+      agent
+        .getProfessionalHandler(first.sessionId)
+        .createPlan("First", [{ title: "Step" }]);
+
+      expect(agent.getProfessionalHandler(second.sessionId).hasPlan()).toBe(
+        false
+      );
+      expect(agent.getPlanProgress(first.sessionId)).toContain("First");
+      expect(agent.getPlanProgress(second.sessionId)).toBeNull();
+    });
+
+    test("failed recovery cleans up only the crashed session", async () => {
+      const crashed = await agent.newSession({ cwd: project });
+      const other = await agent.newSession({ cwd: project });
+      agent
+        .getProfessionalHandler(other.sessionId)
+        .createPlan("Other", [{ title: "Step" }]);
+      agent.permissionHandler
+        .getSessionRules(other.sessionId)
+        .push({ match: "command", pattern: "npm test" });
+
+      agent.cleanupSession(crashed.sessionId);
+
+      expect(agent.sessions.has(crashed.sessionId)).toBe(false);
+      expect(agent.getProfessionalHandler(other.sessionId).hasPlan()).toBe(
+        true
+      );
+      expect(
+        agent.permissionHandler.getSessionRules(other.sessionId)
+      ).toHaveLength(1);
+    });
+  });
+
+  describe("crash recovery", () => {
+    test("respawns the bridge after an unexpected exit", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+
+      bridges[0].callbacks.onClose(1, null);
+      const recovered = await agent.sessions.get(sessionId).recovering;
+
+      expect(recovered).toBe(true);
+      expect(bridges).toHaveLength(2);
+      expect(agent.sessions.get(sessionId).kodaBridge).toBe(bridges[1]);
+      expect(bridges[1].createSession).toHaveBeenCalledWith("/project", []);
+
+      const texts = connection.sessionUpdate.mock.calls.map(
+        ([params]) => params.update.content?.text || ""
+      );
+      expect(texts.some((t) => t.includes("попытка 1/3"))).toBe(true);
+      expect(texts.some((t) => t.includes("перезапущен"))).toBe(true);
+    });
+
+    test("ignores close events from replaced bridges", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      const stale = bridges[0];
+      agent.sessions.get(sessionId).kodaBridge = { kill: jest.fn() };
+
+      stale.callbacks.onClose(1, null);
+
+      expect(agent.sessions.get(sessionId).recovering).toBeFalsy();
+    });
+
+    test("gives up and removes the session after max attempts", async () => {
+      const { sessionId } = await agent.newSession({ cwd: "/project" });
+      const session = agent.sessions.get(sessionId);
+      agent.createBridge = jest.fn(() => ({
+        spawn: jest.fn().mockRejectedValue(new Error("spawn koda ENOENT")),
+        kill: jest.fn(),
+      }));
+
+      bridges[0].callbacks.onClose(1, null);
+      const recovered = await session.recovering;
+
+      expect(recovered).toBe(false);
+      expect(agent.createBridge).toHaveBeenCalledTimes(3);
+      expect(agent.sessions.has(sessionId)).toBe(false);
+
+      const last = connection.sessionUpdate.mock.calls.at(-1)[0];
+      expect(last.update.content.text).toContain("spawn koda ENOENT");
+      expect(last.update.content.text).toContain("KODA_CLI_PATH");
+    });
+  });
+
+  describe("loadSession", () => {
+    test("restores session state and replays history", async () => {
+      await agent.sessionStorage.save("saved-1", {
+        cwd: "/project",
+        mode: "plan",
+        model: "KodaAgent",
+        mcpServers: [],
+        transcript: [
+          { role: "user", content: [{ type: "text", text: "Hello" }] },
+          { role: "agent", content: [{ type: "text", text: "Hi" }] },
+        ],
+      });
+
+      const result = await agent.loadSession({
+        sessionId: "saved-1",
+        cwd: "/project",
+        mcpServers: [],
+      });
+
+      expect(result.modes.currentModeId).toBe("plan");
+      expect(result.models.currentModelId).toBe("KodaAgent");
+      expect(agent.modeManager.getMode("saved-1")).toBe("plan");
+      expect(bridges).toHaveLength(1);
+      expect(bridges[0].spawn).toHaveBeenCalledWith("/project", {
+        model: "KodaAgent",
+      });
+
+      const updates = connection.sessionUpdate.mock.calls.map(
+        ([params]) => params.update
+      );
+      expect(updates).toEqual([
+        {
+          sessionUpdate: "user_message_chunk",
+          content: { type: "text", text: "Hello" },
+        },
+        {
+          sessionUpdate: "agent_message_chunk",
+          content: { type: "text", text: "Hi" },
+        },
+      ]);
+    });
+
+    test("falls back to the default model when saved one is unavailable", async () => {
+      await agent.sessionStorage.save("saved-2", {
+        cwd: "/project",
+        mode: "default",
+        model: "premium-model",
+      });
+
+      await agent.loadSession({ sessionId: "saved-2", cwd: "/project" });
+
+      expect(agent.sessions.get("saved-2").model).toBe("");
+    });
+
+    test("throws for unknown session", async () => {
+      await expect(
+        agent.loadSession({ sessionId: "missing", cwd: "/", mcpServers: [] })
+      ).rejects.toThrow("Session missing not found");
+    });
+  });
+});
@@ -18,6 +18,7 @@ jest.unstable_mockModule("@agentclientprotocol/sdk", () => ({
 
 // Import after mocking
 const { KodaAcpBridge } = await import("./koda-bridge.js");
+const { BridgeSupervisor } = await import("./supervisor.js");
 
 /**
  * Helper to create mock process
@@ -242,4 +243,74 @@ describe("KodaAcpBridge", () => {
       );
     });
   });
+
+  describe("process exit", () => {
+    test("rejects pending requests when the process closes", async () => {
+      bridge.process = mockProcess;
+      mockProcess.on("close", (code, signal) =>
+        bridge.rejectPendingRequests(
+          new Error(`KODA CLI exited (code=${code}, signal=${signal})`)
+        )
+      );
+
+      const promise = bridge.sendRequest("session/prompt", {});
+      mockProcess.emit("close", 1, null);
+
+      await expect(promise).rejects.toThrow("KODA CLI exited");
+      expect(bridge.pendingRequests.size).toBe(0);
+    });
+
+    test("rejects requests immediately when not running", async () => {
+      await expect(bridge.sendRequest("test", {})).rejects.toThrow(
+        "KODA CLI is not running"
+      );
+    });
+  });
+});
+
+describe("BridgeSupervisor", () => {
+  const noSleep = () => Promise.resolve();
+
+  test("doubles the delay up to the limit", () => {
+    const supervisor = new BridgeSupervisor({
+      baseDelayMs: 100,
+      maxDelayMs: 500,
+    });
+
+    expect(supervisor.getDelay(1)).toBe(100);
+    expect(supervisor.getDelay(2)).toBe(200);
+    expect(supervisor.getDelay(3)).toBe(400);
+    expect(supervisor.getDelay(4)).toBe(500);
+  });
+
+  test("retries until start succeeds", async () => {
+    const supervisor = new BridgeSupervisor({ maxAttempts: 3, sleep: noSleep });
+    const start = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("spawn failed"))
+      .mockResolvedValueOnce("bridge");
+    const onAttempt = jest.fn();
+
+    const result = await supervisor.restart(start, { onAttempt });
+
+    expect(result).toEqual({ success: true, attempts: 2, result: "bridge" });
+    expect(onAttempt).toHaveBeenCalledTimes(2);
+  });
+
+  test("gives up after maxAttempts with the last error", async () => {
+    const sleep = jest.fn().mockResolvedValue(undefined);
+    const supervisor = new BridgeSupervisor({
+      maxAttempts: 2,
+      baseDelayMs: 10,
+      sleep,
+    });
+    const start = jest.fn().mockRejectedValue(new Error("not found"));
+
+    const result = await supervisor.restart(start);
+
+    expect(result.success).toBe(false);
+    expect(result.attempts).toBe(2);
+    expect(result.error.message).toBe("not found");
+    expect(sleep.mock.calls).toEqual([[10], [20]]);
+  });
 });
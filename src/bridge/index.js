@@ -3,3 +3,4 @@
  */
 
 export { KodaAcpBridge } from "./koda-bridge.js";
+export { BridgeSupervisor } from "./supervisor.js";
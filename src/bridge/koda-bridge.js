@@ -86,11 +86,15 @@ export class KodaAcpBridge {
 
     this.process.on("close", (code, signal) => {
       this.debugLog(`KODA process closed: code=${code}, signal=${signal}`);
+      this.rejectPendingRequests(
+        new Error(`KODA CLI exited (code=${code}, signal=${signal})`)
+      );
       this.onClose(code, signal);
     });
 
     this.process.on("error", (error) => {
       this.debugLog("Process error:", error.message);
+      this.rejectPendingRequests(error);
       this.onError(error);
       this.onClose(1, error.message);
     });
@@ -208,6 +212,10 @@ export class KodaAcpBridge {
    */
   sendRequest(method, params) {
     return new Promise((resolve, reject) => {
+      if (!this.process?.stdin?.writable) {
+        reject(new Error("KODA CLI is not running"));
+        return;
+      }
       const id = this.requestIdCounter++;
       this.pendingRequests.set(id, { resolve, reject });
       this._write({ jsonrpc: "2.0", id, method, params });
@@ -269,6 +277,18 @@ export class KodaAcpBridge {
     this.onMessage(message);
   }
 
+  /**
+   * Отклонить все ожидающие запросы (процесс завершился)
+   * @private
+   * @param {Error} error
+   */
+  rejectPendingRequests(error) {
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
   /**
    * Завершить процесс
    */
@@ -0,0 +1,91 @@
+/**
+ * Bridge Supervisor - перезапуск KODA CLI с экспоненциальной задержкой
+ */
+
+import { RECOVERY } from "../config/constants.js";
+
+/**
+ * @typedef {Object} RestartResult
+ * @property {boolean} success
+ * @property {number} attempts - Количество выполненных попыток
+ * @property {*} [result] - Результат успешной попытки
+ * @property {Error|null} [error] - Последняя ошибка
+ */
+
+/**
+ * Bridge Supervisor - повторяет запуск до успеха или исчерпания попыток
+ */
+export class BridgeSupervisor {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAttempts] - Максимум попыток
+   * @param {number} [options.baseDelayMs] - Задержка перед первой попыткой
+   * @param {number} [options.maxDelayMs] - Верхняя граница задержки
+   * @param {(ms: number) => Promise<void>} [options.sleep]
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.maxAttempts = options.maxAttempts ?? RECOVERY.MAX_ATTEMPTS;
+
+    /** @type {number} */
+    this.baseDelayMs = options.baseDelayMs ?? RECOVERY.BASE_DELAY_MS;
+
+    /** @type {number} */
+    this.maxDelayMs = options.maxDelayMs ?? RECOVERY.MAX_DELAY_MS;
+
+    /** @type {(ms: number) => Promise<void>} */
+    this.sleep =
+      options.sleep ||
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[Supervisor]", ...args);
+    }
+  }
+
+  /**
+   * Задержка перед попыткой (1, 2, 4, ... × baseDelayMs)
+   * @param {number} attempt - Номер попытки, начиная с 1
+   * @returns {number}
+   */
+  getDelay(attempt) {
+    return Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Выполнять start() до первого успеха
+   * @param {(attempt: number) => Promise<*>} start
+   * @param {Object} [hooks={}]
+   * @param {(attempt: number, delayMs: number) => Promise<void>|void} [hooks.onAttempt]
+   * @returns {Promise<RestartResult>}
+   */
+  async restart(start, hooks = {}) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const delay = this.getDelay(attempt);
+      await hooks.onAttempt?.(attempt, delay);
+      await this.sleep(delay);
+
+      try {
+        const result = await start(attempt);
+        this.debugLog(`Restart succeeded on attempt ${attempt}`);
+        return { success: true, attempts: attempt, result };
+      } catch (error) {
+        lastError = error;
+        this.debugLog(`Restart attempt ${attempt} failed: ${error.message}`);
+      }
+    }
+
+    return { success: false, attempts: this.maxAttempts, error: lastError };
+  }
+}
@@ -51,15 +51,24 @@ const COMMANDS = [
   },
   {
     name: "clear",
-    description: "Очистить историю сессии",
+    description: "Начать сессию заново: история, планы и разрешения",
     usage: "/clear",
     arguments: [],
   },
   {
     name: "plan",
-    description: "Показать текущий план",
-    usage: "/plan",
-    arguments: [],
+    description:
+      "Показать план, продолжить сохранённый, выполнить черновик, создать из шаблона, экспортировать или импортировать план",
+    usage:
+      "/plan [resume [ID] | execute | new <template> [key=value...] | export [path] | import <path>]",
+    arguments: [
+      {
+        name: "action",
+        required: false,
+        description:
+          "resume [ID] — продолжить прерванный план Professional режима; execute — превратить черновик Plan Mode в план Professional режима; new <template> key=value... — создать план из шаблона .koda/plan-templates/<template>.md; export [path] — сохранить план в Markdown (по умолчанию PLAN.md); import <path> — загрузить план из Markdown-чеклиста",
+      },
+    ],
   },
   {
     name: "status",
@@ -70,9 +79,52 @@ const COMMANDS = [
   {
     name: "retry",
     description: "Повторить последний запрос",
-    usage: "/retry",
+    usage: "/retry [--model <модель> | edit <инструкции>]",
+    arguments: [
+      {
+        name: "options",
+        required: false,
+        description:
+          "--model <ID> — повторить на другой модели, edit <текст> — дописать инструкции",
+      },
+    ],
+  },
+  {
+    name: "undo",
+    description:
+      "Отменить изменения файлов, сделанные агентом в последнем ходе",
+    usage: "/undo",
     arguments: [],
   },
+  {
+    name: "checkpoints",
+    description:
+      "Показать чекпоинты файлов по ходам и вернуться к одному из них",
+    usage: "/checkpoints [restore <n>]",
+    arguments: [
+      {
+        name: "action",
+        required: false,
+        description:
+          "restore <n> — вернуть файлы к состоянию до хода n (1 — последний), более поздние ходы тоже отменяются",
+      },
+    ],
+  },
+  {
+    name: "permissions",
+    description:
+      "Показать правила разрешений (allow/ask/deny) и изменить правила «Разрешать всегда»",
+    usage:
+      "/permissions [allow <command|prefix|path> <шаблон> [--project] | remove <n>]",
+    arguments: [
+      {
+        name: "action",
+        required: false,
+        description:
+          "allow command <команда> — разрешать точную команду; allow prefix <префикс> — команды, начинающиеся с префикса; allow path <glob> — правки файлов по glob относительно проекта; --project — сохранить правило в .koda/permissions.json; remove <n> — удалить правило n из списка",
+      },
+    ],
+  },
   {
     name: "cancel",
     description: "Отменить текущую операцию",
@@ -116,8 +168,144 @@ const COMMANDS = [
     usage: "/progress",
     arguments: [],
   },
+  {
+    name: "autopilot",
+    description: "[Professional] Выполнять шаги плана без /approve",
+    usage: "/autopilot [on|off|until <n>]",
+    arguments: [
+      {
+        name: "state",
+        required: false,
+        description: "on, off или until <n> — до шага n включительно",
+      },
+    ],
+  },
+  {
+    name: "verify",
+    description: "[Professional] Команда проверки после шагов плана",
+    usage: "/verify [--step <n>] [<команда>|off]",
+    arguments: [
+      {
+        name: "command",
+        required: false,
+        description:
+          "Команда, например npm test; off — убрать; --step <n> — только для шага n",
+      },
+    ],
+  },
+  {
+    name: "step",
+    description: "[Professional] Изменить шаги плана",
+    usage: "/step edit|add|remove|move|depends|model|revert ...",
+    arguments: [
+      {
+        name: "action",
+        required: true,
+        description:
+          "edit <n> <текст>, add <после> <заголовок> -- <описание>, remove <n>, move <откуда> <куда>, depends <n> <шаги>|none, model <n> <модель>|off, revert <n>",
+      },
+    ],
+  },
 ];
 
+/**
+ * Справка по /step
+ */
+const STEP_USAGE = [
+  "`/step edit <n> <заголовок> [-- <описание>]` — изменить шаг",
+  "`/step add <после> <заголовок> -- <описание>` — добавить шаг (0 — в начало)",
+  "`/step remove <n>` — удалить шаг",
+  "`/step move <откуда> <куда>` — переместить шаг",
+  "`/step depends <n> <m>[,<k>...]|none` — выполнять шаг только после шагов m, k",
+  "`/step model <n> <модель>|off` — выполнить шаг на другой модели",
+  "`/step revert <n>` — отменить git-коммит выполненного шага",
+].join("\n");
+
+/**
+ * Разобрать номер шага (нумерация с 1)
+ * @param {string} value
+ * @param {number} [min=1]
+ * @returns {number|null}
+ */
+function parseStepNumber(value, min = 1) {
+  if (!/^\d+$/.test(value || "")) return null;
+  const number = Number(value);
+  return number >= min ? number : null;
+}
+
+/**
+ * Виды правил /permissions allow
+ */
+const PERMISSION_MATCHES = ["command", "prefix", "path"];
+
+/**
+ * Разобрать аргументы /permissions
+ * @param {string[]} args
+ * @returns {{type: "list"}|{type: "allow", rule: {match: string, pattern: string}, scope: "session"|"project"}|{type: "remove", index: number}|null}
+ */
+function parsePermissionsChange(args) {
+  const action = args[0]?.toLowerCase();
+  if (!action) return { type: "list" };
+
+  if (action === "remove") {
+    const index = parseStepNumber(args[1]);
+    return index ? { type: "remove", index } : null;
+  }
+
+  if (action === "allow") {
+    const words = args.slice(1);
+    const [match, ...pattern] = words.filter((word) => word !== "--project");
+    if (!PERMISSION_MATCHES.includes(match?.toLowerCase()) || !pattern.length) {
+      return null;
+    }
+    return {
+      type: "allow",
+      rule: { match: match.toLowerCase(), pattern: pattern.join(" ") },
+      scope: words.includes("--project") ? "project" : "session",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Разобрать параметры шаблона плана: key=value, слова без "=" продолжают
+ * значение предыдущего параметра (name=User profile)
+ * @param {string[]} words
+ * @returns {{params: Record<string, string>, error?: string}}
+ */
+function parseTemplateParams(words) {
+  const params = {};
+  let last = null;
+
+  for (const word of words) {
+    const pair = word.match(/^([\w-]+)=(.*)$/);
+    if (pair) {
+      last = pair[1];
+      params[last] = pair[2];
+    } else if (last) {
+      params[last] = `${params[last]} ${word}`;
+    } else {
+      return { params, error: `Параметры задаются как key=value: \`${word}\`` };
+    }
+  }
+
+  for (const [key, value] of Object.entries(params)) {
+    params[key] = value.replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return { params };
+}
+
+/**
+ * Разделить текст шага на заголовок и описание по "--"
+ * @param {string[]} words
+ * @returns {{title: string, description: string}}
+ */
+function parseStepText(words) {
+  const [title, ...rest] = words.join(" ").split(/\s*--\s*/);
+  return { title: title.trim(), description: rest.join(" -- ").trim() };
+}
+
 /**
  * Описания режимов
  */
@@ -151,13 +339,24 @@ export class SlashCommandManager {
    * @param {Function} [options.onLogoutRequest]
    * @param {Function} [options.onModeChange]
    * @param {Function} [options.onModelChange]
-   * @param {Function} [options.onClear]
-   * @param {Function} [options.onRetry]
+   * @param {Function} [options.onClear] - Сбросить сессию, вернуть {success, message}
+   * @param {Function} [options.onRetry] - Подготовить повтор, вернуть {success, message}
+   * @param {Function} [options.onUndo] - Отменить изменения файлов последнего хода, вернуть {success, message}
+   * @param {Function} [options.onCheckpoints] - Показать чекпоинты или восстановить n-й, вернуть {success, message}
+   * @param {Function} [options.onPermissions] - Показать, добавить или удалить правила «Разрешать всегда», вернуть {success, message}
    * @param {Function} [options.getAvailableModelsList]
    * @param {Function} [options.onPlanApprove] - Одобрить план/шаг (Professional)
    * @param {Function} [options.onPlanSkip] - Пропустить шаг (Professional)
    * @param {Function} [options.onPlanReject] - Отклонить план (Professional)
    * @param {Function} [options.getPlanProgress] - Получить прогресс плана (Professional)
+   * @param {Function} [options.onAutopilot] - Включить/выключить автопилот, вернуть {success, message} (Professional)
+   * @param {Function} [options.onVerify] - Задать команду проверки, вернуть {success, message} (Professional)
+   * @param {Function} [options.onPlanResume] - Загрузить сохранённый план, вернуть {success, message} (Professional)
+   * @param {Function} [options.onPlanExecute] - Создать план из черновика Plan Mode, вернуть {success, message}
+   * @param {Function} [options.onPlanExport] - Сохранить план в Markdown, вернуть {success, message}
+   * @param {Function} [options.onPlanNew] - Создать план из шаблона, вернуть {success, message}
+   * @param {Function} [options.onPlanImport] - Загрузить план из Markdown, вернуть {success, message}
+   * @param {Function} [options.onStepChange] - Изменить шаги плана, вернуть {success, message} (Professional)
    */
   constructor(options = {}) {
     /** @type {boolean} */
@@ -181,6 +380,24 @@ export class SlashCommandManager {
     /** @type {Function} */
     this.onRetry = options.onRetry || (() => {});
 
+    /** @type {Function} */
+    this.onUndo =
+      options.onUndo ||
+      (() => ({ success: false, message: "Checkpoints are not available" }));
+
+    /** @type {Function} */
+    this.onCheckpoints =
+      options.onCheckpoints ||
+      (() => ({ success: false, message: "Checkpoints are not available" }));
+
+    /** @type {Function} */
+    this.onPermissions =
+      options.onPermissions ||
+      (() => ({
+        success: false,
+        message: "Permission rules are not available",
+      }));
+
     /** @type {Function} */
     this.getAvailableModelsList = options.getAvailableModelsList || (() => []);
 
@@ -202,6 +419,46 @@ export class SlashCommandManager {
 
     /** @type {Function} */
     this.getPlanProgress = options.getPlanProgress || (() => null);
+
+    /** @type {Function} */
+    this.onAutopilot =
+      options.onAutopilot ||
+      (() => ({ success: false, message: "Not in professional mode" }));
+
+    /** @type {Function} */
+    this.onVerify =
+      options.onVerify ||
+      (() => ({ success: false, message: "Not in professional mode" }));
+
+    /** @type {Function} */
+    this.onPlanResume =
+      options.onPlanResume ||
+      (() => ({ success: false, message: "Plan storage is not available" }));
+
+    /** @type {Function} */
+    this.onPlanExecute =
+      options.onPlanExecute ||
+      (() => ({ success: false, message: "Plan Mode draft is not available" }));
+
+    /** @type {Function} */
+    this.onPlanExport =
+      options.onPlanExport ||
+      (() => ({ success: false, message: "Plan export is not available" }));
+
+    /** @type {Function} */
+    this.onPlanNew =
+      options.onPlanNew ||
+      (() => ({ success: false, message: "Plan templates are not available" }));
+
+    /** @type {Function} */
+    this.onPlanImport =
+      options.onPlanImport ||
+      (() => ({ success: false, message: "Plan import is not available" }));
+
+    /** @type {Function} */
+    this.onStepChange =
+      options.onStepChange ||
+      (() => ({ success: false, message: "Not in professional mode" }));
   }
 
   /**
@@ -299,31 +556,42 @@ export class SlashCommandManager {
       case "model":
         return this.handleModelCommand(args, sessionId, currentModel);
 
-      case "clear":
-        await this.onClear(sessionId);
+      case "clear": {
+        const result = await this.onClear(sessionId);
+        if (result && !result.success) {
+          return { handled: true, response: `⚠️ ${result.message}` };
+        }
         return {
           handled: true,
-          response: "🗑️ История сессии очищена",
+          response: result?.message
+            ? `🗑️ ${result.message}`
+            : "🗑️ История сессии очищена",
           action: { type: "clear" },
         };
+      }
 
       case "plan":
-        return {
-          handled: true,
-          response:
-            "📋 Для просмотра плана используйте панель Plan Mode в интерфейсе Zed.",
-        };
+        return this.handlePlanCommand(args, sessionId, mode);
 
       case "status":
         return this.handleStatusCommand(mode, currentModel, isAuthenticated);
 
       case "retry":
-        await this.onRetry(sessionId);
+        return this.handleRetryCommand(args, sessionId);
+
+      case "undo": {
+        const result = await this.onUndo(sessionId);
         return {
           handled: true,
-          response: "🔄 Повторяю последний запрос...",
-          action: { type: "retry" },
+          response: `${result.success ? "↩️" : "⚠️"} ${result.message}`,
         };
+      }
+
+      case "checkpoints":
+        return this.handleCheckpointsCommand(args, sessionId);
+
+      case "permissions":
+        return this.handlePermissionsCommand(args, sessionId);
 
       case "cancel":
         return {
@@ -354,6 +622,15 @@ export class SlashCommandManager {
       case "progress":
         return this.handleProgressCommand(sessionId, mode);
 
+      case "step":
+        return this.handleStepCommand(args, sessionId, mode);
+
+      case "autopilot":
+        return this.handleAutopilotCommand(args, sessionId, mode);
+
+      case "verify":
+        return this.handleVerifyCommand(args, sessionId, mode);
+
       default:
         return {
           handled: false,
@@ -413,6 +690,101 @@ export class SlashCommandManager {
     };
   }
 
+  /**
+   * Обработать команду /retry
+   * @private
+   */
+  async handleRetryCommand(args, sessionId) {
+    const options = {};
+
+    if (args[0] === "--model") {
+      if (!args[1]) {
+        return {
+          handled: true,
+          response: "⚠️ Укажите модель: `/retry --model <ID>`",
+        };
+      }
+      options.model = args[1];
+    } else if (args[0]?.toLowerCase() === "edit") {
+      const instructions = args.slice(1).join(" ").trim();
+      if (!instructions) {
+        return {
+          handled: true,
+          response: "⚠️ Укажите инструкции: `/retry edit <текст>`",
+        };
+      }
+      options.instructions = instructions;
+    } else if (args.length > 0) {
+      return {
+        handled: true,
+        response: `⚠️ Неизвестный аргумент: \`${args[0]}\`\n\nИспользование: \`/retry [--model <ID> | edit <инструкции>]\``,
+      };
+    }
+
+    const result = await this.onRetry(sessionId, options);
+    if (result && !result.success) {
+      return { handled: true, response: `⚠️ ${result.message}` };
+    }
+
+    return {
+      handled: true,
+      response: `🔄 ${result?.message || "Повторяю последний запрос..."}`,
+      action: { type: "retry", ...options },
+    };
+  }
+
+  /**
+   * Обработать команду /checkpoints
+   * @private
+   */
+  async handleCheckpointsCommand(args, sessionId) {
+    const action = args[0]?.toLowerCase();
+
+    if (!action) {
+      const result = await this.onCheckpoints(sessionId, null);
+      return {
+        handled: true,
+        response: `${result.success ? "🕘" : "⚠️"} ${result.message}`,
+      };
+    }
+
+    const number = parseStepNumber(args[1]);
+    if (action !== "restore" || !number) {
+      return {
+        handled: true,
+        response:
+          "⚠️ Использование: `/checkpoints [restore <n>]`, где n — номер из списка `/checkpoints`",
+      };
+    }
+
+    const result = await this.onCheckpoints(sessionId, number);
+    return {
+      handled: true,
+      response: `${result.success ? "↩️" : "⚠️"} ${result.message}`,
+    };
+  }
+
+  /**
+   * Обработать команду /permissions
+   * @private
+   */
+  async handlePermissionsCommand(args, sessionId) {
+    const change = parsePermissionsChange(args);
+    if (!change) {
+      return {
+        handled: true,
+        response:
+          "⚠️ Использование: `/permissions [allow <command|prefix|path> <шаблон> [--project] | remove <n>]`, где n — номер из списка `/permissions`",
+      };
+    }
+
+    const result = await this.onPermissions(sessionId, change);
+    return {
+      handled: true,
+      response: `${result.success ? "🔐" : "⚠️"} ${result.message}`,
+    };
+  }
+
   /**
    * Обработать команду /status
    * @private
@@ -549,6 +921,288 @@ export class SlashCommandManager {
     };
   }
 
+  /**
+   * Обработать команду /plan
+   * @private
+   */
+  async handlePlanCommand(args, sessionId, mode) {
+    const action = args[0]?.toLowerCase();
+
+    if (!action) {
+      return {
+        handled: true,
+        response:
+          "📋 Для просмотра плана используйте панель Plan Mode в интерфейсе Zed.",
+      };
+    }
+
+    const usage =
+      "Использование: `/plan [resume [ID] | execute | new <template> [key=value...] | export [path] | import <path>]`";
+    const filePath = args.slice(1).join(" ");
+
+    if (action === "export") {
+      const result = await this.onPlanExport(sessionId, filePath || null);
+      return {
+        handled: true,
+        response: `${result.success ? "📄" : "⚠️"} ${result.message}`,
+      };
+    }
+
+    let result;
+    if (action === "resume") {
+      result = await this.onPlanResume(sessionId, args[1]);
+    } else if (action === "execute") {
+      result = await this.onPlanExecute(sessionId);
+    } else if (action === "new") {
+      const { params, error } = parseTemplateParams(args.slice(2));
+      if (error) {
+        return { handled: true, response: `⚠️ ${error}\n\n${usage}` };
+      }
+      result = await this.onPlanNew(sessionId, args[1] || null, params);
+    } else if (action === "import") {
+      if (!filePath) {
+        return {
+          handled: true,
+          response: `⚠️ Укажите путь к файлу плана\n\n${usage}`,
+        };
+      }
+      result = await this.onPlanImport(sessionId, filePath);
+    } else {
+      return {
+        handled: true,
+        response: `⚠️ Неизвестное действие: \`${args[0]}\`\n\n${usage}`,
+      };
+    }
+
+    if (!result.success) {
+      return { handled: true, response: `⚠️ ${result.message}` };
+    }
+
+    // These actions leave a plan for Professional mode to run
+    const plan = this.getPlanProgress(sessionId);
+    return {
+      handled: true,
+      response: plan
+        ? `▶️ ${result.message}\n\n${plan}`
+        : `▶️ ${result.message}`,
+      action:
+        mode !== "professional"
+          ? { type: "mode_change", mode: "professional" }
+          : undefined,
+    };
+  }
+
+  /**
+   * Обработать команду /autopilot (Professional)
+   * @private
+   */
+  async handleAutopilotCommand(args, sessionId, mode) {
+    if (mode !== "professional") {
+      return {
+        handled: true,
+        response:
+          "⚠️ Команда `/autopilot` доступна только в режиме Professional.\n\nИспользуйте `/mode professional` для переключения.",
+      };
+    }
+
+    const usage = "Использование: `/autopilot [on|off|until <n>]`";
+    const state = args[0]?.toLowerCase();
+    let options;
+
+    if (!state) {
+      options = null;
+    } else if (state === "on") {
+      options = { enabled: true, until: null };
+    } else if (state === "off") {
+      options = { enabled: false, until: null };
+    } else if (state === "until") {
+      const until = parseStepNumber(args[1]);
+      if (!until) {
+        return {
+          handled: true,
+          response: `⚠️ Укажите номер шага\n\n${usage}`,
+        };
+      }
+      options = { enabled: true, until };
+    } else {
+      return {
+        handled: true,
+        response: `⚠️ Неизвестное значение: \`${args[0]}\`\n\n${usage}`,
+      };
+    }
+
+    const result = await this.onAutopilot(sessionId, options);
+    if (!result.success) {
+      return { handled: true, response: `⚠️ ${result.message}` };
+    }
+
+    return {
+      handled: true,
+      response: `🤖 ${result.message}`,
+      action: options?.enabled ? { type: "autopilot" } : undefined,
+    };
+  }
+
+  /**
+   * Обработать команду /verify (Professional)
+   * @private
+   */
+  async handleVerifyCommand(args, sessionId, mode) {
+    if (mode !== "professional") {
+      return {
+        handled: true,
+        response:
+          "⚠️ Команда `/verify` доступна только в режиме Professional.\n\nИспользуйте `/mode professional` для переключения.",
+      };
+    }
+
+    const usage = "Использование: `/verify [--step <n>] [<команда>|off]`";
+    let words = args;
+    let step = null;
+
+    if (words[0] === "--step") {
+      step = parseStepNumber(words[1]);
+      if (!step) {
+        return {
+          handled: true,
+          response: `⚠️ Укажите номер шага\n\n${usage}`,
+        };
+      }
+      words = words.slice(2);
+    }
+
+    const text = words.join(" ").trim();
+    if (!text && step !== null) {
+      return {
+        handled: true,
+        response: `⚠️ Укажите команду или \`off\`\n\n${usage}`,
+      };
+    }
+
+    // No arguments: show the current commands
+    const options = text
+      ? { step, command: text.toLowerCase() === "off" ? null : text }
+      : null;
+    const result = await this.onVerify(sessionId, options);
+
+    return {
+      handled: true,
+      response: result.success
+        ? `🔎 ${result.message}`
+        : `⚠️ ${result.message}`,
+    };
+  }
+
+  /**
+   * Обработать команду /step (Professional)
+   * @private
+   */
+  async handleStepCommand(args, sessionId, mode) {
+    if (mode !== "professional") {
+      return {
+        handled: true,
+        response:
+          "⚠️ Команда `/step` доступна только в режиме Professional.\n\nИспользуйте `/mode professional` для переключения.",
+      };
+    }
+
+    const change = this.parseStepChange(args);
+    if (change.error) {
+      return {
+        handled: true,
+        response: `⚠️ ${change.error}\n\n${STEP_USAGE}`,
+      };
+    }
+
+    const result = await this.onStepChange(sessionId, change);
+    if (!result.success) {
+      return { handled: true, response: `⚠️ ${result.message}` };
+    }
+
+    const plan = this.getPlanProgress(sessionId);
+    return {
+      handled: true,
+      response: plan
+        ? `✏️ ${result.message}\n\n${plan}`
+        : `✏️ ${result.message}`,
+    };
+  }
+
+  /**
+   * Разобрать аргументы /step
+   * @private
+   * @param {string[]} args
+   * @returns {{type: string, step?: number, after?: number, from?: number, to?: number, title?: string, description?: string, dependsOn?: number[], model?: string|null, error?: string}}
+   */
+  parseStepChange(args) {
+    const [action, ...rest] = args;
+
+    switch (action?.toLowerCase()) {
+      case "edit": {
+        const step = parseStepNumber(rest[0]);
+        const text = parseStepText(rest.slice(1));
+        if (!step) return { error: "Укажите номер шага" };
+        if (!text.title && !text.description) {
+          return { error: "Укажите новый текст шага" };
+        }
+        return { type: "edit", step, ...text };
+      }
+
+      case "add": {
+        const after = parseStepNumber(rest[0], 0);
+        const text = parseStepText(rest.slice(1));
+        if (after === null)
+          return { error: "Укажите, после какого шага добавить" };
+        if (!text.title) return { error: "Укажите заголовок шага" };
+        return { type: "add", after, ...text };
+      }
+
+      case "remove":
+      case "revert": {
+        const step = parseStepNumber(rest[0]);
+        if (!step) return { error: "Укажите номер шага" };
+        return { type: action.toLowerCase(), step };
+      }
+
+      case "move": {
+        const from = parseStepNumber(rest[0]);
+        const to = parseStepNumber(rest[1]);
+        if (!from || !to)
+          return { error: "Укажите номера шагов: откуда и куда" };
+        return { type: "move", from, to };
+      }
+
+      case "depends": {
+        const step = parseStepNumber(rest[0]);
+        if (!step) return { error: "Укажите номер шага" };
+        const values = rest.slice(1).join(",").split(",").filter(Boolean);
+        if (values.length === 1 && values[0].toLowerCase() === "none") {
+          return { type: "depends", step, dependsOn: [] };
+        }
+        const dependsOn = values.map((value) => parseStepNumber(value));
+        if (dependsOn.length === 0 || dependsOn.includes(null)) {
+          return { error: "Укажите номера шагов через запятую или `none`" };
+        }
+        return { type: "depends", step, dependsOn };
+      }
+
+      case "model": {
+        const step = parseStepNumber(rest[0]);
+        if (!step) return { error: "Укажите номер шага" };
+        if (!rest[1]) return { error: "Укажите модель или `off`" };
+        const model = rest[1].toLowerCase() === "off" ? null : rest[1];
+        return { type: "model", step, model };
+      }
+
+      default:
+        return {
+          error: action
+            ? `Неизвестное действие: \`${action}\``
+            : "Укажите действие",
+        };
+    }
+  }
+
   /**
    * Проверить, обрабатывается ли команда локально
    * @param {string} text
@@ -568,6 +1222,9 @@ export class SlashCommandManager {
       "plan",
       "status",
       "retry",
+      "undo",
+      "checkpoints",
+      "permissions",
       "cancel",
       "modes",
       "models",
@@ -576,6 +1233,9 @@ export class SlashCommandManager {
       "skip",
       "reject",
       "progress",
+      "step",
+      "autopilot",
+      "verify",
     ];
 
     return localCommands.includes(name);
@@ -46,6 +46,50 @@ export const PATHS = {
   get CREDENTIALS_FILE() {
     return path.join(this.CONFIG_DIR, "credentials.json");
   },
+  get SESSIONS_DIR() {
+    return path.join(this.CONFIG_DIR, "sessions");
+  },
+  get CHECKPOINTS_DIR() {
+    return path.join(this.CONFIG_DIR, "checkpoints");
+  },
+  get PERMISSIONS_FILE() {
+    return path.join(this.CONFIG_DIR, "permissions.json");
+  },
+};
+
+// =============================================================================
+// Session Persistence
+// =============================================================================
+
+export const SESSION_STORAGE = {
+  FORMAT_VERSION: 1,
+  MAX_TRANSCRIPT_ENTRIES: 500,
+  // Sessions not saved for this long are deleted
+  MAX_AGE_DAYS: 30,
+};
+
+// =============================================================================
+// File Checkpoints (/undo)
+// =============================================================================
+
+export const CHECKPOINTS = {
+  FORMAT_VERSION: 1,
+  // Checkpoints older than this are deleted
+  MAX_AGE_DAYS: 7,
+  MAX_LABEL_CHARS: 80,
+};
+
+// =============================================================================
+// Professional Plan Persistence (per project)
+// =============================================================================
+
+export const PLAN_STORAGE = {
+  FORMAT_VERSION: 1,
+  DIR: path.join(".koda", "plans"),
+  // Default /plan export target, relative to the session cwd
+  EXPORT_FILE: "PLAN.md",
+  // Markdown templates for /plan new
+  TEMPLATES_DIR: path.join(".koda", "plan-templates"),
 };
 
 // =============================================================================
@@ -118,6 +162,11 @@ export const TOOL_TYPE = {
 // Dangerous Command Patterns
 // =============================================================================
 
+/**
+ * @deprecated Агент их больше не использует: опасность команды определяет
+ * classifyCommand из `koda-agent/tools` по COMMAND_RISK. Оставлено для
+ * совместимости и будет удалено в следующей мажорной версии.
+ */
 export const DANGEROUS_PATTERNS = [
   /\brm\s+-rf?\b/,
   /\bsudo\b/,
@@ -130,6 +179,54 @@ export const DANGEROUS_PATTERNS = [
   /\bfdisk\b/,
 ];
 
+// =============================================================================
+// Command Risk Categories
+// =============================================================================
+
+export const COMMAND_RISK = {
+  CATEGORIES: {
+    DESTRUCTIVE_FS: "destructive_fs",
+    PRIVILEGE: "privilege",
+    NETWORK: "network",
+    PACKAGE_INSTALL: "package_install",
+    VCS_REWRITE: "vcs_rewrite",
+    SYSTEM: "system",
+  },
+  // allow - the session mode decides, ask - a dangerous command (asked even
+  // in YOLO), deny - blocked without asking
+  POLICIES: ["allow", "ask", "deny"],
+  DEFAULT_POLICY: {
+    destructive_fs: "ask",
+    privilege: "ask",
+    network: "ask",
+    package_install: "allow",
+    vcs_rewrite: "ask",
+    system: "ask",
+  },
+};
+
+// =============================================================================
+// "Allow Always" Rules (per project)
+// =============================================================================
+
+export const PERMISSIONS = {
+  FORMAT_VERSION: 1,
+  // Relative to the session cwd
+  FILE: path.join(".koda", "permissions.json"),
+  // A checked-out repository may only pre-approve exact commands and prefixes
+  PROJECT_ALLOW_MATCHES: ["command", "prefix"],
+};
+
+// =============================================================================
+// Workspace Sandbox (fs requests from KODA CLI)
+// =============================================================================
+
+export const SANDBOX = {
+  // What happens to reads and writes outside the session cwd and extra roots
+  POLICIES: ["ask", "deny"],
+  DEFAULT_POLICY: "ask",
+};
+
 // =============================================================================
 // Timeouts
 // =============================================================================
@@ -140,6 +237,38 @@ export const TIMEOUTS = {
   AUTH_POLL_INTERVAL_SEC: 5,
 };
 
+// =============================================================================
+// KODA CLI Crash Recovery
+// =============================================================================
+
+export const RECOVERY = {
+  MAX_ATTEMPTS: 3,
+  BASE_DELAY_MS: 1000,
+  MAX_DELAY_MS: 15000,
+};
+
+// =============================================================================
+// Context Transfer (model switch / restart)
+// =============================================================================
+
+export const CONTEXT_TRANSFER = {
+  STRATEGIES: ["replay", "summary", "none"],
+  DEFAULT_STRATEGY: "replay",
+  MAX_REPLAY_CHARS: 60000,
+  TIMEOUT_MS: 120000,
+};
+
+// =============================================================================
+// Professional Mode
+// =============================================================================
+
+export const PROFESSIONAL = {
+  MAX_STEPS: 20,
+  MAX_RESULT_CHARS: 2000,
+  STEP_TIMEOUT_SEC: 600, // Autopilot stops a step running longer than this
+  VERIFY_TIMEOUT_SEC: 300, // A verification command is stopped after this
+};
+
 // =============================================================================
 // Default Model
 // =============================================================================
@@ -22,6 +22,13 @@ if (config.debug) {
     extraArgs: config.extraArgs,
     defaultMode: config.defaultMode,
     defaultModel: config.defaultModel || "(auto)",
+    maxRestarts: config.maxRestarts,
+    contextTransfer: config.contextTransfer,
+    stepTimeoutMs: config.stepTimeoutMs,
+    stepCommits: config.stepCommits,
+    allowedRoots: config.allowedRoots,
+    outsideAccess: config.outsideAccess,
+    commandPolicy: config.commandPolicy,
     debug: config.debug,
   });
 }
@@ -0,0 +1,353 @@
+/**
+ * Checkpoint Store - содержимое файлов до записи агентом, для /undo
+ */
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { CHECKPOINTS, PATHS } from "../config/constants.js";
+
+/**
+ * @typedef {Object} CheckpointFile
+ * @property {string} path - Абсолютный путь
+ * @property {string|null} content - Содержимое до хода (null - файл создан в этом ходе)
+ */
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {number} version - Версия формата
+ * @property {string|null} id - null, пока в ходе не было записей
+ * @property {string} sessionId
+ * @property {string} label - Запрос пользователя, начавший ход
+ * @property {string|null} createdAt - ISO timestamp первой записи
+ * @property {CheckpointFile[]} files
+ */
+
+/**
+ * @typedef {Object} CheckpointWriter
+ * @property {(filePath: string, content: string) => Promise<*>} [write]
+ * @property {(filePath: string) => Promise<*>} [remove]
+ */
+
+/**
+ * @typedef {(filePath: string) => Promise<string>} CheckpointReader
+ */
+
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Прочитать файл с диска
+ * @param {string} filePath
+ * @returns {Promise<string|null>} null, если файла нет
+ */
+async function readDiskFile(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Checkpoint Store - хранит чекпоинты в ~/.config/koda/checkpoints/<sessionId>/,
+ * вне репозитория пользователя. Один чекпоинт - один ход: в него попадает
+ * содержимое каждого файла до первой записи в этом ходе.
+ */
+export class CheckpointStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.dir] - Каталог для чекпоинтов
+   * @param {number} [options.maxAgeMs] - Возраст, после которого чекпоинт удаляется
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.dir = options.dir || PATHS.CHECKPOINTS_DIR;
+
+    /** @type {number} */
+    this.maxAgeMs = options.maxAgeMs ?? CHECKPOINTS.MAX_AGE_DAYS * DAY_MS;
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+
+    /** @type {Map<string, Checkpoint>} sessionId -> чекпоинт текущего хода */
+    this.turns = new Map();
+
+    /** @type {Map<string, Promise>} sessionId -> last pending write */
+    this.writeQueue = new Map();
+
+    /** @type {number} */
+    this.lastTime = 0;
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[CheckpointStore]", ...args);
+    }
+  }
+
+  /**
+   * Каталог чекпоинтов сессии
+   * @param {string} sessionId
+   * @returns {string}
+   * @throws {Error} If sessionId contains unsafe characters
+   */
+  getSessionDir(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || "")) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.dir, sessionId);
+  }
+
+  /**
+   * Начать новый ход: следующие записи файлов попадут в новый чекпоинт
+   * @param {string} sessionId
+   * @param {string} [label=""] - Запрос пользователя
+   */
+  beginTurn(sessionId, label = "") {
+    const text = label.replace(/\s+/g, " ").trim();
+    this.turns.set(sessionId, {
+      version: CHECKPOINTS.FORMAT_VERSION,
+      id: null,
+      sessionId,
+      label:
+        text.length > CHECKPOINTS.MAX_LABEL_CHARS
+          ? `${text.slice(0, CHECKPOINTS.MAX_LABEL_CHARS - 3)}...`
+          : text,
+      createdAt: null,
+      files: [],
+    });
+  }
+
+  /**
+   * Завершить сессию: забыть чекпоинт текущего хода (файлы на диске остаются)
+   * @param {string} sessionId
+   */
+  endSession(sessionId) {
+    this.turns.delete(sessionId);
+  }
+
+  /**
+   * Запомнить содержимое файла перед записью (один раз за ход)
+   *
+   * Файл читается тем же способом, каким его потом запишут: через клиента,
+   * если передан reader, - иначе несохранённые правки в редакторе не попадут
+   * в чекпоинт. Если клиент не смог прочитать файл, читается диск.
+   * @param {string} sessionId
+   * @param {string} filePath - Абсолютный путь
+   * @param {CheckpointReader} [read] - Чтение файла (по умолчанию - диск)
+   * @returns {Promise<void>}
+   */
+  async recordFile(sessionId, filePath, read) {
+    if (!this.turns.has(sessionId)) {
+      this.beginTurn(sessionId);
+    }
+    const checkpoint = this.turns.get(sessionId);
+    if (checkpoint.files.some((file) => file.path === filePath)) return;
+
+    let content;
+    try {
+      content = read ? await read(filePath) : await readDiskFile(filePath);
+    } catch (error) {
+      // Clients report a missing file as a plain error; the disk tells them apart
+      this.debugLog(`Client read of ${filePath} failed: ${error.message}`);
+      content = await readDiskFile(filePath);
+    }
+
+    // Another write of the same file may have been recorded meanwhile
+    if (checkpoint.files.some((file) => file.path === filePath)) return;
+
+    if (!checkpoint.id) {
+      // Strictly increasing, so ids sort in turn order
+      this.lastTime = Math.max(Date.now(), this.lastTime + 1);
+      checkpoint.id = `cp_${this.lastTime}`;
+      checkpoint.createdAt = new Date(this.lastTime).toISOString();
+    }
+    checkpoint.files.push({ path: filePath, content });
+
+    await this.save(checkpoint);
+  }
+
+  /**
+   * Сохранить чекпоинт (записи одной сессии выполняются последовательно)
+   * @private
+   * @param {Checkpoint} checkpoint
+   * @returns {Promise<void>}
+   */
+  save(checkpoint) {
+    const { sessionId } = checkpoint;
+    // Snapshot now: the turn keeps recording files while the write is queued
+    const record = structuredClone(checkpoint);
+
+    const previous = this.writeQueue.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.writeRecord(record));
+
+    this.writeQueue.set(sessionId, next);
+    next
+      .finally(() => {
+        if (this.writeQueue.get(sessionId) === next) {
+          this.writeQueue.delete(sessionId);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Записать файл чекпоинта
+   * @private
+   * @param {Checkpoint} record
+   * @returns {Promise<void>}
+   */
+  async writeRecord(record) {
+    const dir = this.getSessionDir(record.sessionId);
+    const filePath = path.join(dir, `${record.id}.json`);
+
+    // Write to a temp file first so a crash never leaves a truncated record
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(record), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+
+    this.debugLog(
+      `Saved checkpoint ${record.id} (${record.files.length} files)`
+    );
+  }
+
+  /**
+   * Чекпоинты сессии, начиная с последнего
+   * @param {string} sessionId
+   * @returns {Promise<Checkpoint[]>}
+   */
+  async list(sessionId) {
+    const dir = this.getSessionDir(sessionId);
+    await this.writeQueue.get(sessionId)?.catch(() => {});
+
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+
+    const records = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        const record = JSON.parse(
+          await fs.readFile(path.join(dir, file), "utf8")
+        );
+        if (record.version === CHECKPOINTS.FORMAT_VERSION) {
+          records.push(record);
+        }
+      } catch {
+        this.debugLog(`Skipping unreadable checkpoint ${file}`);
+      }
+    }
+
+    return records.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Вернуть файлы к состоянию до чекпоинта; более поздние ходы тоже отменяются
+   * @param {string} sessionId
+   * @param {string} checkpointId
+   * @param {CheckpointWriter} [writer={}] - Запись и удаление файлов (по умолчанию - диск)
+   * @returns {Promise<{checkpoints: Checkpoint[], files: Array<{path: string, deleted: boolean}>}|null>}
+   *   null, если чекпоинта нет
+   */
+  async restore(sessionId, checkpointId, writer = {}) {
+    const write =
+      writer.write || ((filePath, content) => fs.writeFile(filePath, content));
+    const remove =
+      writer.remove || ((filePath) => fs.rm(filePath, { force: true }));
+
+    const checkpoints = await this.list(sessionId);
+    const index = checkpoints.findIndex((c) => c.id === checkpointId);
+    if (index === -1) return null;
+
+    const undone = checkpoints.slice(0, index + 1);
+    /** @type {Map<string, string|null>} Oldest undone turn wins */
+    const contents = new Map();
+    for (const checkpoint of undone) {
+      for (const file of checkpoint.files) {
+        contents.set(file.path, file.content);
+      }
+    }
+
+    for (const [filePath, content] of contents) {
+      if (content === null) {
+        await remove(filePath);
+      } else {
+        await write(filePath, content);
+      }
+    }
+
+    // Only after every file is back, so a failed restore can be retried
+    const dir = this.getSessionDir(sessionId);
+    for (const checkpoint of undone) {
+      await fs.rm(path.join(dir, `${checkpoint.id}.json`), { force: true });
+    }
+    if (undone.some((c) => c.id === this.turns.get(sessionId)?.id)) {
+      this.turns.delete(sessionId);
+    }
+
+    this.debugLog(`Restored ${contents.size} files to before ${checkpointId}`);
+    return {
+      checkpoints: undone,
+      files: [...contents].map(([filePath, content]) => ({
+        path: filePath,
+        deleted: content === null,
+      })),
+    };
+  }
+
+  /**
+   * Удалить чекпоинты старше maxAgeMs
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} Сколько чекпоинтов удалено
+   */
+  async prune(now = Date.now()) {
+    let sessions;
+    try {
+      sessions = await fs.readdir(this.dir);
+    } catch {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const sessionId of sessions) {
+      const dir = path.join(this.dir, sessionId);
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch {
+        continue;
+      }
+
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (stat && now - stat.mtimeMs > this.maxAgeMs) {
+          await fs.rm(filePath, { force: true });
+          removed++;
+        }
+      }
+
+      // Drop directories of sessions with nothing left
+      if (!this.writeQueue.has(sessionId)) {
+        await fs.rmdir(dir).catch(() => {});
+      }
+    }
+
+    if (removed > 0) {
+      this.debugLog(`Pruned ${removed} checkpoints`);
+    }
+    return removed;
+  }
+}
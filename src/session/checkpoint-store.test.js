@@ -0,0 +1,132 @@
+/**
+ * Tests for CheckpointStore
+ */
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { CheckpointStore } from "./checkpoint-store.js";
+
+describe("CheckpointStore", () => {
+  let dir;
+  let project;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "koda-checkpoints-"));
+    project = path.join(dir, "project");
+    await fs.mkdir(project);
+    store = new CheckpointStore({ dir: path.join(dir, "checkpoints") });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Записать файл так, как это делает агент: сначала чекпоинт
+   */
+  async function agentWrite(file, content) {
+    await store.recordFile("s1", file);
+    await fs.writeFile(file, content);
+  }
+
+  test("keeps the content before the first write of each turn", async () => {
+    const file = path.join(project, "app.js");
+    await fs.writeFile(file, "v1");
+
+    store.beginTurn("s1", "Refactor app");
+    await agentWrite(file, "v2");
+    await agentWrite(file, "v3");
+
+    const [checkpoint] = await store.list("s1");
+    expect(checkpoint.label).toBe("Refactor app");
+    expect(checkpoint.files).toEqual([{ path: file, content: "v1" }]);
+  });
+
+  test("records the client's view of the file when a reader is given", async () => {
+    const file = path.join(project, "app.js");
+    const created = path.join(project, "new.js");
+    await fs.writeFile(file, "saved");
+
+    store.beginTurn("s1", "Edit");
+    await store.recordFile("s1", file, async () => "unsaved");
+    await store.recordFile("s1", created, async () => {
+      throw new Error("File not found");
+    });
+
+    const [checkpoint] = await store.list("s1");
+    expect(checkpoint.files).toEqual([
+      { path: file, content: "unsaved" },
+      { path: created, content: null },
+    ]);
+  });
+
+  test("forgets the current turn when the session ends", async () => {
+    store.beginTurn("s1", "Edit");
+    store.endSession("s1");
+    expect(store.turns.has("s1")).toBe(false);
+  });
+
+  test("creates no checkpoint for turns without writes", async () => {
+    store.beginTurn("s1", "Explain the code");
+    expect(await store.list("s1")).toEqual([]);
+  });
+
+  test("restores the last turn and deletes files it created", async () => {
+    const file = path.join(project, "app.js");
+    const created = path.join(project, "new.js");
+    await fs.writeFile(file, "v1");
+
+    store.beginTurn("s1", "Edit");
+    await agentWrite(file, "v2");
+    await agentWrite(created, "new");
+    const [checkpoint] = await store.list("s1");
+
+    const result = await store.restore("s1", checkpoint.id);
+
+    expect(result.files).toEqual([
+      { path: file, deleted: false },
+      { path: created, deleted: true },
+    ]);
+    expect(await fs.readFile(file, "utf8")).toBe("v1");
+    await expect(fs.access(created)).rejects.toThrow();
+    expect(await store.list("s1")).toEqual([]);
+  });
+
+  test("restoring an earlier turn also undoes the later ones", async () => {
+    const file = path.join(project, "app.js");
+    await fs.writeFile(file, "v1");
+
+    for (const content of ["v2", "v3", "v4"]) {
+      store.beginTurn("s1", content);
+      await agentWrite(file, content);
+    }
+    const checkpoints = await store.list("s1");
+    expect(checkpoints.map((c) => c.label)).toEqual(["v4", "v3", "v2"]);
+
+    const writes = [];
+    await store.restore("s1", checkpoints[1].id, {
+      write: async (filePath, content) => writes.push([filePath, content]),
+    });
+
+    expect(writes).toEqual([[file, "v2"]]);
+    expect((await store.list("s1")).map((c) => c.label)).toEqual(["v2"]);
+  });
+
+  test("returns null for unknown checkpoints", async () => {
+    expect(await store.restore("s1", "cp_missing")).toBeNull();
+  });
+
+  test("prunes checkpoints older than the maximum age", async () => {
+    store.beginTurn("s1", "Edit");
+    await store.recordFile("s1", path.join(project, "a.js"));
+
+    expect(await store.prune(Date.now())).toBe(0);
+    expect(await store.prune(Date.now() + store.maxAgeMs + 1000)).toBe(1);
+    expect(await store.list("s1")).toEqual([]);
+    await expect(
+      fs.access(path.join(dir, "checkpoints", "s1"))
+    ).rejects.toThrow();
+  });
+});
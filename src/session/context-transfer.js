@@ -0,0 +1,96 @@
+/**
+ * Context Transfer - перенос контекста разговора в новую KODA сессию
+ */
+
+import { CONTEXT_TRANSFER } from "../config/constants.js";
+
+/**
+ * Преобразовать content block в текст
+ * @param {Object} block - ACP content block
+ * @returns {string}
+ */
+function blockToText(block) {
+  switch (block.type) {
+    case "text":
+      return block.text;
+    case "image":
+      return "[image]";
+    case "resource":
+      return block.resource?.text
+        ? `[file: ${block.resource.uri}]\n${block.resource.text}`
+        : `[file: ${block.resource?.uri || "unknown"}]`;
+    case "resource_link":
+      return `[file: ${block.uri}]`;
+    default:
+      return `[${block.type}]`;
+  }
+}
+
+/**
+ * Сформировать текстовую версию транскрипта (последние сообщения в пределах лимита)
+ * @param {Array<{role: string, content: Array<Object>}>} transcript
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+export function formatTranscript(
+  transcript,
+  maxChars = CONTEXT_TRANSFER.MAX_REPLAY_CHARS
+) {
+  const parts = [];
+  let size = 0;
+
+  for (let i = transcript.length - 1; i >= 0; i--) {
+    const entry = transcript[i];
+    const speaker = entry.role === "user" ? "User" : "Assistant";
+    const text = `${speaker}: ${entry.content.map(blockToText).join("\n")}`;
+
+    if (size + text.length > maxChars) {
+      parts.unshift("[... earlier messages omitted ...]");
+      break;
+    }
+    parts.unshift(text);
+    size += text.length;
+  }
+
+  return parts.join("\n\n");
+}
+
+/**
+ * Prompt для восстановления контекста полным транскриптом
+ * @param {Array<Object>} transcript
+ * @returns {string}
+ */
+export function buildReplayPrompt(transcript) {
+  return [
+    "[Context restore] This session was restarted. Below is the conversation so far.",
+    "Do not act on it and do not use tools. Reply only with OK and wait for the next message.",
+    "",
+    formatTranscript(transcript),
+  ].join("\n");
+}
+
+/**
+ * Prompt с просьбой кратко пересказать разговор
+ * @returns {string}
+ */
+export function buildSummaryRequest() {
+  return [
+    "[Context handoff] Summarize our conversation so far for another assistant that will continue it.",
+    "Include the user's goal, decisions made, files touched and open tasks.",
+    "Do not use tools. Reply with the summary only.",
+  ].join("\n");
+}
+
+/**
+ * Prompt для восстановления контекста по готовому пересказу
+ * @param {string} summary
+ * @returns {string}
+ */
+export function buildSummaryPrompt(summary) {
+  return [
+    "[Context restore] This session was restarted. Here is a summary of the conversation so far.",
+    "Do not act on it and do not use tools. Reply only with OK and wait for the next message.",
+    "",
+    summary,
+  ].join("\n");
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for context transfer prompts
+ */
+
+import {
+  buildReplayPrompt,
+  buildSummaryPrompt,
+  formatTranscript,
+} from "./context-transfer.js";
+
+const transcript = [
+  { role: "user", content: [{ type: "text", text: "Fix the login bug" }] },
+  { role: "agent", content: [{ type: "text", text: "Done in auth.js" }] },
+];
+
+describe("formatTranscript", () => {
+  test("labels speakers", () => {
+    expect(formatTranscript(transcript)).toBe(
+      "User: Fix the login bug\n\nAssistant: Done in auth.js"
+    );
+  });
+
+  test("describes non-text blocks", () => {
+    const text = formatTranscript([
+      {
+        role: "user",
+        content: [
+          { type: "image", data: "AAAA", mimeType: "image/png" },
+          { type: "resource_link", uri: "file:///a.js", name: "a.js" },
+          {
+            type: "resource",
+            resource: { uri: "file:///b.js", text: "const b = 1;" },
+          },
+        ],
+      },
+    ]);
+
+    expect(text).toContain("[image]");
+    expect(text).toContain("[file: file:///a.js]");
+    expect(text).toContain("[file: file:///b.js]\nconst b = 1;");
+  });
+
+  test("keeps the most recent messages within the limit", () => {
+    const text = formatTranscript(transcript, 30);
+
+    expect(text).toContain("Done in auth.js");
+    expect(text).not.toContain("Fix the login bug");
+    expect(text).toContain("earlier messages omitted");
+  });
+});
+
+describe("restore prompts", () => {
+  test("replay prompt embeds the transcript", () => {
+    const prompt = buildReplayPrompt(transcript);
+
+    expect(prompt).toContain("Context restore");
+    expect(prompt).toContain("User: Fix the login bug");
+  });
+
+  test("summary prompt embeds the summary", () => {
+    expect(buildSummaryPrompt("Goal: fix login")).toContain("Goal: fix login");
+  });
+});
@@ -2,10 +2,33 @@
  * Session Module - экспорт менеджеров сессии
  */
 
+export { CheckpointStore } from "./checkpoint-store.js";
 export { ModeManager } from "./mode-manager.js";
 export { PlanCollector } from "./plan-collector.js";
+export { PlanStorage } from "./plan-storage.js";
+export { fillPlanTemplate, getTemplateParams } from "./plan-templates.js";
+export {
+  formatDraftMarkdown,
+  formatPlanMarkdown,
+  parsePlanMarkdown,
+} from "./plan-markdown.js";
 export {
   ProfessionalModeHandler,
   PLAN_STATUS,
   STEP_STATUS,
 } from "./professional-handler.js";
+export {
+  buildPlanRequest,
+  buildStepPrompt,
+  parsePlanSteps,
+} from "./professional-prompts.js";
+export { SessionStateStore } from "./session-state.js";
+export { StepCommitter, buildStepCommitMessage } from "./step-commits.js";
+export { runVerification } from "./step-verification.js";
+export { SessionStorage, appendTranscript } from "./session-storage.js";
+export {
+  buildReplayPrompt,
+  buildSummaryPrompt,
+  buildSummaryRequest,
+  formatTranscript,
+} from "./context-transfer.js";
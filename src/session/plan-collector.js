@@ -2,6 +2,9 @@
  * Plan Collector - сбор и управление планами в Plan Mode
  */
 
+import path from "node:path";
+import { PROFESSIONAL } from "../config/constants.js";
+
 /**
  * @typedef {Object} PlanEntry
  * @property {string} content - Описание действия
@@ -10,7 +13,59 @@
  * @property {string} toolCallId - ID связанного tool call
  * @property {string} kind - Тип операции
  * @property {Object} rawInput - Входные данные
+ * @property {Array<{path: string}>} [locations] - Затронутые файлы
+ */
+
+/**
+ * Заголовки шагов по типу операции
+ */
+const STEP_VERBS = {
+  edit: "Edit",
+  delete: "Delete",
+  move: "Move",
+  read: "Read",
+};
+
+/**
+ * Получить путь к файлу, который затрагивает запись
+ * @param {PlanEntry} entry
+ * @returns {string|null}
+ */
+function getEntryPath(entry) {
+  const input = entry.rawInput || {};
+  return (
+    input.path ||
+    input.file_path ||
+    input.filePath ||
+    entry.locations?.[0]?.path ||
+    null
+  );
+}
+
+/**
+ * Путь для заголовка шага: относительный, если файл внутри cwd
+ * @param {string} filePath
+ * @param {string|null} cwd
+ * @returns {string}
+ */
+function displayPath(filePath, cwd) {
+  if (!cwd || !path.isAbsolute(filePath)) return filePath;
+
+  const relative = path.relative(cwd, filePath);
+  return relative && !relative.startsWith("..") && !path.isAbsolute(relative)
+    ? relative
+    : filePath;
+}
+
+/**
+ * Описание одного действия для шага плана
+ * @param {PlanEntry} entry
+ * @returns {string}
  */
+function describeEntry(entry) {
+  const command = entry.rawInput?.command;
+  return command ? `- ${entry.content}: \`${command}\`` : `- ${entry.content}`;
+}
 
 /**
  * Plan Collector - собирает и управляет планами выполнения
@@ -56,6 +111,7 @@ export class PlanCollector {
       toolCallId: toolCall.toolCallId,
       kind: toolCall.kind,
       rawInput: toolCall.rawInput,
+      locations: toolCall.locations,
     };
 
     plan.push(entry);
@@ -102,6 +158,57 @@ export class PlanCollector {
     }
   }
 
+  /**
+   * Сгруппировать записи плана в шаги Professional режима
+   *
+   * Действия над одним файлом объединяются в один шаг, остальные -
+   * по типу операции. Шаги идут в порядке первого действия группы.
+   * @param {string} sessionId
+   * @param {string} [cwd] - Пути внутри cwd показываются относительными
+   * @returns {Array<{title: string, description: string}>}
+   */
+  buildSteps(sessionId, cwd = null) {
+    /** @type {Map<string, {target: string|null, kinds: Set<string>, entries: PlanEntry[]}>} */
+    const groups = new Map();
+
+    for (const entry of this.getPlan(sessionId)) {
+      const filePath = getEntryPath(entry);
+      const kind = entry.kind || "other";
+      const key = filePath ? `file:${filePath}` : `kind:${kind}`;
+
+      if (!groups.has(key)) {
+        const target = filePath && displayPath(filePath, cwd);
+        groups.set(key, { target, kinds: new Set(), entries: [] });
+      }
+
+      const group = groups.get(key);
+      group.kinds.add(kind);
+      group.entries.push(entry);
+    }
+
+    const steps = [...groups.values()].map(({ target, kinds, entries }) => {
+      let title;
+      if (!target) {
+        title = kinds.has("execute") ? "Run commands" : "Other actions";
+      } else {
+        const verb = kinds.size === 1 ? STEP_VERBS[[...kinds][0]] : null;
+        title = `${verb || "Edit"} ${target}`;
+      }
+      return { title, description: entries.map(describeEntry).join("\n") };
+    });
+
+    // Keep every action: overflow goes into the last allowed step
+    if (steps.length > PROFESSIONAL.MAX_STEPS) {
+      const rest = steps.splice(PROFESSIONAL.MAX_STEPS - 1);
+      steps.push({
+        title: "Remaining actions",
+        description: rest.map((step) => step.description).join("\n"),
+      });
+    }
+
+    return steps;
+  }
+
   /**
    * Очистить план сессии
    * @param {string} sessionId
@@ -0,0 +1,215 @@
+/**
+ * Plan Markdown - экспорт и импорт планов в виде Markdown-чеклиста
+ */
+
+import { STEP_STATUS } from "./professional-handler.js";
+
+/**
+ * Статусы отмеченных пунктов: GitHub показывает флажками только [ ] и [x],
+ * поэтому остальные статусы пишутся текстом после заголовка
+ */
+const CHECKED_STATUSES = new Set([STEP_STATUS.COMPLETED, STEP_STATUS.SKIPPED]);
+
+/**
+ * Отформатировать дату для файла
+ * @param {Date|string|null} value
+ * @returns {string}
+ */
+function formatDate(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "—" : date.toISOString();
+}
+
+/**
+ * Сделать текст однострочным для пункта списка
+ * @param {string} text
+ * @returns {string}
+ */
+function inline(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Отступ многострочного текста под пунктом списка
+ * @param {string} text
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+function indent(text, prefix = "") {
+  return String(text)
+    .trim()
+    .split("\n")
+    .map((line) => `  ${prefix}${line}`.trimEnd());
+}
+
+/**
+ * План Professional режима в Markdown
+ * @param {import("./professional-handler.js").ExecutionPlan} plan
+ * @returns {string}
+ */
+export function formatPlanMarkdown(plan) {
+  const done = plan.steps.filter((s) => CHECKED_STATUSES.has(s.status)).length;
+  const lines = [
+    `# Plan: ${inline(plan.taskDescription)}`,
+    "",
+    `- Plan ID: \`${plan.id}\``,
+    `- Status: ${plan.status}`,
+    `- Progress: ${done}/${plan.steps.length}`,
+    `- Created: ${formatDate(plan.createdAt)}`,
+    `- Completed: ${formatDate(plan.completedAt)}`,
+    `- Exported: ${formatDate(new Date())}`,
+  ];
+  if (plan.verifyCommand) {
+    lines.push(`- Verify: \`${plan.verifyCommand}\``);
+  }
+  lines.push("", "## Steps", "");
+
+  plan.steps.forEach((step, index) => {
+    const mark = CHECKED_STATUSES.has(step.status) ? "x" : " ";
+    const status =
+      step.status === STEP_STATUS.PENDING ? "" : ` _(${step.status})_`;
+    lines.push(`- [${mark}] ${index + 1}. ${inline(step.title)}${status}`);
+
+    if (step.description) {
+      lines.push(...indent(step.description));
+    }
+    if (step.verify) {
+      lines.push(`  Verify: \`${step.verify}\``);
+    }
+    const dependencies = (step.dependsOn || [])
+      .map((id) => plan.steps.findIndex((s) => s.id === id) + 1)
+      .filter((number) => number > 0)
+      .sort((a, b) => a - b);
+    if (dependencies.length > 0) {
+      lines.push(`  Depends on: ${dependencies.join(", ")}`);
+    }
+    if (step.model) {
+      lines.push(`  Model: \`${step.model}\``);
+    }
+    if (step.result) {
+      lines.push(...indent(step.result, "> "));
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Черновик Plan Mode (записи PlanCollector) в Markdown
+ * @param {import("./plan-collector.js").PlanEntry[]} entries
+ * @param {string} [task]
+ * @returns {string}
+ */
+export function formatDraftMarkdown(entries, task = "") {
+  const lines = [
+    `# Plan: ${inline(task) || "Plan Mode draft"}`,
+    "",
+    "- Status: draft",
+    `- Exported: ${formatDate(new Date())}`,
+    "",
+    "## Steps",
+    "",
+  ];
+
+  entries.forEach((entry, index) => {
+    const mark = entry.status === "completed" ? "x" : " ";
+    lines.push(`- [${mark}] ${index + 1}. ${inline(entry.content)}`);
+
+    const input = entry.rawInput || {};
+    const target = input.command || input.path || input.file_path;
+    if (target) {
+      lines.push(`  \`${inline(target)}\``);
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Разобрать Markdown-чеклист в задачу и шаги плана
+ *
+ * Пункт "- [ ]" или "- [x]" начинает шаг, строки с отступом под ним -
+ * описание, строки "> ..." - результат, "Verify: `...`" - команда проверки
+ * (до первого пункта - для всего плана), "Depends on: 1, 2" - номера шагов,
+ * которые нужны шагу, "Model: `...`" - модель шага. Отмеченные шаги
+ * импортируются выполненными (или пропущенными, если так указано в статусе).
+ * @param {string} text
+ * @returns {{task: string, verify: string|null, steps: Array<{title: string, description: string, status: string, result: string|null, verify: string|null, dependsOn: number[], model: string|null}>}}
+ */
+export function parsePlanMarkdown(text) {
+  let task = "";
+  let verify = null;
+  const steps = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^#\s+(.+)$/);
+    if (heading && !task) {
+      task = heading[1].replace(/^Plan:\s*/i, "").trim();
+      continue;
+    }
+
+    const item = line.match(/^\s*[-*]\s+\[([ xX])\]\s+(?:\d+[.)]\s+)?(.+)$/);
+    if (item) {
+      const [, mark, rest] = item;
+      const status = rest.match(/\s+_\((\w+)\)_\s*$/);
+      let stepStatus = STEP_STATUS.PENDING;
+      if (mark.toLowerCase() === "x") {
+        stepStatus = CHECKED_STATUSES.has(status?.[1])
+          ? status[1]
+          : STEP_STATUS.COMPLETED;
+      }
+
+      steps.push({
+        title: (status ? rest.slice(0, status.index) : rest).trim(),
+        description: "",
+        status: stepStatus,
+        result: null,
+        verify: null,
+        dependsOn: [],
+        model: null,
+      });
+      continue;
+    }
+
+    const last = steps[steps.length - 1];
+    const dependsLine = line.match(/^\s{2,}Depends on:\s*([\d,\s]+)$/i);
+    if (last && dependsLine) {
+      last.dependsOn = dependsLine[1]
+        .split(/[,\s]+/)
+        .filter(Boolean)
+        .map(Number);
+      continue;
+    }
+    const modelLine = line.match(/^\s{2,}Model:\s*`(.+)`\s*$/i);
+    if (last && modelLine) {
+      last.model = modelLine[1];
+      continue;
+    }
+
+    const verifyLine = line.match(/^(\s*)(?:[-*]\s+)?Verify:\s*`(.+)`\s*$/);
+    if (verifyLine) {
+      if (last && verifyLine[1].length >= 2) {
+        last.verify = verifyLine[2];
+      } else if (!last) {
+        verify = verifyLine[2];
+      }
+      continue;
+    }
+
+    const detail = line.match(/^\s{2,}(>\s?)?(.*)$/);
+    if (!last || !detail || !detail[2].trim()) continue;
+
+    if (detail[1]) {
+      last.result = [last.result, detail[2]].filter(Boolean).join("\n");
+    } else {
+      last.description = [last.description, detail[2].trim()]
+        .filter(Boolean)
+        .join("\n");
+    }
+  }
+
+  return { task, verify, steps: steps.filter((step) => step.title) };
+}
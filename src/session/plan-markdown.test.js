@@ -0,0 +1,141 @@
+/**
+ * Tests for plan Markdown export/import
+ */
+
+import {
+  formatDraftMarkdown,
+  formatPlanMarkdown,
+  parsePlanMarkdown,
+} from "./plan-markdown.js";
+import { ProfessionalModeHandler } from "./professional-handler.js";
+
+describe("formatPlanMarkdown", () => {
+  test("writes steps as a checklist with statuses and results", () => {
+    const handler = new ProfessionalModeHandler();
+    handler.createPlan("Add dark theme", [
+      { title: "Add tokens", description: "Edit theme.css" },
+      { title: "Add toggle", description: "" },
+      { title: "Write docs", description: "" },
+    ]);
+    handler.approvePlan();
+    handler.approveCurrentStep();
+    handler.completeCurrentStep("Added tokens\nto theme.css");
+    handler.skipCurrentStep();
+    handler.setVerifyCommand(null, "npm test");
+    handler.setVerifyCommand(2, "npm run docs");
+
+    const markdown = formatPlanMarkdown(handler.currentPlan);
+
+    expect(markdown).toContain("# Plan: Add dark theme");
+    expect(markdown).toContain("- Progress: 2/3");
+    expect(markdown).toContain(
+      "- [x] 1. Add tokens _(completed)_\n  Edit theme.css\n  > Added tokens\n  > to theme.css"
+    );
+    expect(markdown).toContain("- [x] 2. Add toggle _(skipped)_");
+    expect(markdown).toContain(
+      "- [ ] 3. Write docs _(awaiting_approval)_\n  Verify: `npm run docs`"
+    );
+    expect(markdown).toContain("- Verify: `npm test`");
+  });
+
+  test("writes step dependencies and models", () => {
+    const handler = new ProfessionalModeHandler();
+    handler.createPlan("Refactor", [
+      { title: "Rename", description: "", model: "koda-mini" },
+      { title: "Design", description: "", dependsOn: [1] },
+    ]);
+
+    const markdown = formatPlanMarkdown(handler.currentPlan);
+
+    expect(markdown).toContain("- [ ] 1. Rename\n  Model: `koda-mini`");
+    expect(markdown).toContain("- [ ] 2. Design\n  Depends on: 1");
+  });
+});
+
+describe("formatDraftMarkdown", () => {
+  test("lists collected tool calls with their targets", () => {
+    const markdown = formatDraftMarkdown(
+      [
+        {
+          content: "Run tests",
+          status: "pending",
+          rawInput: { command: "npm test" },
+        },
+      ],
+      "Fix build"
+    );
+
+    expect(markdown).toContain("# Plan: Fix build");
+    expect(markdown).toContain("- [ ] 1. Run tests\n  `npm test`");
+  });
+});
+
+describe("parsePlanMarkdown", () => {
+  test("reads back an exported plan", () => {
+    const { task, verify, steps } = parsePlanMarkdown(
+      [
+        "# Plan: Add dark theme",
+        "",
+        "- Status: paused",
+        "- Verify: `npm test`",
+        "",
+        "## Steps",
+        "",
+        "- [x] 1. Add tokens _(completed)_",
+        "  Edit theme.css",
+        "  Verify: `npm run lint`",
+        "  > Added tokens",
+        "- [X] 2. Add toggle _(skipped)_",
+        "- [ ] 3. Write docs _(failed)_",
+        "  README section",
+        "  and changelog",
+        "  Depends on: 1, 2",
+        "  Model: `koda-mini`",
+      ].join("\n")
+    );
+
+    expect(task).toBe("Add dark theme");
+    expect(verify).toBe("npm test");
+    expect(steps).toEqual([
+      {
+        title: "Add tokens",
+        description: "Edit theme.css",
+        status: "completed",
+        result: "Added tokens",
+        verify: "npm run lint",
+        dependsOn: [],
+        model: null,
+      },
+      {
+        title: "Add toggle",
+        description: "",
+        status: "skipped",
+        result: null,
+        verify: null,
+        dependsOn: [],
+        model: null,
+      },
+      {
+        title: "Write docs",
+        description: "README section\nand changelog",
+        status: "pending",
+        result: null,
+        verify: null,
+        dependsOn: [1, 2],
+        model: "koda-mini",
+      },
+    ]);
+  });
+
+  test("accepts a hand-written checklist", () => {
+    const { task, steps } = parsePlanMarkdown(
+      "Notes\n\n* [ ] Update API\n- [x] Bump version\n- plain item\n"
+    );
+
+    expect(task).toBe("");
+    expect(steps.map((s) => [s.title, s.status])).toEqual([
+      ["Update API", "pending"],
+      ["Bump version", "completed"],
+    ]);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Plan Storage - сохранение планов Professional режима в проекте
+ */
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { PLAN_STORAGE } from "../config/constants.js";
+import { PLAN_STATUS } from "./professional-handler.js";
+import { parsePlanMarkdown } from "./plan-markdown.js";
+import { getTemplateParams } from "./plan-templates.js";
+
+/**
+ * @typedef {Object} PlanRecord
+ * @property {number} version - Версия формата
+ * @property {string} planId
+ * @property {string|null} sessionId - Сессия, в которой план сохранён последним
+ * @property {import("./professional-handler.js").ExecutionPlan} currentPlan
+ * @property {boolean} autoApproveSteps
+ * @property {number|null} autoApproveUntil
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const PLAN_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * @typedef {Object} PlanTemplateInfo
+ * @property {string} name - Имя файла без .md
+ * @property {string[]} params - Параметры {{name}} шаблона
+ */
+
+/**
+ * Plan Storage - хранит планы в <cwd>/.koda/plans/<planId>.json,
+ * шаблоны планов читает из <cwd>/.koda/plan-templates/<name>.md
+ */
+export class PlanStorage {
+  /**
+   * @param {Object} [options={}]
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+
+    /** @type {Map<string, Promise>} filePath -> last pending write */
+    this.writeQueue = new Map();
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[PlanStorage]", ...args);
+    }
+  }
+
+  /**
+   * Каталог планов проекта
+   * @param {string} cwd
+   * @returns {string}
+   */
+  getDir(cwd) {
+    return path.join(cwd, PLAN_STORAGE.DIR);
+  }
+
+  /**
+   * Получить путь к файлу плана
+   * @param {string} cwd
+   * @param {string} planId
+   * @returns {string}
+   * @throws {Error} If planId contains unsafe characters
+   */
+  getFilePath(cwd, planId) {
+    if (!PLAN_ID_PATTERN.test(planId || "")) {
+      throw new Error(`Invalid plan id: ${planId}`);
+    }
+    return path.join(this.getDir(cwd), `${planId}.json`);
+  }
+
+  /**
+   * Сохранить план (записи одного файла выполняются последовательно)
+   * @param {string} cwd
+   * @param {Object} data - Результат ProfessionalModeHandler.serialize()
+   * @param {string} [sessionId]
+   * @returns {Promise<PlanRecord>}
+   */
+  save(cwd, data, sessionId = null) {
+    const filePath = this.getFilePath(cwd, data.currentPlan?.id);
+
+    /** @type {PlanRecord} */
+    const record = {
+      version: PLAN_STORAGE.FORMAT_VERSION,
+      planId: data.currentPlan.id,
+      sessionId,
+      // Snapshot now: the plan keeps changing while the write is queued
+      currentPlan: structuredClone(data.currentPlan),
+      autoApproveSteps: data.autoApproveSteps || false,
+      autoApproveUntil: data.autoApproveUntil ?? null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const previous = this.writeQueue.get(filePath) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.writeRecord(filePath, record));
+
+    this.writeQueue.set(filePath, next);
+    next
+      .finally(() => {
+        if (this.writeQueue.get(filePath) === next) {
+          this.writeQueue.delete(filePath);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Записать файл плана
+   * @private
+   * @param {string} filePath
+   * @param {PlanRecord} record
+   * @returns {Promise<PlanRecord>}
+   */
+  async writeRecord(filePath, record) {
+    // Write to a temp file first so a crash never leaves a truncated record
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2));
+    await fs.rename(tmpPath, filePath);
+
+    this.debugLog(`Saved plan ${record.planId}`);
+    return record;
+  }
+
+  /**
+   * Загрузить план
+   * @param {string} cwd
+   * @param {string} planId
+   * @returns {Promise<PlanRecord|null>}
+   */
+  async load(cwd, planId) {
+    try {
+      const data = await fs.readFile(this.getFilePath(cwd, planId), "utf8");
+      const record = JSON.parse(data);
+      if (record.version !== PLAN_STORAGE.FORMAT_VERSION) {
+        this.debugLog(`Unsupported plan format: ${record.version}`);
+        return null;
+      }
+      return record;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Все сохранённые планы проекта, начиная с последнего изменённого
+   * @param {string} cwd
+   * @returns {Promise<PlanRecord[]>}
+   */
+  async list(cwd) {
+    let files;
+    try {
+      files = await fs.readdir(this.getDir(cwd));
+    } catch {
+      return [];
+    }
+
+    const records = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => this.load(cwd, path.basename(file, ".json")))
+    );
+
+    return records
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Записать план в Markdown-файл (/plan export)
+   * @param {string} filePath - Абсолютный путь
+   * @param {string} markdown
+   * @returns {Promise<void>}
+   */
+  async exportMarkdown(filePath, markdown) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, markdown);
+    this.debugLog(`Exported plan to ${filePath}`);
+  }
+
+  /**
+   * Прочитать план из Markdown-чеклиста (/plan import)
+   * @param {string} filePath - Абсолютный путь
+   * @returns {Promise<ReturnType<typeof parsePlanMarkdown>>}
+   */
+  async importMarkdown(filePath) {
+    const text = await fs.readFile(filePath, "utf8");
+    return parsePlanMarkdown(text);
+  }
+
+  /**
+   * Прочитать шаблон плана (/plan new)
+   * @param {string} cwd
+   * @param {string} name - Имя шаблона без .md
+   * @returns {Promise<string|null>} null, если шаблона нет
+   */
+  async readTemplate(cwd, name) {
+    if (!PLAN_ID_PATTERN.test(name || "")) return null;
+
+    try {
+      return await fs.readFile(
+        path.join(cwd, PLAN_STORAGE.TEMPLATES_DIR, `${name}.md`),
+        "utf8"
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Шаблоны планов проекта по алфавиту
+   * @param {string} cwd
+   * @returns {Promise<PlanTemplateInfo[]>}
+   */
+  async listTemplates(cwd) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(cwd, PLAN_STORAGE.TEMPLATES_DIR));
+    } catch {
+      return [];
+    }
+
+    const names = files
+      .filter((file) => file.endsWith(".md"))
+      .map((file) => path.basename(file, ".md"))
+      .filter((name) => PLAN_ID_PATTERN.test(name))
+      .sort();
+
+    const templates = [];
+    for (const name of names) {
+      const text = await this.readTemplate(cwd, name);
+      if (text !== null) {
+        templates.push({ name, params: getTemplateParams(text) });
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * Найти последний незавершённый план проекта
+   * @param {string} cwd
+   * @returns {Promise<PlanRecord|null>}
+   */
+  async findResumable(cwd) {
+    const records = await this.list(cwd);
+    return (
+      records.find(
+        (record) =>
+          record.currentPlan?.status !== PLAN_STATUS.COMPLETED &&
+          record.currentPlan?.status !== PLAN_STATUS.CANCELLED
+      ) || null
+    );
+  }
+}
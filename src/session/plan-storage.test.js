@@ -0,0 +1,108 @@
+/**
+ * Tests for PlanStorage
+ */
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PlanStorage } from "./plan-storage.js";
+import { ProfessionalModeHandler } from "./professional-handler.js";
+
+describe("PlanStorage", () => {
+  let cwd;
+  let storage;
+  let handler;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), "koda-plans-"));
+    storage = new PlanStorage();
+    handler = new ProfessionalModeHandler();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  test("saves plans under .koda/plans of the project", async () => {
+    const plan = handler.createPlan("Task", [{ title: "Step" }]);
+
+    await storage.save(cwd, handler.serialize(), "s1");
+
+    const file = path.join(cwd, ".koda", "plans", `${plan.id}.json`);
+    const record = JSON.parse(await fs.readFile(file, "utf8"));
+    expect(record.planId).toBe(plan.id);
+    expect(record.sessionId).toBe("s1");
+    expect(record.currentPlan.steps[0].title).toBe("Step");
+  });
+
+  test("round-trips a plan through load", async () => {
+    const plan = handler.createPlan("Task", [{ title: "Step" }]);
+    handler.approvePlan();
+    await storage.save(cwd, handler.serialize());
+
+    const record = await storage.load(cwd, plan.id);
+
+    expect(record.currentPlan.status).toBe("paused");
+    expect(record.currentPlan.steps[0].status).toBe("awaiting_approval");
+  });
+
+  test("keeps the state at save time for queued writes", async () => {
+    const plan = handler.createPlan("Task", [{ title: "Step" }]);
+    const first = storage.save(cwd, handler.serialize());
+    handler.approvePlan();
+    const second = storage.save(cwd, handler.serialize());
+
+    expect((await first).currentPlan.status).toBe("pending_approval");
+    expect((await second).currentPlan.status).toBe("paused");
+    expect((await storage.load(cwd, plan.id)).currentPlan.status).toBe(
+      "paused"
+    );
+  });
+
+  test("findResumable skips finished plans", async () => {
+    handler.createPlan("Old", [{ title: "Step" }]);
+    handler.rejectPlan();
+    await storage.save(cwd, handler.serialize());
+
+    const other = new ProfessionalModeHandler();
+    other.createPlan("Open", [{ title: "Step" }]);
+    other.currentPlan.id = "plan_open";
+    await storage.save(cwd, other.serialize());
+
+    const record = await storage.findResumable(cwd);
+    expect(record.planId).toBe("plan_open");
+  });
+
+  test("returns nothing for projects without plans", async () => {
+    expect(await storage.list(cwd)).toEqual([]);
+    expect(await storage.findResumable(cwd)).toBeNull();
+    expect(await storage.load(cwd, "plan_missing")).toBeNull();
+  });
+
+  test("reads plan templates from .koda/plan-templates", async () => {
+    const dir = path.join(cwd, ".koda", "plan-templates");
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, "rest-endpoint.md"),
+      "# Plan: Add {{name}} endpoint\n\n- [ ] Add route {{path}} for {{name}}\n"
+    );
+    await fs.writeFile(path.join(dir, "release.md"), "- [ ] Bump version\n");
+    await fs.writeFile(path.join(dir, "notes.txt"), "not a template");
+
+    expect(await storage.listTemplates(cwd)).toEqual([
+      { name: "release", params: [] },
+      { name: "rest-endpoint", params: ["name", "path"] },
+    ]);
+    expect(await storage.readTemplate(cwd, "release")).toBe(
+      "- [ ] Bump version\n"
+    );
+    expect(await storage.readTemplate(cwd, "missing")).toBeNull();
+    expect(await storage.readTemplate(cwd, "../plans/x")).toBeNull();
+  });
+
+  test("rejects unsafe plan ids", () => {
+    expect(() => storage.getFilePath(cwd, "../escape")).toThrow(
+      "Invalid plan id"
+    );
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Plan Templates - шаблоны планов Professional режима
+ *
+ * Шаблон - Markdown-чеклист в формате /plan export, в тексте которого
+ * встречаются параметры {{name}}.
+ */
+
+const PARAM_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Параметры шаблона в порядке первого упоминания
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getTemplateParams(text) {
+  return [...new Set([...text.matchAll(PARAM_PATTERN)].map((m) => m[1]))];
+}
+
+/**
+ * Подставить значения параметров в шаблон
+ * @param {string} text
+ * @param {Record<string, string>} params
+ * @returns {{text: string, missing: string[]}} missing - параметры без значений
+ */
+export function fillPlanTemplate(text, params) {
+  const missing = getTemplateParams(text).filter(
+    (name) => !Object.hasOwn(params, name)
+  );
+  if (missing.length > 0) {
+    return { text, missing };
+  }
+
+  return {
+    text: text.replace(PARAM_PATTERN, (_, name) => params[name]),
+    missing,
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Tests for plan templates
+ */
+
+import { fillPlanTemplate, getTemplateParams } from "./plan-templates.js";
+
+describe("getTemplateParams", () => {
+  test("lists parameters once, in order of appearance", () => {
+    expect(
+      getTemplateParams("Add {{name}} at {{ path }}, test {{name}}")
+    ).toEqual(["name", "path"]);
+  });
+});
+
+describe("fillPlanTemplate", () => {
+  test("substitutes every parameter", () => {
+    const { text, missing } = fillPlanTemplate(
+      "- [ ] Add REST endpoint {{name}}\n  Route {{ path }}",
+      { name: "users", path: "/api/users", extra: "ignored" }
+    );
+
+    expect(missing).toEqual([]);
+    expect(text).toBe("- [ ] Add REST endpoint users\n  Route /api/users");
+  });
+
+  test("reports parameters without values", () => {
+    const template = "- [ ] Add {{name}} at {{path}}";
+    const { text, missing } = fillPlanTemplate(template, { name: "users" });
+
+    expect(missing).toEqual(["path"]);
+    expect(text).toBe(template);
+  });
+});
@@ -35,6 +35,20 @@ export const STEP_STATUS = {
  * @property {string} description - Описание действий
  * @property {string} status - Статус шага (STEP_STATUS)
  * @property {string|null} result - Результат выполнения
+ * @property {string|null} [verify] - Команда проверки шага (вместо команды плана)
+ * @property {StepVerification|null} [verification] - Последняя неудачная проверка
+ * @property {string|null} [commit] - git-коммит с изменениями шага
+ * @property {string|null} [revertedBy] - git-коммит, отменивший шаг
+ * @property {string[]} [dependsOn] - ID шагов, которые должны быть завершены раньше
+ * @property {string|null} [model] - Модель для выполнения шага (null - модель сессии)
+ */
+
+/**
+ * @typedef {Object} StepVerification
+ * @property {string} command - Команда проверки
+ * @property {number|null} exitCode - Код выхода (null - не завершилась)
+ * @property {string} output - Вывод команды
+ * @property {boolean} [timedOut] - Прервана по лимиту времени
  */
 
 /**
@@ -44,20 +58,60 @@ export const STEP_STATUS = {
  * @property {PlanStep[]} steps - Шаги плана
  * @property {string} status - Статус плана (PLAN_STATUS)
  * @property {number} currentStepIndex - Индекс текущего шага
+ * @property {string|null} [verifyCommand] - Команда проверки для всех шагов
  * @property {Date} createdAt - Время создания
  * @property {Date|null} completedAt - Время завершения
  */
 
+/**
+ * ACP статусы записей плана для статусов шагов
+ */
+const PLAN_ENTRY_STATUS = {
+  [STEP_STATUS.PENDING]: "pending",
+  [STEP_STATUS.AWAITING_APPROVAL]: "pending",
+  [STEP_STATUS.IN_PROGRESS]: "in_progress",
+  [STEP_STATUS.COMPLETED]: "completed",
+  [STEP_STATUS.SKIPPED]: "completed",
+  [STEP_STATUS.FAILED]: "pending",
+};
+
+/**
+ * Статусы шагов, которые уже не нужно выполнять
+ */
+const FINISHED_STEP_STATUSES = new Set([STEP_STATUS.COMPLETED, STEP_STATUS.SKIPPED]);
+
+/**
+ * @typedef {Object} ProfessionalModeOptions
+ * @property {(plan: ExecutionPlan|null) => void} [onChange] - Вызывается при каждом изменении плана
+ */
+
 /**
  * Обработчик Professional режима
  */
 export class ProfessionalModeHandler {
-  constructor() {
+  /**
+   * @param {ProfessionalModeOptions} [options={}]
+   */
+  constructor(options = {}) {
     /** @type {ExecutionPlan|null} */
     this.currentPlan = null;
 
     /** @type {boolean} */
     this.autoApproveSteps = false;
+
+    /** @type {number|null} - Индекс последнего шага для автопилота (null = до конца) */
+    this.autoApproveUntil = null;
+
+    /** @type {(plan: ExecutionPlan|null) => void} */
+    this.onChange = options.onChange || (() => {});
+  }
+
+  /**
+   * Сообщает подписчику об изменении плана
+   * @private
+   */
+  notifyChange() {
+    this.onChange(this.currentPlan);
   }
 
   /**
@@ -77,6 +131,18 @@ export class ProfessionalModeHandler {
     return this.currentPlan !== null && this.currentPlan.status !== PLAN_STATUS.NONE;
   }
 
+  /**
+   * Проверяет, есть ли незавершённый план (не выполнен и не отменён)
+   * @returns {boolean}
+   */
+  isPlanActive() {
+    return (
+      this.hasPlan() &&
+      this.currentPlan.status !== PLAN_STATUS.COMPLETED &&
+      this.currentPlan.status !== PLAN_STATUS.CANCELLED
+    );
+  }
+
   /**
    * Проверяет, ожидает ли план одобрения
    * @returns {boolean}
@@ -97,6 +163,28 @@ export class ProfessionalModeHandler {
     return currentStep?.status === STEP_STATUS.AWAITING_APPROVAL;
   }
 
+  /**
+   * Включает или выключает автопилот (шаги выполняются без /approve)
+   * @param {boolean} enabled
+   * @param {number|null} [untilIndex=null] - Индекс последнего шага
+   */
+  setAutopilot(enabled, untilIndex = null) {
+    this.autoApproveSteps = enabled;
+    this.autoApproveUntil = enabled ? untilIndex : null;
+    this.notifyChange();
+  }
+
+  /**
+   * Проверяет, может ли автопилот запустить текущий шаг
+   * @returns {boolean}
+   */
+  shouldAutoApproveStep() {
+    if (!this.autoApproveSteps || !this.isStepAwaitingApproval()) {
+      return false;
+    }
+    return this.autoApproveUntil === null || this.currentPlan.currentStepIndex <= this.autoApproveUntil;
+  }
+
   /**
    * Получает текущий шаг
    * @returns {PlanStep|null}
@@ -109,28 +197,40 @@ export class ProfessionalModeHandler {
   /**
    * Создаёт новый план выполнения
    * @param {string} taskDescription - Описание задачи
-   * @param {Array<{title: string, description: string}>} steps - Шаги плана
+   * @param {Array<{title: string, description: string, status?: string, result?: string, dependsOn?: number[], model?: string}>} steps - Шаги плана;
+   *   status completed/skipped сохраняется (план, импортированный из чеклиста),
+   *   dependsOn - номера (с 1) более ранних шагов, остальные номера отбрасываются
    * @returns {ExecutionPlan}
    */
   createPlan(taskDescription, steps) {
     const planId = `plan_${Date.now()}`;
+    const stepId = (index) => `${planId}_step_${index}`;
+    const planSteps = steps.map((step, index) => ({
+      id: stepId(index),
+      title: step.title,
+      description: step.description,
+      status: FINISHED_STEP_STATUSES.has(step.status) ? step.status : STEP_STATUS.PENDING,
+      result: step.result ?? null,
+      verify: step.verify || null,
+      dependsOn: [...new Set(step.dependsOn || [])]
+        .filter((number) => Number.isInteger(number) && number >= 1 && number <= index)
+        .map((number) => stepId(number - 1)),
+      model: step.model || null,
+    }));
 
     this.currentPlan = {
       id: planId,
       taskDescription,
-      steps: steps.map((step, index) => ({
-        id: `${planId}_step_${index}`,
-        title: step.title,
-        description: step.description,
-        status: STEP_STATUS.PENDING,
-        result: null,
-      })),
+      steps: planSteps,
       status: PLAN_STATUS.PENDING_APPROVAL,
       currentStepIndex: 0,
+      verifyCommand: null,
       createdAt: new Date(),
       completedAt: null,
     };
+    this.currentPlan.currentStepIndex = Math.max(this.findRunnableStepIndex(), 0);
 
+    this.notifyChange();
     return this.currentPlan;
   }
 
@@ -144,10 +244,12 @@ export class ProfessionalModeHandler {
     }
 
     this.currentPlan.status = PLAN_STATUS.PAUSED;
-    if (this.currentPlan.steps.length > 0) {
-      this.currentPlan.steps[0].status = STEP_STATUS.AWAITING_APPROVAL;
+    const step = this.getCurrentStep();
+    if (step?.status === STEP_STATUS.PENDING) {
+      step.status = STEP_STATUS.AWAITING_APPROVAL;
     }
 
+    this.notifyChange();
     return true;
   }
 
@@ -159,6 +261,7 @@ export class ProfessionalModeHandler {
     if (!this.currentPlan) return false;
 
     this.currentPlan.status = PLAN_STATUS.CANCELLED;
+    this.notifyChange();
     return true;
   }
 
@@ -174,9 +277,26 @@ export class ProfessionalModeHandler {
 
     step.status = STEP_STATUS.IN_PROGRESS;
     this.currentPlan.status = PLAN_STATUS.EXECUTING;
+    this.notifyChange();
     return step;
   }
 
+  /**
+   * Возвращает неудавшийся текущий шаг к ожиданию одобрения
+   * @returns {boolean}
+   */
+  retryCurrentStep() {
+    const step = this.getCurrentStep();
+    if (!step || step.status !== STEP_STATUS.FAILED) {
+      return false;
+    }
+
+    step.status = STEP_STATUS.AWAITING_APPROVAL;
+    this.currentPlan.status = PLAN_STATUS.PAUSED;
+    this.notifyChange();
+    return true;
+  }
+
   /**
    * Пропускает текущий шаг
    * @returns {boolean}
@@ -192,9 +312,10 @@ export class ProfessionalModeHandler {
   /**
    * Отмечает текущий шаг как завершённый
    * @param {string} result - Результат выполнения
+   * @param {string|null} [commit=null] - git-коммит с изменениями шага
    * @returns {boolean}
    */
-  completeCurrentStep(result = "") {
+  completeCurrentStep(result = "", commit = null) {
     const step = this.getCurrentStep();
     if (!step || step.status !== STEP_STATUS.IN_PROGRESS) {
       return false;
@@ -202,21 +323,26 @@ export class ProfessionalModeHandler {
 
     step.status = STEP_STATUS.COMPLETED;
     step.result = result;
+    step.verification = null;
+    step.commit = commit;
     return this.moveToNextStep();
   }
 
   /**
    * Отмечает текущий шаг как неудавшийся
    * @param {string} error - Описание ошибки
+   * @param {StepVerification|null} [verification=null] - Неудачная проверка, её вывод передаётся KODA при повторе
    * @returns {boolean}
    */
-  failCurrentStep(error = "") {
+  failCurrentStep(error = "", verification = null) {
     const step = this.getCurrentStep();
     if (!step) return false;
 
     step.status = STEP_STATUS.FAILED;
     step.result = error;
+    step.verification = verification;
     this.currentPlan.status = PLAN_STATUS.PAUSED;
+    this.notifyChange();
     return true;
   }
 
@@ -227,18 +353,132 @@ export class ProfessionalModeHandler {
   moveToNextStep() {
     if (!this.currentPlan) return false;
 
-    const nextIndex = this.currentPlan.currentStepIndex + 1;
-
-    if (nextIndex >= this.currentPlan.steps.length) {
+    const nextIndex = this.findRunnableStepIndex();
+    if (nextIndex === -1) {
       // План завершён
       this.currentPlan.status = PLAN_STATUS.COMPLETED;
       this.currentPlan.completedAt = new Date();
+      this.notifyChange();
       return false;
     }
 
     this.currentPlan.currentStepIndex = nextIndex;
     this.currentPlan.steps[nextIndex].status = STEP_STATUS.AWAITING_APPROVAL;
     this.currentPlan.status = PLAN_STATUS.PAUSED;
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Находит следующий шаг для выполнения по графу зависимостей:
+   * первый ожидающий шаг, все зависимости которого завершены или пропущены
+   * @returns {number} - Индекс шага или -1, если ожидающих шагов нет
+   */
+  findRunnableStepIndex() {
+    if (!this.currentPlan) return -1;
+
+    const { steps } = this.currentPlan;
+    const finished = new Set(
+      steps.filter((step) => FINISHED_STEP_STATUSES.has(step.status)).map((step) => step.id)
+    );
+    const runnable = steps.findIndex(
+      (step) =>
+        step.status === STEP_STATUS.PENDING && (step.dependsOn || []).every((id) => finished.has(id))
+    );
+
+    // Unreachable while the graph stays acyclic; never stall the plan on it
+    return runnable !== -1 ? runnable : steps.findIndex((step) => step.status === STEP_STATUS.PENDING);
+  }
+
+  /**
+   * Номера (с 1) шагов, от которых зависит шаг
+   * @param {PlanStep} step
+   * @returns {number[]}
+   */
+  getDependencyNumbers(step) {
+    if (!this.currentPlan) return [];
+
+    const { steps } = this.currentPlan;
+    return (step.dependsOn || [])
+      .map((id) => steps.findIndex((s) => s.id === id) + 1)
+      .filter((number) => number > 0)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Задаёт зависимости ещё не начатого шага
+   * @param {number} stepIndex - Индекс шага
+   * @param {number[]} dependencyIndexes - Индексы шагов, которые должны быть выполнены раньше
+   * @returns {boolean} - false, если шаг уже начат или зависимости образуют цикл
+   */
+  setStepDependencies(stepIndex, dependencyIndexes) {
+    const steps = this.currentPlan?.steps;
+    const step = steps?.[stepIndex];
+    if (!step || stepIndex < 0) return false;
+    if (step.status !== STEP_STATUS.PENDING && step.status !== STEP_STATUS.AWAITING_APPROVAL) {
+      return false;
+    }
+    if (dependencyIndexes.some((index) => index === stepIndex || !steps[index])) {
+      return false;
+    }
+
+    const dependsOn = [...new Set(dependencyIndexes)].map((index) => steps[index].id);
+    if (dependsOn.some((id) => this.dependsOnStep(id, step.id))) {
+      return false; // Цикл: зависимость сама ждёт этот шаг
+    }
+
+    step.dependsOn = dependsOn;
+
+    // The current step may now wait for others: pick the next runnable one
+    if (stepIndex === this.currentPlan.currentStepIndex) {
+      const awaiting = step.status === STEP_STATUS.AWAITING_APPROVAL;
+      step.status = STEP_STATUS.PENDING;
+      this.currentPlan.currentStepIndex = this.findRunnableStepIndex();
+      if (awaiting) {
+        this.getCurrentStep().status = STEP_STATUS.AWAITING_APPROVAL;
+      }
+    }
+
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Проверяет, зависит ли шаг (напрямую или через другие шаги) от другого шага
+   * @private
+   * @param {string} fromId - ID шага
+   * @param {string} targetId - ID возможной зависимости
+   * @returns {boolean}
+   */
+  dependsOnStep(fromId, targetId) {
+    const byId = new Map(this.currentPlan.steps.map((step) => [step.id, step]));
+    const visited = new Set();
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === targetId) return true;
+      if (visited.has(id)) continue;
+      visited.add(id);
+      queue.push(...(byId.get(id)?.dependsOn || []));
+    }
+    return false;
+  }
+
+  /**
+   * Задаёт модель для выполнения шага
+   * @param {number} stepIndex - Индекс шага
+   * @param {string|null} model - ID модели (null - модель сессии)
+   * @returns {boolean}
+   */
+  setStepModel(stepIndex, model) {
+    const step = this.currentPlan?.steps[stepIndex];
+    if (!step || stepIndex < 0 || FINISHED_STEP_STATUSES.has(step.status)) {
+      return false;
+    }
+
+    step.model = model || null;
+    this.notifyChange();
     return true;
   }
 
@@ -249,7 +489,7 @@ export class ProfessionalModeHandler {
    * @returns {boolean}
    */
   modifyStep(stepIndex, updates) {
-    if (!this.currentPlan || stepIndex >= this.currentPlan.steps.length) {
+    if (!this.currentPlan || stepIndex < 0 || stepIndex >= this.currentPlan.steps.length) {
       return false;
     }
 
@@ -261,6 +501,7 @@ export class ProfessionalModeHandler {
     if (updates.title) step.title = updates.title;
     if (updates.description) step.description = updates.description;
 
+    this.notifyChange();
     return true;
   }
 
@@ -271,7 +512,12 @@ export class ProfessionalModeHandler {
    * @returns {boolean}
    */
   addStep(afterIndex, step) {
-    if (!this.currentPlan) return false;
+    if (!this.currentPlan || afterIndex < -1 || afterIndex >= this.currentPlan.steps.length) {
+      return false;
+    }
+    if (!this.canChangePosition(afterIndex + 1)) {
+      return false; // Нельзя вставлять перед уже начатыми шагами
+    }
 
     const newStep = {
       id: `${this.currentPlan.id}_step_${Date.now()}`,
@@ -279,19 +525,71 @@ export class ProfessionalModeHandler {
       description: step.description,
       status: STEP_STATUS.PENDING,
       result: null,
+      verify: step.verify || null,
+      dependsOn: [],
+      model: step.model || null,
     };
 
     this.currentPlan.steps.splice(afterIndex + 1, 0, newStep);
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Отмечает коммит выполненного шага отменённым
+   * @param {number} stepIndex - Индекс шага
+   * @param {string} revertCommit - Коммит отмены
+   * @returns {boolean}
+   */
+  markStepReverted(stepIndex, revertCommit) {
+    const step = this.currentPlan?.steps[stepIndex];
+    if (!step?.commit || step.revertedBy) {
+      return false;
+    }
+
+    step.revertedBy = revertCommit;
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Задаёт команду проверки шага или всего плана
+   * @param {number|null} stepIndex - Индекс шага (null - для всего плана)
+   * @param {string|null} command - Команда (null - убрать проверку)
+   * @returns {boolean}
+   */
+  setVerifyCommand(stepIndex, command) {
+    if (!this.currentPlan) return false;
+
+    if (stepIndex === null) {
+      this.currentPlan.verifyCommand = command || null;
+    } else {
+      const step = this.currentPlan.steps[stepIndex];
+      if (!step || stepIndex < 0 || step.status === STEP_STATUS.COMPLETED) {
+        return false;
+      }
+      step.verify = command || null;
+    }
+
+    this.notifyChange();
     return true;
   }
 
+  /**
+   * Команда проверки текущего шага
+   * @returns {string|null}
+   */
+  getVerifyCommand() {
+    return this.getCurrentStep()?.verify || this.currentPlan?.verifyCommand || null;
+  }
+
   /**
    * Удаляет шаг из плана
    * @param {number} stepIndex - Индекс шага
    * @returns {boolean}
    */
   removeStep(stepIndex) {
-    if (!this.currentPlan || stepIndex >= this.currentPlan.steps.length) {
+    if (!this.currentPlan || stepIndex < 0 || stepIndex >= this.currentPlan.steps.length) {
       return false;
     }
 
@@ -301,15 +599,80 @@ export class ProfessionalModeHandler {
     }
 
     this.currentPlan.steps.splice(stepIndex, 1);
+    for (const other of this.currentPlan.steps) {
+      other.dependsOn = (other.dependsOn || []).filter((id) => id !== step.id);
+    }
 
     // Корректируем currentStepIndex если нужно
     if (stepIndex < this.currentPlan.currentStepIndex) {
       this.currentPlan.currentStepIndex--;
     }
 
+    this.notifyChange();
     return true;
   }
 
+  /**
+   * Перемещает шаг на другую позицию
+   *
+   * Шаг не может оказаться раньше своих зависимостей или позже зависящих от
+   * него шагов. Текущим остаётся тот же шаг; до одобрения первого шага
+   * текущий выбирается заново по новому порядку.
+   * @param {number} fromIndex - Текущий индекс шага
+   * @param {number} toIndex - Новый индекс шага
+   * @returns {boolean}
+   */
+  moveStep(fromIndex, toIndex) {
+    if (!this.currentPlan) return false;
+
+    const { steps } = this.currentPlan;
+    if (fromIndex < 0 || fromIndex >= steps.length || toIndex < 0 || toIndex >= steps.length) {
+      return false;
+    }
+
+    // Переставлять можно только ещё не начатые шаги
+    if (steps[fromIndex].status !== STEP_STATUS.PENDING || !this.canChangePosition(toIndex)) {
+      return false;
+    }
+
+    const reordered = [...steps];
+    const [step] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, step);
+
+    const position = new Map(reordered.map((s, index) => [s.id, index]));
+    const beforeDependency = (step.dependsOn || []).some((id) => position.get(id) > toIndex);
+    const afterDependent = reordered.some(
+      (other, index) => index < toIndex && (other.dependsOn || []).includes(step.id)
+    );
+    if (beforeDependency || afterDependent) {
+      return false;
+    }
+
+    const current = this.getCurrentStep();
+    steps.splice(0, steps.length, ...reordered);
+
+    // Not approved yet: the new order decides which step runs first
+    if (!current || current.status === STEP_STATUS.PENDING) {
+      this.currentPlan.currentStepIndex = Math.max(this.findRunnableStepIndex(), 0);
+    } else {
+      this.currentPlan.currentStepIndex = steps.indexOf(current);
+    }
+
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Проверяет, можно ли поставить ещё не начатый шаг на позицию
+   * @private
+   * @param {number} index
+   * @returns {boolean}
+   */
+  canChangePosition(index) {
+    const current = this.getCurrentStep();
+    return !current || current.status === STEP_STATUS.PENDING || index > this.currentPlan.currentStepIndex;
+  }
+
   /**
    * Получает прогресс выполнения плана
    * @returns {{completed: number, total: number, percentage: number}|null}
@@ -329,6 +692,29 @@ export class ProfessionalModeHandler {
     };
   }
 
+  /**
+   * Преобразует план в записи ACP плана (SESSION_UPDATE.PLAN)
+   * @returns {Array<{content: string, priority: string, status: string}>}
+   */
+  toPlanEntries() {
+    if (!this.currentPlan || this.currentPlan.status === PLAN_STATUS.CANCELLED) {
+      return [];
+    }
+
+    return this.currentPlan.steps.map((step, index) => {
+      let content = `${index + 1}. ${step.title}`;
+      if (step.status === STEP_STATUS.SKIPPED) content += " (пропущен)";
+      if (step.status === STEP_STATUS.FAILED) content += " (ошибка)";
+      if (step.revertedBy) content += " (отменён)";
+
+      return {
+        content,
+        priority: index === this.currentPlan.currentStepIndex ? "high" : "medium",
+        status: PLAN_ENTRY_STATUS[step.status] || "pending",
+      };
+    });
+  }
+
   /**
    * Форматирует план для отображения пользователю
    * @returns {string}
@@ -348,17 +734,30 @@ export class ProfessionalModeHandler {
     const lines = [
       `📋 **План: ${this.currentPlan.taskDescription}**`,
       `Статус: ${this.currentPlan.status}`,
-      "",
-      "Шаги:",
     ];
+    if (this.currentPlan.verifyCommand) {
+      lines.push(`Проверка: \`${this.currentPlan.verifyCommand}\``);
+    }
+    lines.push("", "Шаги:");
 
     this.currentPlan.steps.forEach((step, index) => {
       const emoji = statusEmoji[step.status] || "•";
       const current = index === this.currentPlan.currentStepIndex ? " ← текущий" : "";
-      lines.push(`${emoji} ${index + 1}. ${step.title}${current}`);
+      const commit = step.commit ? ` [${step.commit.slice(0, 7)}${step.revertedBy ? ", отменён" : ""}]` : "";
+      lines.push(`${emoji} ${index + 1}. ${step.title}${commit}${current}`);
       if (step.description) {
         lines.push(`   ${step.description}`);
       }
+      if (step.verify) {
+        lines.push(`   🔎 \`${step.verify}\``);
+      }
+      const dependencies = this.getDependencyNumbers(step);
+      if (dependencies.length > 0) {
+        lines.push(`   🔗 После шагов: ${dependencies.join(", ")}`);
+      }
+      if (step.model) {
+        lines.push(`   🧠 Модель: \`${step.model}\``);
+      }
     });
 
     const progress = this.getProgress();
@@ -376,6 +775,8 @@ export class ProfessionalModeHandler {
   reset() {
     this.currentPlan = null;
     this.autoApproveSteps = false;
+    this.autoApproveUntil = null;
+    this.notifyChange();
   }
 
   /**
@@ -386,6 +787,7 @@ export class ProfessionalModeHandler {
     return {
       currentPlan: this.currentPlan,
       autoApproveSteps: this.autoApproveSteps,
+      autoApproveUntil: this.autoApproveUntil,
     };
   }
 
@@ -405,5 +807,33 @@ export class ProfessionalModeHandler {
       }
     }
     this.autoApproveSteps = data.autoApproveSteps || false;
+    this.autoApproveUntil = data.autoApproveUntil ?? null;
+  }
+
+  /**
+   * Восстанавливает прерванный план для продолжения работы
+   * @param {Object} data - Результат serialize()
+   * @returns {boolean}
+   */
+  resumePlan(data) {
+    if (!data?.currentPlan) return false;
+
+    this.deserialize(data);
+
+    // Автопилот после перерыва включается заново явно
+    this.autoApproveSteps = false;
+    this.autoApproveUntil = null;
+
+    // Шаг, прерванный во время выполнения, снова ждёт одобрения
+    const step = this.getCurrentStep();
+    if (step?.status === STEP_STATUS.IN_PROGRESS) {
+      step.status = STEP_STATUS.AWAITING_APPROVAL;
+    }
+    if (this.currentPlan.status === PLAN_STATUS.EXECUTING) {
+      this.currentPlan.status = PLAN_STATUS.PAUSED;
+    }
+
+    this.notifyChange();
+    return true;
   }
 }
@@ -62,6 +62,202 @@ describe("ProfessionalModeHandler", () => {
     });
   });
 
+  describe("isPlanActive", () => {
+    it("returns true for a plan in progress", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      expect(handler.isPlanActive()).toBe(true);
+    });
+
+    it("returns false for finished or cancelled plans", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.rejectPlan();
+      expect(handler.isPlanActive()).toBe(false);
+    });
+  });
+
+  describe("retryCurrentStep", () => {
+    it("returns a failed step to awaiting approval", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.failCurrentStep("tests failed");
+
+      expect(handler.retryCurrentStep()).toBe(true);
+      expect(handler.getCurrentStep().status).toBe(STEP_STATUS.AWAITING_APPROVAL);
+      expect(handler.isStepAwaitingApproval()).toBe(true);
+    });
+
+    it("fails if the step has not failed", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      expect(handler.retryCurrentStep()).toBe(false);
+    });
+  });
+
+  describe("createPlan - imported steps", () => {
+    it("keeps finished steps and starts at the first pending one", () => {
+      handler.createPlan("Task", [
+        { title: "Done", description: "", status: STEP_STATUS.COMPLETED, result: "ok" },
+        { title: "Next", description: "", status: STEP_STATUS.PENDING },
+        { title: "Skipped", description: "", status: STEP_STATUS.SKIPPED },
+        { title: "Last", description: "", status: STEP_STATUS.FAILED },
+      ]);
+
+      expect(handler.currentPlan.currentStepIndex).toBe(1);
+      expect(handler.currentPlan.steps[0].result).toBe("ok");
+      expect(handler.currentPlan.steps[3].status).toBe(STEP_STATUS.PENDING);
+
+      handler.approvePlan();
+      expect(handler.getCurrentStep().title).toBe("Next");
+
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      expect(handler.getCurrentStep().title).toBe("Last");
+    });
+  });
+
+  describe("setVerifyCommand", () => {
+    it("sets the plan command and overrides it per step", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+      ]);
+
+      expect(handler.setVerifyCommand(null, "npm test")).toBe(true);
+      expect(handler.setVerifyCommand(1, "npm run lint")).toBe(true);
+
+      expect(handler.getVerifyCommand()).toBe("npm test");
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      expect(handler.getVerifyCommand()).toBe("npm run lint");
+    });
+
+    it("rejects completed or missing steps", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+
+      expect(handler.setVerifyCommand(0, "npm test")).toBe(false);
+      expect(handler.setVerifyCommand(5, "npm test")).toBe(false);
+    });
+
+    it("keeps the failed verification until the step completes", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      const verification = { command: "npm test", exitCode: 1, output: "fail" };
+
+      handler.failCurrentStep("fail", verification);
+      expect(handler.getCurrentStep().verification).toEqual(verification);
+
+      handler.retryCurrentStep();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      expect(handler.currentPlan.steps[0].verification).toBeNull();
+    });
+  });
+
+  describe("markStepReverted", () => {
+    it("records the revert of a committed step once", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("Commit: abc1234", "abc1234");
+
+      expect(handler.markStepReverted(0, "def5678")).toBe(true);
+      expect(handler.markStepReverted(0, "def5678")).toBe(false);
+      expect(handler.currentPlan.steps[0].revertedBy).toBe("def5678");
+      expect(handler.toPlanEntries()[0].content).toBe("1. Step (отменён)");
+    });
+
+    it("fails for steps without a commit", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      expect(handler.markStepReverted(0, "def5678")).toBe(false);
+    });
+  });
+
+  describe("step dependencies", () => {
+    it("runs the next step whose dependencies are finished", () => {
+      handler.createPlan("Task", [
+        { title: "Schema", description: "" },
+        { title: "API", description: "", dependsOn: [1, 3] },
+        { title: "Docs", description: "" },
+        { title: "Release", description: "", dependsOn: [2] },
+      ]);
+      // Forward references are dropped: a step may depend on earlier steps only
+      expect(handler.getDependencyNumbers(handler.currentPlan.steps[1])).toEqual([1]);
+
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      expect(handler.setStepDependencies(2, [1])).toBe(true);
+      handler.completeCurrentStep("done");
+      expect(handler.getCurrentStep().title).toBe("API");
+
+      handler.skipCurrentStep();
+      expect(handler.getCurrentStep().title).toBe("Docs");
+    });
+
+    it("moves on from the current step when it gets unfinished dependencies", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+      ]);
+      handler.approvePlan();
+
+      expect(handler.setStepDependencies(0, [1])).toBe(true);
+      expect(handler.getCurrentStep().title).toBe("Step 2");
+      expect(handler.getCurrentStep().status).toBe(STEP_STATUS.AWAITING_APPROVAL);
+      expect(handler.currentPlan.steps[0].status).toBe(STEP_STATUS.PENDING);
+    });
+
+    it("rejects cycles and self-dependencies", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "", dependsOn: [1] },
+        { title: "Step 3", description: "", dependsOn: [2] },
+      ]);
+
+      expect(handler.setStepDependencies(0, [2])).toBe(false);
+      expect(handler.setStepDependencies(1, [1])).toBe(false);
+      expect(handler.setStepDependencies(1, [7])).toBe(false);
+      expect(handler.setStepDependencies(2, [])).toBe(true);
+      expect(handler.setStepDependencies(0, [2])).toBe(true);
+    });
+
+    it("drops dependencies on removed steps", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+        { title: "Step 3", description: "", dependsOn: [2] },
+      ]);
+
+      handler.removeStep(1);
+      expect(handler.currentPlan.steps[1].dependsOn).toEqual([]);
+    });
+  });
+
+  describe("setStepModel", () => {
+    it("sets the model of unfinished steps", () => {
+      handler.createPlan("Task", [
+        { title: "Rename", description: "", model: "cheap" },
+        { title: "Design", description: "" },
+      ]);
+      expect(handler.currentPlan.steps[0].model).toBe("cheap");
+
+      expect(handler.setStepModel(1, "premium")).toBe(true);
+      expect(handler.formatPlanForDisplay()).toContain("🧠 Модель: `premium`");
+
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      expect(handler.setStepModel(0, null)).toBe(false);
+      expect(handler.setStepModel(1, null)).toBe(true);
+      expect(handler.getCurrentStep().model).toBeNull();
+    });
+  });
+
   describe("approvePlan", () => {
     it("approves pending plan", () => {
       handler.createPlan("Task", [
@@ -225,6 +421,101 @@ describe("ProfessionalModeHandler", () => {
     });
   });
 
+  describe("addStep - validation", () => {
+    it("does not insert before a step that is already started", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+      ]);
+      handler.approvePlan();
+
+      expect(handler.addStep(-1, { title: "First", description: "" })).toBe(false);
+      expect(handler.addStep(0, { title: "Second", description: "" })).toBe(true);
+      expect(handler.currentPlan.steps[1].title).toBe("Second");
+    });
+
+    it("rejects out-of-range positions", () => {
+      handler.createPlan("Task", [{ title: "Step 1", description: "" }]);
+
+      expect(handler.addStep(5, { title: "Far", description: "" })).toBe(false);
+    });
+  });
+
+  describe("moveStep", () => {
+    beforeEach(() => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+        { title: "Step 3", description: "" },
+      ]);
+    });
+
+    it("reorders steps before approval", () => {
+      expect(handler.moveStep(2, 0)).toBe(true);
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual(["Step 3", "Step 1", "Step 2"]);
+    });
+
+    it("keeps started steps in place", () => {
+      handler.approvePlan();
+
+      expect(handler.moveStep(0, 2)).toBe(false);
+      expect(handler.moveStep(2, 0)).toBe(false);
+      expect(handler.moveStep(2, 1)).toBe(true);
+      expect(handler.currentPlan.steps[1].title).toBe("Step 3");
+    });
+
+    it("rejects out-of-range indexes", () => {
+      expect(handler.moveStep(0, 3)).toBe(false);
+      expect(handler.moveStep(-1, 0)).toBe(false);
+    });
+
+    it("keeps the current step when a step moves across it", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "", dependsOn: [1] },
+        { title: "Step 3", description: "" },
+        { title: "Step 4", description: "" },
+      ]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      handler.setStepDependencies(1, [0, 2]);
+      expect(handler.getCurrentStep().title).toBe("Step 3");
+
+      expect(handler.moveStep(1, 3)).toBe(true);
+
+      expect(handler.currentPlan.currentStepIndex).toBe(1);
+      expect(handler.getCurrentStep().title).toBe("Step 3");
+      expect(handler.getCurrentStep().status).toBe("awaiting_approval");
+    });
+
+    it("picks the first runnable step of the new order before approval", () => {
+      handler.setStepDependencies(0, [2]);
+      expect(handler.getCurrentStep().title).toBe("Step 2");
+
+      expect(handler.moveStep(2, 0)).toBe(true);
+
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual(["Step 3", "Step 1", "Step 2"]);
+      expect(handler.getCurrentStep().title).toBe("Step 3");
+      handler.approvePlan();
+      expect(handler.getCurrentStep().status).toBe("awaiting_approval");
+    });
+
+    it("refuses to move a step before its dependencies", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "", dependsOn: [1] },
+        { title: "Step 3", description: "" },
+      ]);
+
+      expect(handler.moveStep(1, 0)).toBe(false);
+      expect(handler.moveStep(0, 2)).toBe(false);
+      expect(handler.moveStep(2, 1)).toBe(true);
+      expect(handler.currentPlan.steps.map((s) => s.title)).toEqual(["Step 1", "Step 3", "Step 2"]);
+      expect(handler.getCurrentStep().title).toBe("Step 1");
+    });
+  });
+
   describe("removeStep", () => {
     beforeEach(() => {
       handler.createPlan("Task", [
@@ -298,6 +589,81 @@ describe("ProfessionalModeHandler", () => {
     });
   });
 
+  describe("toPlanEntries", () => {
+    it("maps steps to ACP plan entries", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+        { title: "Step 3", description: "" },
+      ]);
+      handler.approvePlan();
+      handler.skipCurrentStep();
+      handler.approveCurrentStep();
+
+      expect(handler.toPlanEntries()).toEqual([
+        { content: "1. Step 1 (пропущен)", priority: "medium", status: "completed" },
+        { content: "2. Step 2", priority: "high", status: "in_progress" },
+        { content: "3. Step 3", priority: "medium", status: "pending" },
+      ]);
+    });
+
+    it("returns no entries for a cancelled plan", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.rejectPlan();
+
+      expect(handler.toPlanEntries()).toEqual([]);
+    });
+  });
+
+  describe("onChange", () => {
+    it("is called on every state change", () => {
+      const changes = [];
+      handler = new ProfessionalModeHandler({
+        onChange: (plan) => changes.push(plan?.status),
+      });
+
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+
+      expect(changes).toEqual([
+        PLAN_STATUS.PENDING_APPROVAL,
+        PLAN_STATUS.PAUSED,
+        PLAN_STATUS.EXECUTING,
+        PLAN_STATUS.COMPLETED,
+      ]);
+    });
+  });
+
+  describe("autopilot", () => {
+    it("approves steps up to the until index", () => {
+      handler.createPlan("Task", [
+        { title: "Step 1", description: "" },
+        { title: "Step 2", description: "" },
+      ]);
+      handler.approvePlan();
+      handler.setAutopilot(true, 0);
+
+      expect(handler.shouldAutoApproveStep()).toBe(true);
+
+      handler.approveCurrentStep();
+      handler.completeCurrentStep("done");
+      expect(handler.shouldAutoApproveStep()).toBe(false);
+    });
+
+    it("does nothing while disabled or before approval", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.setAutopilot(true);
+      expect(handler.shouldAutoApproveStep()).toBe(false);
+
+      handler.approvePlan();
+      handler.setAutopilot(false, 3);
+      expect(handler.shouldAutoApproveStep()).toBe(false);
+      expect(handler.autoApproveUntil).toBeNull();
+    });
+  });
+
   describe("reset", () => {
     it("clears all state", () => {
       handler.createPlan("Task", [{ title: "Step", description: "" }]);
@@ -310,6 +676,37 @@ describe("ProfessionalModeHandler", () => {
     });
   });
 
+  describe("resumePlan", () => {
+    it("returns an interrupted step to awaiting approval", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.approvePlan();
+      handler.approveCurrentStep();
+      const saved = JSON.parse(JSON.stringify(handler.serialize()));
+
+      const resumed = new ProfessionalModeHandler();
+      expect(resumed.resumePlan(saved)).toBe(true);
+
+      expect(resumed.currentPlan.status).toBe(PLAN_STATUS.PAUSED);
+      expect(resumed.getCurrentStep().status).toBe(STEP_STATUS.AWAITING_APPROVAL);
+      expect(resumed.isStepAwaitingApproval()).toBe(true);
+    });
+
+    it("turns autopilot off", () => {
+      handler.createPlan("Task", [{ title: "Step", description: "" }]);
+      handler.setAutopilot(true, 0);
+
+      const resumed = new ProfessionalModeHandler();
+      resumed.resumePlan(JSON.parse(JSON.stringify(handler.serialize())));
+
+      expect(resumed.autoApproveSteps).toBe(false);
+      expect(resumed.autoApproveUntil).toBeNull();
+    });
+
+    it("fails without a saved plan", () => {
+      expect(handler.resumePlan({ currentPlan: null })).toBe(false);
+    });
+  });
+
   describe("serialize/deserialize", () => {
     it("serializes and deserializes state", () => {
       handler.createPlan("Task", [{ title: "Step", description: "" }]);
@@ -0,0 +1,236 @@
+/**
+ * Professional Prompts - запросы плана и шагов для Professional режима
+ */
+
+import { PROFESSIONAL } from "../config/constants.js";
+import { STEP_STATUS } from "./professional-handler.js";
+
+/**
+ * Маркеры статусов шагов в обзоре плана
+ */
+const STEP_MARKERS = {
+  [STEP_STATUS.PENDING]: "[ ]",
+  [STEP_STATUS.AWAITING_APPROVAL]: "[ ]",
+  [STEP_STATUS.IN_PROGRESS]: "[>]",
+  [STEP_STATUS.COMPLETED]: "[x]",
+  [STEP_STATUS.SKIPPED]: "[-]",
+  [STEP_STATUS.FAILED]: "[!]",
+};
+
+/**
+ * Prompt с просьбой составить план для задачи
+ * @param {string} task - Задача пользователя
+ * @param {Array<{modelId: string, requiresAuth?: boolean}>} [models=[]] - Модели, из которых KODA может выбрать модель шага
+ * @returns {string}
+ */
+export function buildPlanRequest(task, models = []) {
+  const lines = [
+    "[Planning] Break the task below into a short sequence of concrete, independently executable steps.",
+    "Do not modify files or run commands yet; you may read files to understand the code.",
+    'Optionally add "dependsOn" with the numbers of earlier steps a step needs finished first.',
+  ];
+
+  if (models.length > 1) {
+    const list = models.map((m) =>
+      m.requiresAuth ? `${m.modelId} (premium)` : m.modelId
+    );
+    lines.push(
+      `Optionally add "model" to pick a model per step: a cheaper one for mechanical edits, a stronger one for design work. Available: ${list.join(", ")}.`
+    );
+  }
+
+  lines.push(
+    `Use at most ${PROFESSIONAL.MAX_STEPS} steps. Reply with the plan only, as a JSON code block:`,
+    "```json",
+    '{"steps": [{"title": "Short step title", "description": "What to change and where", "dependsOn": [1]}]}',
+    "```",
+    "",
+    "Task:",
+    task
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Убрать markdown-выделение из заголовка
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/\*\*|__|`/g, "")
+    .replace(/^#+\s*/, "")
+    .trim();
+}
+
+/**
+ * @typedef {Object} ParsedStep
+ * @property {string} title
+ * @property {string} description
+ * @property {number[]} [dependsOn] - Номера (с 1) шагов, которые нужны шагу
+ * @property {string} [model] - Предпочтительная модель шага
+ */
+
+/**
+ * Нормализовать шаг из JSON
+ * @param {*} step
+ * @returns {ParsedStep}
+ */
+function normalizeStep(step) {
+  if (typeof step === "string") {
+    return { title: step, description: "" };
+  }
+
+  const normalized = {
+    title: String(step?.title || "").trim(),
+    description: String(step?.description || "").trim(),
+  };
+
+  const dependsOn = [step?.dependsOn ?? step?.depends_on]
+    .flat()
+    .map(Number)
+    .filter((number) => Number.isInteger(number) && number > 0);
+  if (dependsOn.length > 0) {
+    normalized.dependsOn = dependsOn;
+  }
+  if (typeof step?.model === "string" && step.model.trim()) {
+    normalized.model = step.model.trim();
+  }
+  return normalized;
+}
+
+/**
+ * Нормализовать список шагов из JSON
+ * @param {*} data
+ * @returns {ParsedStep[]}
+ */
+function normalizeSteps(data) {
+  const steps = Array.isArray(data) ? data : data?.steps;
+  if (!Array.isArray(steps)) return [];
+
+  return steps.map(normalizeStep).filter((step) => step.title);
+}
+
+/**
+ * Разобрать план из JSON-блока ответа
+ * @param {string} text
+ * @returns {ParsedStep[]}
+ */
+function parseJsonSteps(text) {
+  const candidates = [];
+  for (const match of text.matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)) {
+    candidates.push(match[1]);
+  }
+
+  const start = text.search(/[[{]/);
+  if (start !== -1) {
+    candidates.push(text.slice(start));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const steps = normalizeSteps(JSON.parse(candidate.trim()));
+      if (steps.length > 0) return steps;
+    } catch {
+      // Not JSON - try next candidate
+    }
+  }
+  return [];
+}
+
+/**
+ * Разобрать план из нумерованного списка
+ * @param {string} text
+ * @returns {Array<{title: string, description: string}>}
+ */
+function parseListSteps(text) {
+  const steps = [];
+
+  for (const line of text.split("\n")) {
+    const item = line.match(/^\s*(?:\d+[.)]|[-*]\s+\d+[.)])\s+(.+)$/);
+    if (item) {
+      const [title, ...rest] = item[1].split(/\s+[—–-]\s+|:\s+/);
+      steps.push({
+        title: stripMarkdown(title),
+        description: stripMarkdown(rest.join(" - ")),
+      });
+      continue;
+    }
+
+    const last = steps[steps.length - 1];
+    if (last && /^\s+\S/.test(line)) {
+      const detail = stripMarkdown(line.replace(/^\s*[-*]\s*/, ""));
+      last.description = [last.description, detail].filter(Boolean).join(" ");
+    }
+  }
+
+  return steps.filter((step) => step.title);
+}
+
+/**
+ * Разобрать шаги плана из ответа KODA
+ * @param {string} text - Ответ на buildPlanRequest()
+ * @returns {ParsedStep[]}
+ */
+export function parsePlanSteps(text) {
+  const steps = parseJsonSteps(text);
+  return (steps.length > 0 ? steps : parseListSteps(text)).slice(
+    0,
+    PROFESSIONAL.MAX_STEPS
+  );
+}
+
+/**
+ * Prompt для выполнения одного шага плана
+ * @param {import("./professional-handler.js").ExecutionPlan} plan
+ * @param {import("./professional-handler.js").PlanStep} step
+ * @returns {string}
+ */
+export function buildStepPrompt(plan, step) {
+  const index = plan.steps.indexOf(step);
+  const overview = plan.steps.map(
+    (s, i) => `${STEP_MARKERS[s.status] || "[ ]"} ${i + 1}. ${s.title}`
+  );
+
+  const lines = [
+    `[Step ${index + 1}/${plan.steps.length}] Task: ${plan.taskDescription}`,
+    "",
+    "Plan:",
+    ...overview,
+    "",
+    `Now do step ${index + 1} only: ${step.title}`,
+  ];
+
+  if (step.description) {
+    lines.push(step.description);
+  }
+
+  const verify = step.verify || plan.verifyCommand;
+  if (verify) {
+    lines.push(
+      "",
+      `When you finish, \`${verify}\` will be run to verify the step.`
+    );
+  }
+
+  // Retry after a failed verification: show KODA what went wrong
+  if (step.verification) {
+    const { command, exitCode, output, timedOut } = step.verification;
+    lines.push(
+      "",
+      timedOut
+        ? `The previous attempt failed verification: \`${command}\` timed out.`
+        : `The previous attempt failed verification: \`${command}\` exited with code ${exitCode}.`,
+      "Fix the cause. Output:",
+      "```",
+      output,
+      "```"
+    );
+  }
+
+  lines.push(
+    "",
+    "Do not start the other steps. When done, reply with a short summary of what you changed."
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,132 @@
+/**
+ * Tests for Professional mode prompts
+ */
+
+import {
+  buildPlanRequest,
+  buildStepPrompt,
+  parsePlanSteps,
+} from "./professional-prompts.js";
+import { ProfessionalModeHandler } from "./professional-handler.js";
+
+describe("buildPlanRequest", () => {
+  test("includes the task and the expected format", () => {
+    const text = buildPlanRequest("Add dark theme");
+
+    expect(text).toContain("Add dark theme");
+    expect(text).toContain('"steps"');
+    expect(text).not.toContain('"model"');
+  });
+
+  test("offers the available models for per-step selection", () => {
+    const text = buildPlanRequest("Add dark theme", [
+      { modelId: "koda-mini", requiresAuth: false },
+      { modelId: "gemini-2.5-pro", requiresAuth: true },
+    ]);
+
+    expect(text).toContain("koda-mini, gemini-2.5-pro (premium)");
+  });
+});
+
+describe("parsePlanSteps", () => {
+  test("parses a JSON code block", () => {
+    const reply = [
+      "Here is the plan:",
+      "```json",
+      '{"steps": [{"title": "Add tokens", "description": "theme.css"}, {"title": "Add toggle"}]}',
+      "```",
+    ].join("\n");
+
+    expect(parsePlanSteps(reply)).toEqual([
+      { title: "Add tokens", description: "theme.css" },
+      { title: "Add toggle", description: "" },
+    ]);
+  });
+
+  test("keeps step dependencies and models", () => {
+    const reply = JSON.stringify({
+      steps: [
+        { title: "Rename files", model: "koda-mini" },
+        { title: "Design API", dependsOn: [1, "x"] },
+        { title: "Docs", depends_on: 2 },
+      ],
+    });
+
+    expect(parsePlanSteps(reply)).toEqual([
+      { title: "Rename files", description: "", model: "koda-mini" },
+      { title: "Design API", description: "", dependsOn: [1] },
+      { title: "Docs", description: "", dependsOn: [2] },
+    ]);
+  });
+
+  test("parses bare JSON arrays of strings", () => {
+    expect(parsePlanSteps('["First", "Second"]')).toEqual([
+      { title: "First", description: "" },
+      { title: "Second", description: "" },
+    ]);
+  });
+
+  test("falls back to a numbered list", () => {
+    const reply = [
+      "1. **Add tokens** - define colors in theme.css",
+      "2. Add toggle: button in header",
+      "   - persist choice in localStorage",
+    ].join("\n");
+
+    expect(parsePlanSteps(reply)).toEqual([
+      { title: "Add tokens", description: "define colors in theme.css" },
+      {
+        title: "Add toggle",
+        description: "button in header persist choice in localStorage",
+      },
+    ]);
+  });
+
+  test("returns an empty list for prose", () => {
+    expect(parsePlanSteps("I cannot plan this task.")).toEqual([]);
+  });
+});
+
+describe("buildStepPrompt", () => {
+  test("focuses on the current step and shows the plan", () => {
+    const handler = new ProfessionalModeHandler();
+    handler.createPlan("Add dark theme", [
+      { title: "Add tokens", description: "" },
+      { title: "Add toggle", description: "Button in header" },
+    ]);
+    handler.approvePlan();
+    handler.approveCurrentStep();
+    handler.completeCurrentStep("done");
+    handler.approveCurrentStep();
+
+    const text = buildStepPrompt(handler.currentPlan, handler.getCurrentStep());
+
+    expect(text).toContain("[Step 2/2] Task: Add dark theme");
+    expect(text).toContain("[x] 1. Add tokens");
+    expect(text).toContain("[>] 2. Add toggle");
+    expect(text).toContain("Now do step 2 only: Add toggle");
+    expect(text).toContain("Button in header");
+  });
+
+  test("feeds a failed verification back on retry", () => {
+    const handler = new ProfessionalModeHandler();
+    handler.createPlan("Fix build", [{ title: "Fix types", description: "" }]);
+    handler.setVerifyCommand(null, "npm test");
+    handler.approvePlan();
+    handler.approveCurrentStep();
+    handler.failCurrentStep("1 failing", {
+      command: "npm test",
+      exitCode: 1,
+      output: "1 failing",
+      timedOut: false,
+    });
+    handler.retryCurrentStep();
+    handler.approveCurrentStep();
+
+    const text = buildStepPrompt(handler.currentPlan, handler.getCurrentStep());
+
+    expect(text).toContain("`npm test` will be run to verify the step");
+    expect(text).toContain("`npm test` exited with code 1");
+    expect(text).toContain("```\n1 failing\n```");
+  });
+});
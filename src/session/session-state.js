@@ -0,0 +1,128 @@
+/**
+ * Session State Store - общее хранилище состояния сессий
+ */
+
+/**
+ * @typedef {Object} StateSlot
+ * @property {Function} create - Создать начальное состояние для сессии
+ * @property {Function|null} dispose - Освободить ресурсы состояния
+ */
+
+/**
+ * Session State Store - хранит состояние компонентов, разделённое по sessionId
+ *
+ * Каждый компонент регистрирует свой слот через define(), после чего
+ * получает состояние нужной сессии через get(). delete() удаляет всё
+ * состояние сессии разом, reset() - только один слот.
+ */
+export class SessionStateStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {Map<string, StateSlot>} key -> slot */
+    this.slots = new Map();
+
+    /** @type {Map<string, Map<string, *>>} sessionId -> (key -> state) */
+    this.sessions = new Map();
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[SessionState]", ...args);
+    }
+  }
+
+  /**
+   * Зарегистрировать слот состояния
+   * @param {string} key
+   * @param {Function} create - (sessionId) => начальное состояние
+   * @param {Function} [dispose] - (state, sessionId) => void
+   */
+  define(key, create, dispose = null) {
+    this.slots.set(key, { create, dispose });
+  }
+
+  /**
+   * Получить состояние сессии, создав его при первом обращении
+   * @param {string} sessionId
+   * @param {string} key
+   * @returns {*}
+   * @throws {Error} If slot is not defined
+   */
+  get(sessionId, key) {
+    const slot = this.slots.get(key);
+    if (!slot) {
+      throw new Error(`Unknown session state: ${key}`);
+    }
+
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new Map());
+    }
+
+    const states = this.sessions.get(sessionId);
+    if (!states.has(key)) {
+      states.set(key, slot.create(sessionId));
+    }
+    return states.get(key);
+  }
+
+  /**
+   * Получить состояние сессии без создания
+   * @param {string} sessionId
+   * @param {string} key
+   * @returns {*|undefined}
+   */
+  peek(sessionId, key) {
+    return this.sessions.get(sessionId)?.get(key);
+  }
+
+  /**
+   * Сбросить один слот состояния сессии
+   * @param {string} sessionId
+   * @param {string} key
+   */
+  reset(sessionId, key) {
+    const states = this.sessions.get(sessionId);
+    if (!states?.has(key)) return;
+
+    this.disposeState(sessionId, key, states.get(key));
+    states.delete(key);
+  }
+
+  /**
+   * Удалить всё состояние сессии
+   * @param {string} sessionId
+   */
+  delete(sessionId) {
+    const states = this.sessions.get(sessionId);
+    if (!states) return;
+
+    for (const [key, state] of states) {
+      this.disposeState(sessionId, key, state);
+    }
+    this.sessions.delete(sessionId);
+    this.debugLog(`Deleted state of session ${sessionId}`);
+  }
+
+  /**
+   * @private
+   */
+  disposeState(sessionId, key, state) {
+    const dispose = this.slots.get(key)?.dispose;
+    if (!dispose) return;
+
+    try {
+      dispose(state, sessionId);
+    } catch (error) {
+      this.debugLog(`Failed to dispose ${key} of ${sessionId}:`, error.message);
+    }
+  }
+}
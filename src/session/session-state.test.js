@@ -0,0 +1,83 @@
+/**
+ * Tests for SessionStateStore
+ */
+
+import { SessionStateStore } from "./session-state.js";
+
+describe("SessionStateStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SessionStateStore();
+  });
+
+  test("creates state lazily per session", () => {
+    store.define("calls", () => []);
+
+    store.get("s1", "calls").push("a");
+
+    expect(store.get("s1", "calls")).toEqual(["a"]);
+    expect(store.get("s2", "calls")).toEqual([]);
+  });
+
+  test("peek does not create state", () => {
+    store.define("calls", () => []);
+
+    expect(store.peek("s1", "calls")).toBeUndefined();
+    expect(store.sessions.has("s1")).toBe(false);
+  });
+
+  test("throws for undefined slots", () => {
+    expect(() => store.get("s1", "missing")).toThrow("Unknown session state");
+  });
+
+  test("reset drops one slot and disposes it", () => {
+    const disposed = [];
+    store.define(
+      "calls",
+      () => ["a"],
+      (state, sessionId) => disposed.push([sessionId, state])
+    );
+    store.define("flags", () => new Set(["x"]));
+    store.get("s1", "calls");
+    store.get("s1", "flags");
+
+    store.reset("s1", "calls");
+
+    expect(disposed).toEqual([["s1", ["a"]]]);
+    expect(store.peek("s1", "calls")).toBeUndefined();
+    expect(store.peek("s1", "flags")).toEqual(new Set(["x"]));
+  });
+
+  test("delete removes every slot of one session only", () => {
+    const disposed = [];
+    store.define(
+      "calls",
+      () => [],
+      (_state, sessionId) => disposed.push(sessionId)
+    );
+    store.get("s1", "calls");
+    store.get("s2", "calls");
+
+    store.delete("s1");
+
+    expect(disposed).toEqual(["s1"]);
+    expect(store.sessions.has("s1")).toBe(false);
+    expect(store.sessions.has("s2")).toBe(true);
+  });
+
+  test("a failing dispose does not stop cleanup", () => {
+    store.define(
+      "calls",
+      () => [],
+      () => {
+        throw new Error("boom");
+      }
+    );
+    store.get("s1", "calls");
+
+    store.delete("s1");
+
+    expect(store.sessions.has("s1")).toBe(false);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Session Storage - сохранение сессий на диск для ACP session/load
+ */
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { PATHS, SESSION_STORAGE } from "../config/constants.js";
+
+/**
+ * @typedef {Object} TranscriptEntry
+ * @property {"user"|"agent"} role - Автор сообщения
+ * @property {Array<Object>} content - ACP content blocks
+ */
+
+/**
+ * @typedef {Object} SessionRecord
+ * @property {number} version - Версия формата
+ * @property {string} sessionId
+ * @property {string} cwd
+ * @property {string} mode
+ * @property {string} model
+ * @property {Array<Object>} mcpServers - Без env и headers
+ * @property {TranscriptEntry[]} transcript
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Убрать env и headers MCP сервера: там часто лежат токены
+ * @param {Object} server
+ * @returns {Object}
+ */
+function redactMcpServer(server) {
+  const redacted = { ...server };
+  for (const key of ["env", "headers"]) {
+    if (Array.isArray(server[key])) {
+      redacted[key] = [];
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Session Storage - хранит состояние сессий в ~/.config/koda/sessions/
+ */
+export class SessionStorage {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.dir] - Каталог для файлов сессий
+   * @param {number} [options.maxAgeMs] - Возраст, после которого сессия удаляется
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.dir = options.dir || PATHS.SESSIONS_DIR;
+
+    /** @type {number} */
+    this.maxAgeMs = options.maxAgeMs ?? SESSION_STORAGE.MAX_AGE_DAYS * DAY_MS;
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+
+    /** @type {Map<string, Promise>} sessionId -> last pending write */
+    this.writeQueue = new Map();
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[SessionStorage]", ...args);
+    }
+  }
+
+  /**
+   * Получить путь к файлу сессии
+   * @param {string} sessionId
+   * @returns {string}
+   * @throws {Error} If sessionId contains unsafe characters
+   */
+  getFilePath(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || "")) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  /**
+   * Сохранить сессию (записи одной сессии выполняются последовательно)
+   * @param {string} sessionId
+   * @param {Object} data - cwd, mode, model, mcpServers, transcript
+   * @returns {Promise<SessionRecord>}
+   */
+  save(sessionId, data) {
+    return this.enqueue(sessionId, () => this.writeRecord(sessionId, data));
+  }
+
+  /**
+   * Выполнить операцию после всех ожидающих записей сессии
+   * @private
+   * @param {string} sessionId
+   * @param {() => Promise<*>} operation
+   * @returns {Promise<*>}
+   */
+  enqueue(sessionId, operation) {
+    const previous = this.writeQueue.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+
+    this.writeQueue.set(sessionId, next);
+    next
+      .finally(() => {
+        if (this.writeQueue.get(sessionId) === next) {
+          this.writeQueue.delete(sessionId);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Записать файл сессии
+   * @private
+   * @param {string} sessionId
+   * @param {Object} data
+   * @returns {Promise<SessionRecord>}
+   */
+  async writeRecord(sessionId, data) {
+    const filePath = this.getFilePath(sessionId);
+    const existing = await this.load(sessionId);
+    const now = new Date().toISOString();
+
+    /** @type {SessionRecord} */
+    const record = {
+      version: SESSION_STORAGE.FORMAT_VERSION,
+      sessionId,
+      cwd: data.cwd,
+      mode: data.mode,
+      model: data.model,
+      mcpServers: (data.mcpServers || []).map(redactMcpServer),
+      transcript: (data.transcript || []).slice(
+        -SESSION_STORAGE.MAX_TRANSCRIPT_ENTRIES
+      ),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    // Write to a temp file first so a crash never leaves a truncated record
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), {
+      mode: 0o600,
+    });
+    await fs.rename(tmpPath, filePath);
+
+    this.debugLog(`Saved session ${sessionId}`);
+    return record;
+  }
+
+  /**
+   * Загрузить сессию
+   * @param {string} sessionId
+   * @returns {Promise<SessionRecord|null>}
+   */
+  async load(sessionId) {
+    try {
+      const data = await fs.readFile(this.getFilePath(sessionId), "utf8");
+      const record = JSON.parse(data);
+      if (record.version !== SESSION_STORAGE.FORMAT_VERSION) {
+        this.debugLog(`Unsupported session format: ${record.version}`);
+        return null;
+      }
+      return record;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Удалить сохранённую сессию (после ожидающих записей)
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async delete(sessionId) {
+    const filePath = this.getFilePath(sessionId);
+    return this.enqueue(sessionId, async () => {
+      try {
+        await fs.unlink(filePath);
+        this.debugLog(`Deleted session ${sessionId}`);
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Удалить сессии, не сохранявшиеся дольше maxAgeMs
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} Сколько сессий удалено
+   */
+  async prune(now = Date.now()) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const file of files) {
+      const sessionId = path.basename(file, ".json");
+      if (!file.endsWith(".json") || this.writeQueue.has(sessionId)) {
+        continue;
+      }
+
+      const filePath = path.join(this.dir, file);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (stat && now - stat.mtimeMs > this.maxAgeMs) {
+        await fs.rm(filePath, { force: true });
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.debugLog(`Pruned ${removed} sessions`);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Добавить сообщение в транскрипт, склеивая подряд идущие чанки агента
+ * @param {TranscriptEntry[]} transcript
+ * @param {"user"|"agent"} role
+ * @param {Array<Object>} content - ACP content blocks
+ */
+export function appendTranscript(transcript, role, content) {
+  const last = transcript[transcript.length - 1];
+
+  if (
+    role === "agent" &&
+    last?.role === "agent" &&
+    content.length === 1 &&
+    content[0].type === "text" &&
+    last.content[last.content.length - 1]?.type === "text"
+  ) {
+    last.content[last.content.length - 1].text += content[0].text;
+    return;
+  }
+
+  transcript.push({ role, content: content.map((block) => ({ ...block })) });
+}
@@ -0,0 +1,183 @@
+/**
+ * Tests for SessionStorage
+ */
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SessionStorage, appendTranscript } from "./session-storage.js";
+
+describe("SessionStorage", () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "koda-sessions-"));
+    storage = new SessionStorage({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe("save / load", () => {
+    test("round-trips a session record", async () => {
+      await storage.save("s1", {
+        cwd: "/project",
+        mode: "plan",
+        model: "KodaAgent",
+        mcpServers: [{ name: "fs" }],
+        transcript: [{ role: "user", content: [{ type: "text", text: "hi" }] }],
+      });
+
+      const record = await storage.load("s1");
+
+      expect(record.sessionId).toBe("s1");
+      expect(record.cwd).toBe("/project");
+      expect(record.mode).toBe("plan");
+      expect(record.model).toBe("KodaAgent");
+      expect(record.mcpServers).toEqual([{ name: "fs" }]);
+      expect(record.transcript).toHaveLength(1);
+      expect(record.createdAt).toBeDefined();
+    });
+
+    test("does not persist MCP server env and headers", async () => {
+      await storage.save("s1", {
+        cwd: "/project",
+        mcpServers: [
+          {
+            name: "github",
+            command: "mcp-github",
+            args: [],
+            env: [{ name: "GITHUB_TOKEN", value: "secret" }],
+          },
+          {
+            name: "docs",
+            type: "http",
+            url: "https://example.com/mcp",
+            headers: [{ name: "Authorization", value: "Bearer secret" }],
+          },
+        ],
+      });
+
+      const data = await fs.readFile(storage.getFilePath("s1"), "utf8");
+      expect(data).not.toContain("secret");
+      expect((await storage.load("s1")).mcpServers).toEqual([
+        { name: "github", command: "mcp-github", args: [], env: [] },
+        {
+          name: "docs",
+          type: "http",
+          url: "https://example.com/mcp",
+          headers: [],
+        },
+      ]);
+    });
+
+    test("keeps createdAt across saves", async () => {
+      const first = await storage.save("s1", { cwd: "/a" });
+      const second = await storage.save("s1", { cwd: "/b" });
+
+      expect(second.createdAt).toBe(first.createdAt);
+      expect((await storage.load("s1")).cwd).toBe("/b");
+    });
+
+    test("serializes concurrent saves of one session", async () => {
+      await Promise.all([
+        storage.save("s1", { cwd: "/1" }),
+        storage.save("s1", { cwd: "/2" }),
+        storage.save("s1", { cwd: "/3" }),
+      ]);
+
+      expect((await storage.load("s1")).cwd).toBe("/3");
+    });
+
+    test("returns null for unknown session", async () => {
+      expect(await storage.load("missing")).toBeNull();
+    });
+
+    test("returns null for unsupported format version", async () => {
+      await fs.writeFile(
+        path.join(dir, "old.json"),
+        JSON.stringify({ version: 999 })
+      );
+
+      expect(await storage.load("old")).toBeNull();
+    });
+
+    test("rejects unsafe session ids", async () => {
+      await expect(storage.save("../etc/passwd", {})).rejects.toThrow(
+        "Invalid session id"
+      );
+      expect(await storage.load("../etc/passwd")).toBeNull();
+    });
+  });
+
+  describe("delete", () => {
+    test("removes saved session", async () => {
+      await storage.save("s1", { cwd: "/a" });
+
+      expect(await storage.delete("s1")).toBe(true);
+      expect(await storage.load("s1")).toBeNull();
+    });
+
+    test("returns false when nothing to delete", async () => {
+      expect(await storage.delete("s1")).toBe(false);
+    });
+
+    test("waits for pending writes of the session", async () => {
+      const saved = storage.save("s1", { cwd: "/a" });
+
+      expect(await storage.delete("s1")).toBe(true);
+      await saved;
+      expect(await storage.load("s1")).toBeNull();
+    });
+  });
+
+  describe("prune", () => {
+    test("deletes sessions older than the maximum age", async () => {
+      await storage.save("s1", { cwd: "/a" });
+
+      expect(await storage.prune(Date.now())).toBe(0);
+      expect(await storage.prune(Date.now() + storage.maxAgeMs + 1000)).toBe(1);
+      expect(await storage.load("s1")).toBeNull();
+    });
+
+    test("returns 0 when the directory does not exist", async () => {
+      const missing = new SessionStorage({ dir: path.join(dir, "missing") });
+      expect(await missing.prune()).toBe(0);
+    });
+  });
+});
+
+describe("appendTranscript", () => {
+  test("merges consecutive agent text chunks", () => {
+    const transcript = [];
+
+    appendTranscript(transcript, "agent", [{ type: "text", text: "Hel" }]);
+    appendTranscript(transcript, "agent", [{ type: "text", text: "lo" }]);
+
+    expect(transcript).toEqual([
+      { role: "agent", content: [{ type: "text", text: "Hello" }] },
+    ]);
+  });
+
+  test("starts a new entry after a user message", () => {
+    const transcript = [];
+
+    appendTranscript(transcript, "agent", [{ type: "text", text: "a" }]);
+    appendTranscript(transcript, "user", [{ type: "text", text: "b" }]);
+    appendTranscript(transcript, "agent", [{ type: "text", text: "c" }]);
+
+    expect(transcript.map((e) => e.role)).toEqual(["agent", "user", "agent"]);
+  });
+
+  test("does not alias the caller's content blocks", () => {
+    const transcript = [];
+    const block = { type: "text", text: "a" };
+
+    appendTranscript(transcript, "agent", [block]);
+    appendTranscript(transcript, "agent", [{ type: "text", text: "b" }]);
+
+    expect(block.text).toBe("a");
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Step Commits - git-коммит на каждый выполненный шаг Professional режима
+ */
+
+import { execFile } from "node:child_process";
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Максимальная длина заголовка коммита
+ */
+const SUBJECT_MAX_LENGTH = 72;
+
+/**
+ * Каталог агента в проекте: сохранённые планы меняются на каждом шаге
+ * и не должны попадать в его коммит
+ */
+const AGENT_DIR = ".koda";
+
+/**
+ * @typedef {Map<string, string>} WorktreeSnapshot - path -> хэш содержимого
+ */
+
+/**
+ * @typedef {Object} StepCommit
+ * @property {string|null} hash - Хэш коммита или null, если коммитить нечего
+ * @property {string[]} skipped - Файлы, изменённые шагом поверх правок пользователя
+ */
+
+/**
+ * Сообщение коммита для шага плана
+ * @param {import("./professional-handler.js").ExecutionPlan} plan
+ * @param {import("./professional-handler.js").PlanStep} step
+ * @returns {string}
+ */
+export function buildStepCommitMessage(plan, step) {
+  const title = step.title.replace(/\s+/g, " ").trim();
+  const subject =
+    title.length > SUBJECT_MAX_LENGTH
+      ? `${title.slice(0, SUBJECT_MAX_LENGTH - 3)}...`
+      : title;
+
+  const index = plan.steps.indexOf(step);
+  const body = [
+    step.description?.trim(),
+    `Plan: ${plan.taskDescription} (step ${index + 1}/${plan.steps.length})`,
+  ].filter(Boolean);
+
+  return [subject, "", ...body.join("\n\n").split("\n")].join("\n");
+}
+
+/**
+ * Step Committer - коммитит изменения шага, не трогая чужие правки
+ *
+ * Перед шагом снимается snapshot изменённых файлов рабочей копии, после
+ * шага коммитятся только файлы, которые шаг изменил относительно snapshot.
+ * Файлы, уже изменённые до шага, не коммитятся: git коммитит файл целиком,
+ * и незакоммиченные правки пользователя попали бы в коммит шага.
+ */
+export class StepCommitter {
+  /**
+   * @param {Object} [options={}]
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(options = {}) {
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[StepCommitter]", ...args);
+    }
+  }
+
+  /**
+   * Запустить git в каталоге проекта
+   * @private
+   * @param {string} cwd
+   * @param {string[]} args
+   * @returns {Promise<string>} stdout
+   */
+  async git(cwd, args) {
+    const { stdout } = await execFileAsync(
+      "git",
+      ["--literal-pathspecs", ...args],
+      { cwd, maxBuffer: 16 * 1024 * 1024 }
+    );
+    return stdout;
+  }
+
+  /**
+   * Снять состояние изменённых файлов рабочей копии
+   * @param {string} cwd
+   * @returns {Promise<WorktreeSnapshot|null>} null, если cwd не git-репозиторий
+   */
+  async snapshot(cwd) {
+    let status;
+    try {
+      status = await this.git(cwd, [
+        "status",
+        "--porcelain=v1",
+        "-z",
+        "--untracked-files=all",
+      ]);
+    } catch (error) {
+      this.debugLog(`Not a git work tree: ${cwd}`, error.message);
+      return null;
+    }
+
+    const root = (await this.git(cwd, ["rev-parse", "--show-toplevel"])).trim();
+    const paths = [];
+    const entries = status.split("\0");
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.length < 4) continue;
+
+      paths.push(entry.slice(3));
+      // Renames and copies are followed by the original path
+      if (entry[0] === "R" || entry[0] === "C") {
+        paths.push(entries[++i]);
+      }
+    }
+
+    /** @type {WorktreeSnapshot} */
+    const snapshot = new Map();
+    // git reports the real path of the work tree
+    const agentDir = path.join(await fs.realpath(cwd), AGENT_DIR) + path.sep;
+    for (const relative of paths) {
+      const file = path.join(root, relative);
+      if (!file.startsWith(agentDir)) {
+        snapshot.set(file, await hashFile(file));
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Закоммитить файлы, изменённые после snapshot
+   *
+   * Файлы, которые были изменены уже до шага, остаются незакоммиченными
+   * и возвращаются в skipped.
+   * @param {string} cwd
+   * @param {WorktreeSnapshot} before - Состояние до шага
+   * @param {string} message
+   * @returns {Promise<StepCommit>}
+   */
+  async commit(cwd, before, message) {
+    const after = await this.snapshot(cwd);
+    if (!after) return { hash: null, skipped: [] };
+
+    const changed = [];
+    const skipped = [];
+    for (const [file, content] of after) {
+      if (!before.has(file)) {
+        changed.push(file);
+      } else if (before.get(file) !== content) {
+        skipped.push(file);
+      }
+    }
+    if (skipped.length > 0) {
+      this.debugLog(`Not committing files with earlier edits: ${skipped}`);
+    }
+    if (changed.length === 0) {
+      this.debugLog("Step changed no clean files");
+      return { hash: null, skipped };
+    }
+
+    // Only the step's files: the user's other staged or unstaged edits stay
+    await this.git(cwd, ["add", "-A", "--", ...changed]);
+    await this.git(cwd, ["commit", "-q", "-m", message, "--", ...changed]);
+    const hash = (await this.git(cwd, ["rev-parse", "HEAD"])).trim();
+
+    this.debugLog(`Committed ${changed.length} files as ${hash}`);
+    return { hash, skipped };
+  }
+
+  /**
+   * Отменить коммит шага через git revert
+   * @param {string} cwd
+   * @param {string} hash
+   * @returns {Promise<string>} Хэш коммита отмены
+   * @throws {Error} If git revert fails (e.g. conflicts)
+   */
+  async revert(cwd, hash) {
+    try {
+      await this.git(cwd, ["revert", "--no-edit", hash]);
+    } catch (error) {
+      await this.git(cwd, ["revert", "--abort"]).catch(() => {});
+      throw new Error(error.stderr?.trim() || error.message);
+    }
+    return (await this.git(cwd, ["rev-parse", "HEAD"])).trim();
+  }
+}
+
+/**
+ * Хэш содержимого файла ("deleted", если файла нет)
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  try {
+    const data = await fs.readFile(filePath);
+    return createHash("sha1").update(data).digest("hex");
+  } catch {
+    return "deleted";
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Tests for step commits
+ */
+
+import { execFileSync } from "node:child_process";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { StepCommitter, buildStepCommitMessage } from "./step-commits.js";
+import { ProfessionalModeHandler } from "./professional-handler.js";
+
+/**
+ * Выполнить git в тестовом репозитории
+ */
+function git(cwd, ...args) {
+  return execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+}
+
+describe("buildStepCommitMessage", () => {
+  test("uses the step title as subject and adds the plan context", () => {
+    const handler = new ProfessionalModeHandler();
+    const plan = handler.createPlan("Add dark theme", [
+      { title: "Add tokens", description: "Colors in theme.css" },
+      { title: "x".repeat(100), description: "" },
+    ]);
+
+    expect(buildStepCommitMessage(plan, plan.steps[0])).toBe(
+      "Add tokens\n\nColors in theme.css\n\nPlan: Add dark theme (step 1/2)"
+    );
+    const [subject] = buildStepCommitMessage(plan, plan.steps[1]).split("\n");
+    expect(subject).toHaveLength(72);
+  });
+});
+
+describe("StepCommitter", () => {
+  let dir;
+  let committer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "koda-commits-"));
+    git(dir, "init", "-q");
+    git(dir, "config", "user.email", "test@example.com");
+    git(dir, "config", "user.name", "Test");
+    await fs.writeFile(path.join(dir, "a.txt"), "a\n");
+    git(dir, "add", "-A");
+    git(dir, "commit", "-q", "-m", "init");
+    committer = new StepCommitter();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("commits only the files the step changed", async () => {
+    await fs.writeFile(path.join(dir, "user.txt"), "user edit\n");
+    const before = await committer.snapshot(dir);
+
+    await fs.writeFile(path.join(dir, "a.txt"), "changed\n");
+    await fs.writeFile(path.join(dir, "new file.txt"), "new\n");
+    const { hash, skipped } = await committer.commit(
+      dir,
+      before,
+      "Step\n\nBody"
+    );
+
+    expect(hash).toBe(git(dir, "rev-parse", "HEAD"));
+    expect(skipped).toEqual([]);
+    expect(git(dir, "show", "--name-only", "--format=%s", hash)).toBe(
+      "Step\n\na.txt\nnew file.txt"
+    );
+    expect(git(dir, "status", "--porcelain")).toBe("?? user.txt");
+  });
+
+  test("leaves files edited before the step out of its commit", async () => {
+    await fs.writeFile(path.join(dir, "a.txt"), "user edit\n");
+    const before = await committer.snapshot(dir);
+
+    await fs.writeFile(path.join(dir, "a.txt"), "user edit\nstep edit\n");
+    await fs.writeFile(path.join(dir, "b.txt"), "new\n");
+    const { hash, skipped } = await committer.commit(dir, before, "Step");
+
+    expect(git(dir, "show", "--name-only", "--format=%s", hash)).toBe(
+      "Step\n\nb.txt"
+    );
+    expect(skipped).toEqual([path.join(await fs.realpath(dir), "a.txt")]);
+    expect(git(dir, "status", "--porcelain")).toBe("M a.txt");
+  });
+
+  test("returns no commit when nothing changed", async () => {
+    const before = await committer.snapshot(dir);
+
+    expect(await committer.commit(dir, before, "Step")).toEqual({
+      hash: null,
+      skipped: [],
+    });
+  });
+
+  test("returns null outside a git repository", async () => {
+    expect(await committer.snapshot(os.tmpdir())).toBeNull();
+  });
+
+  test("reverts a step commit", async () => {
+    const before = await committer.snapshot(dir);
+    await fs.writeFile(path.join(dir, "a.txt"), "changed\n");
+    const { hash } = await committer.commit(dir, before, "Step");
+
+    const revert = await committer.revert(dir, hash);
+
+    expect(revert).toBe(git(dir, "rev-parse", "HEAD"));
+    expect(await fs.readFile(path.join(dir, "a.txt"), "utf8")).toBe("a\n");
+  });
+});
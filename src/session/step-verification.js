@@ -0,0 +1,68 @@
+/**
+ * Step Verification - запуск команды проверки после шага Professional режима
+ */
+
+import { spawn } from "node:child_process";
+import process from "node:process";
+
+/**
+ * Запустить команду проверки в shell и собрать её вывод
+ * @param {string} command - Например "npm test"
+ * @param {Object} options
+ * @param {string} options.cwd - Каталог проекта
+ * @param {number} [options.timeoutMs=0] - Лимит времени (0 - без лимита)
+ * @param {number} [options.maxOutputChars=2000] - Сколько последних символов вывода сохранить
+ * @returns {Promise<import("./professional-handler.js").StepVerification>}
+ */
+export function runVerification(command, options) {
+  const { cwd, timeoutMs = 0, maxOutputChars = 2000 } = options;
+  // Own process group on POSIX so a timeout also stops the command's children
+  const detached = process.platform !== "win32";
+
+  return new Promise((resolve) => {
+    let output = "";
+    let timedOut = false;
+    let timer = null;
+
+    const append = (chunk) => {
+      output = (output + chunk).slice(-maxOutputChars);
+    };
+
+    const finish = (exitCode) => {
+      clearTimeout(timer);
+      resolve({ command, exitCode, output: output.trim(), timedOut });
+    };
+
+    let child;
+    try {
+      child = spawn(command, { cwd, shell: true, detached });
+    } catch (error) {
+      append(error.message);
+      finish(null);
+      return;
+    }
+
+    child.stdout.on("data", append);
+    child.stderr.on("data", append);
+    child.on("error", (error) => {
+      append(`\n${error.message}`);
+      finish(null);
+    });
+    child.on("close", (code) => finish(timedOut ? null : code));
+
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          if (detached) {
+            process.kill(-child.pid, "SIGTERM");
+          } else {
+            child.kill("SIGTERM");
+          }
+        } catch {
+          // Already exited
+        }
+      }, timeoutMs);
+    }
+  });
+}
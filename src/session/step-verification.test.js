@@ -0,0 +1,42 @@
+/**
+ * Tests for step verification commands
+ */
+
+import os from "node:os";
+import process from "node:process";
+import { runVerification } from "./step-verification.js";
+
+const node = JSON.stringify(process.execPath);
+
+describe("runVerification", () => {
+  test("reports a clean run", async () => {
+    const result = await runVerification(`${node} -e "console.log('ok')"`, {
+      cwd: os.tmpdir(),
+    });
+
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toBe("ok");
+    expect(result.timedOut).toBe(false);
+  });
+
+  test("captures the tail of stdout and stderr on failure", async () => {
+    const result = await runVerification(
+      `${node} -e "console.log('a'.repeat(50)); console.error('boom'); process.exit(2)"`,
+      { cwd: os.tmpdir(), maxOutputChars: 10 }
+    );
+
+    expect(result.exitCode).toBe(2);
+    expect(result.output).toMatch(/boom$/);
+    expect(result.output.length).toBeLessThanOrEqual(10);
+  });
+
+  test("stops a command that runs past the time limit", async () => {
+    const result = await runVerification(
+      `${node} -e "setTimeout(() => {}, 10000)"`,
+      { cwd: os.tmpdir(), timeoutMs: 50 }
+    );
+
+    expect(result.timedOut).toBe(true);
+    expect(result.exitCode).toBeNull();
+  });
+});
@@ -0,0 +1,503 @@
+/**
+ * Command Risk - классификация команд shell по категориям риска
+ */
+
+import { COMMAND_RISK } from "../config/constants.js";
+import { parseShellCommand } from "./shell-command.js";
+
+const {
+  DESTRUCTIVE_FS,
+  PRIVILEGE,
+  NETWORK,
+  PACKAGE_INSTALL,
+  VCS_REWRITE,
+  SYSTEM,
+} = COMMAND_RISK.CATEGORIES;
+
+/**
+ * @typedef {Object} CommandRisk
+ * @property {string} category - Категория из COMMAND_RISK.CATEGORIES
+ * @property {string} command - Простая команда, в которой найден риск
+ * @property {string} reason - Что именно опасно (для debug-вывода и KODA CLI)
+ */
+
+/**
+ * Команды, которые запускают другую команду из своих аргументов
+ *
+ * Значение - опции, у которых есть отдельный аргумент-значение.
+ */
+const WRAPPERS = {
+  command: [],
+  exec: ["-a"],
+  builtin: [],
+  nohup: [],
+  time: ["-f", "-o"],
+  nice: ["-n"],
+  ionice: ["-c", "-n"],
+  env: ["-u", "-C", "-S"],
+  timeout: ["-k", "-s"],
+  xargs: ["-I", "-n", "-P", "-L", "-s", "-d", "-E", "-a"],
+  stdbuf: ["-i", "-o", "-e"],
+};
+
+/**
+ * Повышение привилегий; значение - опции с отдельным аргументом
+ */
+const PRIVILEGE_WRAPPERS = {
+  sudo: ["-u", "-g", "-C", "-p", "-h", "-U", "-r", "-t", "-D"],
+  doas: ["-u", "-C"],
+  pkexec: ["--user"],
+  su: [],
+};
+
+/**
+ * Интерпретаторы, выполняющие код из -c или stdin
+ */
+const SHELLS = new Set(["sh", "bash", "zsh", "dash", "ksh", "fish", "ash"]);
+const INTERPRETERS = new Set([
+  ...SHELLS,
+  "python",
+  "python3",
+  "perl",
+  "ruby",
+  "node",
+  "php",
+]);
+
+const NETWORK_COMMANDS = new Set([
+  "curl",
+  "wget",
+  "ssh",
+  "scp",
+  "sftp",
+  "ftp",
+  "telnet",
+  "nc",
+  "ncat",
+  "netcat",
+  "socat",
+]);
+
+const PRIVILEGE_COMMANDS = new Set([
+  "chmod",
+  "chown",
+  "chgrp",
+  "setcap",
+  "passwd",
+  "useradd",
+  "usermod",
+  "userdel",
+  "visudo",
+]);
+
+const SYSTEM_COMMANDS = new Set([
+  "shutdown",
+  "reboot",
+  "halt",
+  "poweroff",
+  "init",
+  "telinit",
+  "systemctl",
+  "service",
+  "launchctl",
+  "fdisk",
+  "sfdisk",
+  "cfdisk",
+  "gdisk",
+  "parted",
+  "wipefs",
+  "mount",
+  "umount",
+  "swapon",
+  "swapoff",
+  "kill",
+  "killall",
+  "pkill",
+  "crontab",
+  "iptables",
+  "ip6tables",
+  "nft",
+  "ufw",
+  "sysctl",
+  "modprobe",
+  "insmod",
+  "rmmod",
+  "diskutil",
+  "format",
+]);
+
+const DESTRUCTIVE_COMMANDS = new Set(["shred", "srm", "wipe", "truncate"]);
+
+/**
+ * Менеджеры пакетов: команда -> подкоманды установки
+ */
+const PACKAGE_MANAGERS = {
+  npm: ["install", "i", "add", "ci", "update", "up", "upgrade"],
+  pnpm: ["install", "i", "add", "update", "up", "dlx"],
+  yarn: ["install", "add", "up", "upgrade", "dlx"],
+  bun: ["install", "i", "add", "update", "x"],
+  pip: ["install", "download"],
+  pip3: ["install", "download"],
+  pipx: ["install", "run"],
+  uv: ["add", "sync"],
+  poetry: ["add", "install", "update"],
+  gem: ["install", "update"],
+  cargo: ["install", "add"],
+  go: ["install", "get"],
+  composer: ["require", "install", "update"],
+  apt: ["install", "upgrade", "dist-upgrade"],
+  "apt-get": ["install", "upgrade", "dist-upgrade"],
+  yum: ["install", "update", "upgrade"],
+  dnf: ["install", "update", "upgrade"],
+  zypper: ["install", "in", "update", "up"],
+  apk: ["add", "upgrade"],
+  brew: ["install", "upgrade", "reinstall"],
+  snap: ["install", "refresh"],
+  port: ["install", "upgrade"],
+  choco: ["install", "upgrade"],
+  winget: ["install", "upgrade"],
+};
+
+/**
+ * Команды, скачивающие и сразу запускающие пакеты
+ */
+const PACKAGE_RUNNERS = new Set(["npx", "pnpx", "bunx", "uvx"]);
+
+/**
+ * Блочные устройства: запись в них уничтожает файловую систему
+ */
+const BLOCK_DEVICE = /^\/dev\/(?:sd|hd|vd|xvd|nvme|mmcblk|disk|rdisk|loop)/;
+
+/**
+ * Опции git перед подкомандой, у которых есть отдельное значение
+ */
+const GIT_OPTIONS_WITH_VALUE = new Set([
+  "-C",
+  "-c",
+  "--git-dir",
+  "--work-tree",
+]);
+
+/**
+ * Имя команды без пути
+ * @param {string} word
+ * @returns {string}
+ */
+function commandName(word) {
+  return word.slice(word.lastIndexOf("/") + 1);
+}
+
+/**
+ * Есть ли среди аргументов короткий или длинный флаг
+ * @param {string[]} args
+ * @param {string} letters - Короткие флаги, например "rRf"
+ * @param {string[]} [longs=[]] - Длинные флаги
+ * @returns {boolean}
+ */
+function hasFlag(args, letters, longs = []) {
+  for (const arg of args) {
+    if (arg === "--") return false;
+    if (arg.startsWith("--")) {
+      if (longs.some((long) => arg === long || arg.startsWith(`${long}=`))) {
+        return true;
+      }
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      if ([...arg.slice(1)].some((char) => letters.includes(char))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Опция -c, в том числе в связке коротких опций (-lc, -ec)
+ */
+const COMMAND_OPTION = /^-[A-Za-z]*c[A-Za-z]*$/;
+
+/**
+ * Скрипт из опции -c оболочки или su
+ * @param {string[]} args
+ * @returns {string|null} null, если -c нет
+ */
+function getCommandScript(args) {
+  const index = args.findIndex((arg) => COMMAND_OPTION.test(arg));
+  return index === -1 ? null : args[index + 1] || "";
+}
+
+/**
+ * Пропустить опции обёртки и вернуть запускаемую команду
+ * @param {string[]} args - Аргументы после имени обёртки
+ * @param {string[]} valueOptions - Опции с отдельным значением
+ * @param {string} name - Имя обёртки
+ * @returns {string[]}
+ */
+function unwrap(args, valueOptions, name) {
+  let i = 0;
+  while (i < args.length) {
+    const arg = args[i];
+    if (arg === "--") {
+      i++;
+      break;
+    }
+    if (valueOptions.includes(arg)) {
+      i += 2;
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      i++;
+    } else if (name === "env" && arg.includes("=")) {
+      i++;
+    } else if (name === "timeout" && /^\d/.test(arg)) {
+      // The duration comes before the command
+      i++;
+      return args.slice(i);
+    } else {
+      break;
+    }
+  }
+  return args.slice(i);
+}
+
+/**
+ * Классифицировать подкоманду git
+ * @param {string[]} args - Аргументы после "git"
+ * @returns {Array<{category: string, reason: string}>}
+ */
+function classifyGit(args) {
+  let i = 0;
+  while (i < args.length && args[i].startsWith("-")) {
+    i += GIT_OPTIONS_WITH_VALUE.has(args[i]) ? 2 : 1;
+  }
+  const [subcommand, ...rest] = args.slice(i);
+
+  switch (subcommand) {
+    case "push":
+      if (
+        hasFlag(rest, "fd", [
+          "--force",
+          "--force-with-lease",
+          "--force-if-includes",
+          "--mirror",
+          "--delete",
+          "--prune",
+        ]) ||
+        rest.some((arg) => /^[+:]/.test(arg))
+      ) {
+        return [{ category: VCS_REWRITE, reason: "forced or deleting push" }];
+      }
+      return [];
+    case "reset":
+      return hasFlag(rest, "", ["--hard", "--keep", "--merge"])
+        ? [{ category: VCS_REWRITE, reason: "hard reset" }]
+        : [];
+    case "rebase":
+    case "filter-branch":
+    case "filter-repo":
+      return [{ category: VCS_REWRITE, reason: `git ${subcommand}` }];
+    case "commit":
+      return hasFlag(rest, "", ["--amend"])
+        ? [{ category: VCS_REWRITE, reason: "amended commit" }]
+        : [];
+    case "branch":
+    case "tag":
+      return hasFlag(rest, subcommand === "branch" ? "D" : "d", [])
+        ? [{ category: VCS_REWRITE, reason: `deleting ${subcommand}` }]
+        : [];
+    case "stash":
+      return rest[0] === "drop" || rest[0] === "clear"
+        ? [{ category: VCS_REWRITE, reason: `git stash ${rest[0]}` }]
+        : [];
+    case "reflog":
+      return rest[0] === "expire" || rest[0] === "delete"
+        ? [{ category: VCS_REWRITE, reason: `git reflog ${rest[0]}` }]
+        : [];
+    case "update-ref":
+      return hasFlag(rest, "d", [])
+        ? [{ category: VCS_REWRITE, reason: "deleting ref" }]
+        : [];
+    case "clean":
+      return hasFlag(rest, "f", ["--force"])
+        ? [{ category: DESTRUCTIVE_FS, reason: "git clean -f" }]
+        : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Классифицировать простую команду
+ * @param {string[]} argv
+ * @param {string[]} upstream - Команды, чей вывод приходит по конвейеру
+ * @returns {Array<{category: string, reason: string}>}
+ */
+function classifyArgv(argv, upstream) {
+  if (argv.length === 0) return [];
+  const name = commandName(argv[0]);
+  const args = argv.slice(1);
+
+  if (PRIVILEGE_WRAPPERS[name]) {
+    const risks = [{ category: PRIVILEGE, reason: name }];
+    if (name === "su") {
+      // su runs a shell; the command itself comes after -c
+      const script = getCommandScript(args);
+      if (script) risks.push(...classifyCommand(script));
+    } else {
+      risks.push(
+        ...classifyArgv(unwrap(args, PRIVILEGE_WRAPPERS[name], name), upstream)
+      );
+    }
+    return risks;
+  }
+
+  if (WRAPPERS[name]) {
+    return classifyArgv(unwrap(args, WRAPPERS[name], name), upstream);
+  }
+
+  const shellScript = SHELLS.has(name) ? getCommandScript(args) : null;
+  if (shellScript !== null) {
+    return classifyCommand(shellScript);
+  }
+  if (name === "eval") {
+    return classifyCommand(args.join(" "));
+  }
+
+  const script = args.find((arg) => !arg.startsWith("-"));
+  if (
+    INTERPRETERS.has(name) &&
+    !script &&
+    upstream.some((previous) => NETWORK_COMMANDS.has(commandName(previous)))
+  ) {
+    return [
+      { category: NETWORK, reason: `downloaded script piped into ${name}` },
+    ];
+  }
+
+  if (name === "rm") {
+    return hasFlag(args, "rRf", [
+      "--recursive",
+      "--force",
+      "--no-preserve-root",
+    ])
+      ? [{ category: DESTRUCTIVE_FS, reason: "recursive or forced rm" }]
+      : [];
+  }
+  if (name === "find") {
+    const risks = [];
+    if (args.includes("-delete")) {
+      risks.push({ category: DESTRUCTIVE_FS, reason: "find -delete" });
+    }
+    args.forEach((arg, index) => {
+      if (["-exec", "-execdir", "-ok", "-okdir"].includes(arg)) {
+        const rest = args.slice(index + 1);
+        const end = rest.findIndex((word) => word === ";" || word === "+");
+        risks.push(...classifyArgv(end === -1 ? rest : rest.slice(0, end), []));
+      }
+    });
+    return risks;
+  }
+  if (name === "dd") {
+    const output = args.find((arg) => arg.startsWith("of="));
+    if (!output) return [];
+    return BLOCK_DEVICE.test(output.slice(3))
+      ? [{ category: SYSTEM, reason: "dd to a block device" }]
+      : [{ category: DESTRUCTIVE_FS, reason: "dd overwrites a file" }];
+  }
+  if (name === "rsync") {
+    const risks = [];
+    if (
+      hasFlag(args, "", [
+        "--delete",
+        "--delete-before",
+        "--delete-after",
+        "--remove-source-files",
+      ])
+    ) {
+      risks.push({ category: DESTRUCTIVE_FS, reason: "rsync deleting files" });
+    }
+    if (args.some((arg) => /^[^-/][^/]*:/.test(arg))) {
+      risks.push({ category: NETWORK, reason: "rsync to a remote host" });
+    }
+    return risks;
+  }
+  if (name === "git") {
+    return classifyGit(args);
+  }
+  if (DESTRUCTIVE_COMMANDS.has(name)) {
+    return [{ category: DESTRUCTIVE_FS, reason: name }];
+  }
+  if (PRIVILEGE_COMMANDS.has(name)) {
+    return [{ category: PRIVILEGE, reason: name }];
+  }
+  if (SYSTEM_COMMANDS.has(name) || name.startsWith("mkfs")) {
+    return [{ category: SYSTEM, reason: name }];
+  }
+  if (NETWORK_COMMANDS.has(name)) {
+    return [{ category: NETWORK, reason: name }];
+  }
+  if (PACKAGE_RUNNERS.has(name)) {
+    return [{ category: PACKAGE_INSTALL, reason: name }];
+  }
+
+  const installs = PACKAGE_MANAGERS[name];
+  if (installs) {
+    // "yarn" alone installs dependencies too
+    const subcommand = args.find((arg) => !arg.startsWith("-"));
+    if (
+      installs.includes(subcommand) ||
+      (name === "yarn" && subcommand === undefined)
+    ) {
+      return [
+        {
+          category: PACKAGE_INSTALL,
+          reason: `${name} ${subcommand || ""}`.trim(),
+        },
+      ];
+    }
+    return [];
+  }
+  if (name === "pacman" && hasFlag(args, "SU", ["--sync", "--upgrade"])) {
+    return [{ category: PACKAGE_INSTALL, reason: "pacman -S" }];
+  }
+  if (
+    INTERPRETERS.has(name) &&
+    args[0] === "-m" &&
+    (args[1] === "pip" || args[1] === "ensurepip") &&
+    args.includes("install")
+  ) {
+    return [{ category: PACKAGE_INSTALL, reason: `${name} -m pip install` }];
+  }
+
+  return [];
+}
+
+/**
+ * Найти рискованные действия в командной строке
+ *
+ * Команда разбирается на простые команды (конвейеры, &&, подоболочки,
+ * подстановки), каждая классифицируется по имени и аргументам, а
+ * перенаправления проверяются на запись в блочные устройства.
+ * @param {string} command
+ * @returns {CommandRisk[]}
+ */
+export function classifyCommand(command) {
+  const risks = [];
+  for (const simple of parseShellCommand(command)) {
+    const text = [
+      ...simple.argv,
+      ...simple.redirects.map((r) => `${r.op} ${r.target}`),
+    ].join(" ");
+
+    for (const risk of classifyArgv(simple.argv, simple.upstream)) {
+      risks.push({ ...risk, command: risk.command || text });
+    }
+    for (const { op, target } of simple.redirects) {
+      if (/>/.test(op) && BLOCK_DEVICE.test(target)) {
+        risks.push({
+          category: SYSTEM,
+          reason: "redirect to a block device",
+          command: text,
+        });
+      }
+    }
+  }
+  return risks;
+}
@@ -0,0 +1,116 @@
+/**
+ * Edit Diff - ACP diff-контент для tool calls, изменяющих файлы
+ */
+
+import path from "node:path";
+
+/**
+ * @typedef {Object} DiffContent
+ * @property {"diff"} type
+ * @property {string} path - Абсолютный путь файла
+ * @property {string|null} oldText - null для нового файла
+ * @property {string} newText
+ */
+
+/**
+ * @typedef {Object} EditInput
+ * @property {string} path - Абсолютный путь файла
+ * @property {string} [content] - Полное новое содержимое (запись файла)
+ * @property {string} [oldString] - Заменяемый фрагмент (правка файла)
+ * @property {string} [newString] - Новый фрагмент
+ * @property {boolean} [replaceAll=false] - Заменить все вхождения фрагмента
+ */
+
+/**
+ * Извлечь из rawInput tool call путь и изменение файла
+ * @param {Object} toolCall
+ * @returns {EditInput|null} null, если изменение нельзя восстановить
+ */
+export function getEditInput(toolCall) {
+  const input = toolCall.rawInput || {};
+  const filePath = [
+    input.file_path,
+    input.filePath,
+    input.absolute_path,
+    input.path,
+    toolCall.locations?.[0]?.path,
+  ].find((p) => typeof p === "string" && p);
+
+  // ACP clients only accept absolute paths
+  if (!filePath || !path.isAbsolute(filePath)) return null;
+
+  if (typeof input.content === "string") {
+    return { path: filePath, content: input.content };
+  }
+
+  const oldString = input.old_string ?? input.oldString;
+  const newString = input.new_string ?? input.newString;
+  if (typeof oldString !== "string" || typeof newString !== "string") {
+    return null;
+  }
+
+  return {
+    path: filePath,
+    oldString,
+    newString,
+    replaceAll: Boolean(input.replace_all ?? input.replaceAll),
+  };
+}
+
+/**
+ * Построить diff изменения файла
+ * @param {EditInput} edit
+ * @param {string|null} currentText - Текущее содержимое (null - файла нет или он не прочитан)
+ * @returns {DiffContent}
+ */
+export function buildEditDiff(edit, currentText) {
+  if (edit.content !== undefined) {
+    return {
+      type: "diff",
+      path: edit.path,
+      oldText: currentText,
+      newText: edit.content,
+    };
+  }
+
+  // An empty fragment creates a new file
+  if (edit.oldString === "" && currentText === null) {
+    return {
+      type: "diff",
+      path: edit.path,
+      oldText: null,
+      newText: edit.newString,
+    };
+  }
+
+  const index =
+    currentText === null || edit.oldString === ""
+      ? -1
+      : currentText.indexOf(edit.oldString);
+  if (index === -1) {
+    // Show the fragments alone when the whole file can't be rebuilt
+    return {
+      type: "diff",
+      path: edit.path,
+      oldText: edit.oldString,
+      newText: edit.newString,
+    };
+  }
+
+  const newText = edit.replaceAll
+    ? currentText.split(edit.oldString).join(edit.newString)
+    : currentText.slice(0, index) +
+      edit.newString +
+      currentText.slice(index + edit.oldString.length);
+
+  return { type: "diff", path: edit.path, oldText: currentText, newText };
+}
+
+/**
+ * Есть ли у tool call diff-контент
+ * @param {Object} toolCall
+ * @returns {boolean}
+ */
+export function hasDiffContent(toolCall) {
+  return (toolCall.content || []).some((item) => item?.type === "diff");
+}
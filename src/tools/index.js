@@ -2,5 +2,10 @@
  * Tools Module - экспорт обработчиков инструментов
  */
 
+export { classifyCommand } from "./command-risk.js";
 export { PermissionHandler } from "./permission-handler.js";
+export { PermissionStore } from "./permission-store.js";
+export { formatRule, normalizeRule } from "./permission-rules.js";
 export { ToolCallInterceptor } from "./interceptor.js";
+export { TerminalManager } from "./terminal-manager.js";
+export { WorkspaceSandbox } from "./workspace-sandbox.js";
@@ -2,7 +2,34 @@
  * Tool Call Interceptor - перехват и обработка tool calls
  */
 
-import { SESSION_UPDATE } from "../config/constants.js";
+import path from "node:path";
+import { SESSION_UPDATE, TOOL_TYPE } from "../config/constants.js";
+import { SessionStateStore } from "../session/session-state.js";
+import { buildEditDiff, getEditInput, hasDiffContent } from "./edit-diff.js";
+import { formatRule, getToolCallPaths } from "./permission-rules.js";
+
+/**
+ * Запросы KODA CLI, которые изменяют рабочее окружение
+ */
+const WRITE_METHODS = ["fs/write_text_file"];
+const EXECUTE_METHODS = ["terminal/create"];
+const READ_METHODS = ["fs/read_text_file"];
+
+/**
+ * @typedef {Object} RejectedOperation
+ * @property {"read"|"write"|"execute"} kind - Тип операции
+ * @property {string[]} paths - Затронутые файлы как в tool call (пусто = любой файл)
+ * @property {string} title - Заголовок tool call
+ * @property {string} reason - Почему операция заблокирована (для KODA CLI)
+ */
+
+/**
+ * @typedef {Object} InterceptorState
+ * @property {Map<string, Object>} blockedToolCalls - toolCallId -> toolCall
+ * @property {Map<string, Object>} pendingToolCalls - toolCallId -> toolCall
+ * @property {RejectedOperation[]} rejectedOperations - Отклонённые операции
+ * @property {Set<Promise>} pendingDecisions - Незавершённые запросы разрешений
+ */
 
 /**
  * Tool Call Interceptor - перехватывает tool calls и применяет политики
@@ -14,6 +41,8 @@ export class ToolCallInterceptor {
    * @param {Object} handlers.permissionHandler
    * @param {Object} handlers.modeManager
    * @param {Object} handlers.planCollector
+   * @param {SessionStateStore} [handlers.sessionState] - Общее хранилище состояния
+   * @param {Object} [handlers.sandbox] - WorkspaceSandbox: какие файлы можно читать для diff
    * @param {Object} [options={}]
    * @param {boolean} [options.debug=false]
    */
@@ -30,14 +59,29 @@ export class ToolCallInterceptor {
     /** @type {Object} */
     this.planCollector = handlers.planCollector;
 
+    /** @type {Object|null} */
+    this.sandbox = handlers.sandbox || null;
+
+    /** @type {SessionStateStore} */
+    this.sessionState = handlers.sessionState || new SessionStateStore();
+    this.sessionState.define("interceptor", () => ({
+      blockedToolCalls: new Map(),
+      pendingToolCalls: new Map(),
+      rejectedOperations: [],
+      pendingDecisions: new Set(),
+    }));
+
     /** @type {boolean} */
     this.debug = options.debug || false;
+  }
 
-    /** @type {Map<string, Object>} toolCallId -> toolCall */
-    this.blockedToolCalls = new Map();
-
-    /** @type {Map<string, Object>} toolCallId -> toolCall */
-    this.pendingToolCalls = new Map();
+  /**
+   * Получить состояние перехватчика для сессии
+   * @param {string} sessionId
+   * @returns {InterceptorState}
+   */
+  getState(sessionId) {
+    return this.sessionState.get(sessionId, "interceptor");
   }
 
   /**
@@ -53,13 +97,15 @@ export class ToolCallInterceptor {
    * Обработать session update от KODA CLI
    * @param {string} sessionId
    * @param {Object} update
+   * @param {Object} [options={}]
+   * @param {string} [options.cwd] - Рабочая папка сессии
    * @returns {Promise<{forward: boolean, update?: Object, blocked?: boolean}>}
    */
-  async processSessionUpdate(sessionId, update) {
+  async processSessionUpdate(sessionId, update, options = {}) {
     const mode = this.modeManager.getMode(sessionId);
 
     if (update.sessionUpdate === SESSION_UPDATE.TOOL_CALL) {
-      return this.handleToolCall(sessionId, mode, update);
+      return this.handleToolCall(sessionId, mode, update, options);
     }
 
     if (update.sessionUpdate === SESSION_UPDATE.TOOL_CALL_UPDATE) {
@@ -74,48 +120,51 @@ export class ToolCallInterceptor {
    * @private
    * @param {string} sessionId
    * @param {string} mode
-   * @param {Object} toolCall
+   * @param {Object} update
+   * @param {Object} options - См. processSessionUpdate
    * @returns {Promise<Object>}
    */
-  async handleToolCall(sessionId, mode, toolCall) {
-    const needsPermission = this.permissionHandler.needsPermission(
-      sessionId,
-      mode,
-      toolCall
-    );
+  async handleToolCall(sessionId, mode, update, options) {
+    const result = this.permissionHandler.evaluate(sessionId, mode, update);
+    const { decision } = result;
 
     this.debugLog(
-      `Tool call: ${toolCall.title}, mode: ${mode}, needsPermission: ${needsPermission}`
+      `Tool call: ${update.title}, mode: ${mode}, decision: ${decision}`
     );
 
-    if (!needsPermission) {
-      this.pendingToolCalls.set(toolCall.toolCallId, toolCall);
+    const state = this.getState(sessionId);
+
+    if (decision === "deny") {
+      return this.handleDenied(sessionId, update, result);
+    }
+
+    if (decision === "allow") {
+      const toolCall = await this.attachEditDiff(sessionId, update, options);
+      state.pendingToolCalls.set(toolCall.toolCallId, toolCall);
       return { forward: true, update: toolCall };
     }
 
     if (mode === "plan") {
-      return this.handlePlanMode(sessionId, toolCall);
+      return this.handlePlanMode(
+        sessionId,
+        await this.attachEditDiff(sessionId, update, options)
+      );
     }
 
-    // Forward the tool call first (to show in UI as pending)
-    await this.connection.sessionUpdate({
-      sessionId,
-      update: {
-        ...toolCall,
-        sessionUpdate: SESSION_UPDATE.TOOL_CALL,
-        status: "pending",
-      },
-    });
-
-    // Request permission
-    const outcome = await this.permissionHandler.requestPermission(
+    // Tracked from the start: KODA's requests behind this tool call must wait
+    // for the decision even while the diff is still being read
+    const { toolCall, outcome } = await this.trackDecision(
       sessionId,
-      toolCall,
-      mode
+      this.askPermission(sessionId, mode, update, options)
     );
 
     if (outcome.outcome === "cancelled" || outcome.optionId === "reject") {
-      this.blockedToolCalls.set(toolCall.toolCallId, toolCall);
+      state.blockedToolCalls.set(toolCall.toolCallId, toolCall);
+      this.recordRejection(
+        sessionId,
+        toolCall,
+        `Blocked: the user rejected "${toolCall.title}". Do not retry this operation; ask the user how to proceed.`
+      );
 
       await this.connection.sessionUpdate({
         sessionId,
@@ -134,11 +183,325 @@ export class ToolCallInterceptor {
       return { forward: false, blocked: true, rejected: true };
     }
 
-    this.pendingToolCalls.set(toolCall.toolCallId, toolCall);
+    state.pendingToolCalls.set(toolCall.toolCallId, toolCall);
     this.debugLog(`Tool call approved: ${toolCall.title}`);
     return { forward: false, alreadySent: true };
   }
 
+  /**
+   * Заблокировать tool call, запрещённый правилом или политикой команд,
+   * не спрашивая пользователя
+   * @private
+   * @param {string} sessionId
+   * @param {Object} toolCall
+   * @param {import("./permission-handler.js").PermissionDecision} decision
+   * @returns {Promise<Object>}
+   */
+  async handleDenied(sessionId, toolCall, { source, risk }) {
+    const cause = source
+      ? `a ${source.scope} permission rule (${source.rule.match} "${source.rule.pattern}")`
+      : `the ${risk.category} command policy (${risk.reason})`;
+    const shown = source
+      ? `правилом (${source.scope}): ${formatRule(source.rule)}`
+      : `политикой команд ${risk.category}: \`${risk.command}\``;
+
+    this.getState(sessionId).blockedToolCalls.set(
+      toolCall.toolCallId,
+      toolCall
+    );
+    this.recordRejection(
+      sessionId,
+      toolCall,
+      `Blocked: "${toolCall.title}" is denied by ${cause}. Do not retry this operation; ask the user how to proceed.`
+    );
+
+    await this.connection.sessionUpdate({
+      sessionId,
+      update: {
+        ...toolCall,
+        sessionUpdate: SESSION_UPDATE.TOOL_CALL,
+        status: "failed",
+        rawOutput: { denied: true, reason: `Запрещено ${shown}` },
+      },
+    });
+
+    this.debugLog(`Tool call denied: ${toolCall.title}`);
+    return { forward: false, blocked: true, rejected: true };
+  }
+
+  /**
+   * Добавить к tool call правки файла ACP diff-контент
+   *
+   * KODA CLI часто присылает правку только с заголовком: старый текст
+   * читается у клиента через fs/read_text_file, новый - вычисляется из rawInput.
+   * Файлы, которые песочница не даёт читать без вопроса, не читаются.
+   * @param {string} sessionId
+   * @param {Object} toolCall
+   * @param {Object} [options={}]
+   * @param {string} [options.cwd] - Рабочая папка сессии
+   * @returns {Promise<Object>} Tool call с diff или исходный tool call
+   */
+  async attachEditDiff(sessionId, toolCall, options = {}) {
+    if (
+      hasDiffContent(toolCall) ||
+      this.permissionHandler.getToolType(toolCall) !== TOOL_TYPE.FILE_EDIT
+    ) {
+      return toolCall;
+    }
+
+    const edit = getEditInput(toolCall);
+    if (!edit) return toolCall;
+
+    if (
+      this.sandbox &&
+      !(await this.sandbox.canAccess(sessionId, edit.path, options.cwd))
+    ) {
+      this.debugLog(`No diff for ${edit.path}: outside the workspace`);
+      return toolCall;
+    }
+
+    let currentText = null;
+    try {
+      const result = await this.connection.readTextFile({
+        sessionId,
+        path: edit.path,
+      });
+      currentText = result?.content ?? null;
+    } catch (error) {
+      // Most often the file doesn't exist yet
+      this.debugLog(`Could not read ${edit.path}: ${error.message}`);
+    }
+
+    return {
+      ...toolCall,
+      content: [...(toolCall.content || []), buildEditDiff(edit, currentText)],
+    };
+  }
+
+  /**
+   * Показать tool call ожидающим и запросить разрешение у пользователя
+   * @private
+   * @param {string} sessionId
+   * @param {string} mode
+   * @param {Object} update
+   * @param {Object} options - См. processSessionUpdate
+   * @returns {Promise<{toolCall: Object, outcome: Object}>}
+   */
+  async askPermission(sessionId, mode, update, options) {
+    const toolCall = await this.attachEditDiff(sessionId, update, options);
+
+    // Forward the tool call first (to show in UI as pending)
+    await this.connection.sessionUpdate({
+      sessionId,
+      update: {
+        ...toolCall,
+        sessionUpdate: SESSION_UPDATE.TOOL_CALL,
+        status: "pending",
+      },
+    });
+
+    const outcome = await this.permissionHandler.requestPermission(
+      sessionId,
+      toolCall,
+      mode
+    );
+    return { toolCall, outcome };
+  }
+
+  /**
+   * Зарегистрировать незавершённый запрос разрешения
+   * @private
+   * @param {string} sessionId
+   * @param {Promise<Object>} decision
+   * @returns {Promise<Object>}
+   */
+  async trackDecision(sessionId, decision) {
+    const pending = this.getState(sessionId).pendingDecisions;
+    pending.add(decision);
+
+    try {
+      return await decision;
+    } finally {
+      pending.delete(decision);
+    }
+  }
+
+  /**
+   * Запомнить отклонённую операцию, чтобы заблокировать её выполнение
+   * @private
+   * @param {string} sessionId
+   * @param {Object} toolCall
+   * @param {string} reason - Сообщение для KODA CLI при блокировке
+   */
+  recordRejection(sessionId, toolCall, reason) {
+    const toolType = this.permissionHandler.getToolType(toolCall);
+    let kind = "write";
+    if (
+      toolType === TOOL_TYPE.COMMAND_EXECUTE ||
+      toolType === TOOL_TYPE.DANGEROUS_COMMAND
+    ) {
+      kind = "execute";
+    } else if (toolType === TOOL_TYPE.READ) {
+      kind = "read";
+    }
+
+    this.getState(sessionId).rejectedOperations.push({
+      kind,
+      paths: getToolCallPaths(toolCall),
+      title: toolCall.title || "",
+      reason,
+    });
+  }
+
+  /**
+   * Забыть отклонённые операции: KODA выполняет их в том же ходе, а позже
+   * они блокировали бы чужие запросы
+   * @param {string} sessionId
+   */
+  clearRejections(sessionId) {
+    const state = this.sessionState.peek(sessionId, "interceptor");
+    if (state) {
+      state.rejectedOperations = [];
+    }
+  }
+
+  /**
+   * Проверить запрос KODA CLI к клиенту (fs/terminal) перед выполнением
+   * @param {string} sessionId
+   * @param {string} method - ACP метод
+   * @param {Object} [params={}]
+   * @param {Object} [options={}]
+   * @param {string} [options.cwd] - Рабочая папка сессии для относительных путей
+   * @returns {Promise<{allowed: boolean, reason?: string}>}
+   */
+  async checkClientRequest(sessionId, method, params = {}, options = {}) {
+    const isWrite = WRITE_METHODS.includes(method);
+    const isExecute = EXECUTE_METHODS.includes(method);
+    const isRead = READ_METHODS.includes(method);
+    if (!isWrite && !isExecute && !isRead) {
+      return { allowed: true };
+    }
+
+    if (!isRead && this.modeManager.getMode(sessionId) === "plan") {
+      const action = isWrite ? "file writes" : "command execution";
+      return {
+        allowed: false,
+        reason: `Blocked by plan mode: ${action} are not allowed. Describe the intended change in the plan instead of applying it.`,
+      };
+    }
+
+    const state = this.getState(sessionId);
+
+    // Permission dialog may still be open for the tool call behind this request
+    if (state.pendingDecisions.size) {
+      await Promise.allSettled([...state.pendingDecisions]);
+    }
+
+    const rejected = state.rejectedOperations;
+    // Tool calls often name files relative to the project
+    const resolve = (file) =>
+      options.cwd ? path.resolve(options.cwd, file) : path.normalize(file);
+    const target = params.path ? resolve(params.path) : null;
+
+    let index = -1;
+    if (isWrite || isRead) {
+      const kind = isWrite ? "write" : "read";
+      index = rejected.findIndex(
+        (op) =>
+          op.kind === kind &&
+          (op.paths.length === 0 ||
+            (target && op.paths.some((file) => resolve(file) === target)))
+      );
+    } else if (method === "terminal/create") {
+      index = rejected.findIndex((op) => op.kind === "execute");
+    }
+
+    if (index !== -1) {
+      const [operation] = rejected.splice(index, 1);
+      this.debugLog(
+        `Blocked ${method} for rejected tool call: ${operation.title}`
+      );
+      return { allowed: false, reason: operation.reason };
+    }
+
+    if (isExecute || !target) {
+      return { allowed: true };
+    }
+    return this.checkPathRules(
+      sessionId,
+      isWrite ? TOOL_TYPE.FILE_EDIT : TOOL_TYPE.READ,
+      target,
+      resolve
+    );
+  }
+
+  /**
+   * Применить правила deny и ask для путей к самому запросу fs
+   *
+   * Tool call KODA CLI не всегда называет файл, поэтому правила проверяются
+   * ещё раз по пути запроса. Ask не спрашивает повторно, если tool call с
+   * этим файлом уже прошёл проверку.
+   * @private
+   * @param {string} sessionId
+   * @param {string} toolType - TOOL_TYPE.READ или TOOL_TYPE.FILE_EDIT
+   * @param {string} target - Абсолютный путь запроса
+   * @param {(file: string) => string} resolve - Путь относительно cwd сессии
+   * @returns {Promise<{allowed: boolean, reason?: string}>}
+   */
+  async checkPathRules(sessionId, toolType, target, resolve) {
+    const read = toolType === TOOL_TYPE.READ;
+    const toolCall = {
+      toolCallId: `fs_${Date.now()}`,
+      title: `${read ? "Read" : "Write"} ${target}`,
+      kind: read ? "read" : "edit",
+      status: "pending",
+      locations: [{ path: target }],
+    };
+
+    const denied = this.permissionHandler.findRule(
+      sessionId,
+      toolCall,
+      toolType,
+      "deny"
+    );
+    if (denied) {
+      this.debugLog(`Denied ${toolCall.title} by ${formatRule(denied.rule)}`);
+      return {
+        allowed: false,
+        reason: `Blocked: "${toolCall.title}" is denied by a ${denied.scope} permission rule (path "${denied.rule.pattern}"). Do not retry this operation; ask the user how to proceed.`,
+      };
+    }
+
+    const mode = this.modeManager.getMode(sessionId);
+    if (
+      mode === "bypass" ||
+      !this.permissionHandler.findRule(sessionId, toolCall, toolType, "ask")
+    ) {
+      return { allowed: true };
+    }
+
+    const answered = [
+      ...this.getState(sessionId).pendingToolCalls.values(),
+    ].some((approved) =>
+      getToolCallPaths(approved).some((file) => resolve(file) === target)
+    );
+    if (answered) {
+      return { allowed: true };
+    }
+
+    const outcome = await this.trackDecision(
+      sessionId,
+      this.permissionHandler.requestPermission(sessionId, toolCall, mode)
+    );
+    if (outcome.optionId?.startsWith("allow")) {
+      return { allowed: true };
+    }
+    return {
+      allowed: false,
+      reason: `Blocked: the user rejected "${toolCall.title}". Do not retry this operation; ask the user how to proceed.`,
+    };
+  }
+
   /**
    * Обработать tool call в plan mode
    * @private
@@ -148,7 +511,10 @@ export class ToolCallInterceptor {
    */
   async handlePlanMode(sessionId, toolCall) {
     this.planCollector.addEntry(sessionId, toolCall);
-    this.blockedToolCalls.set(toolCall.toolCallId, toolCall);
+    this.getState(sessionId).blockedToolCalls.set(
+      toolCall.toolCallId,
+      toolCall
+    );
 
     // Send all updates in parallel - no need to wait between them
     await Promise.all([
@@ -193,7 +559,7 @@ export class ToolCallInterceptor {
    * @returns {Object}
    */
   handleToolCallUpdate(sessionId, update) {
-    if (this.blockedToolCalls.has(update.toolCallId)) {
+    if (this.getState(sessionId).blockedToolCalls.has(update.toolCallId)) {
       return { forward: false };
     }
 
@@ -212,8 +578,7 @@ export class ToolCallInterceptor {
    * Очистить состояние сессии
    * @param {string} sessionId
    */
-  clearSession(_sessionId) {
-    this.blockedToolCalls.clear();
-    this.pendingToolCalls.clear();
+  clearSession(sessionId) {
+    this.sessionState.reset(sessionId, "interceptor");
   }
 }
@@ -2,23 +2,89 @@
  * Permission Handler - управление правами доступа к операциям
  */
 
-import { TOOL_TYPE, DANGEROUS_PATTERNS } from "../config/constants.js";
+import { COMMAND_RISK, TOOL_TYPE } from "../config/constants.js";
+import { SessionStateStore } from "../session/session-state.js";
+import { classifyCommand } from "./command-risk.js";
+import {
+  buildExactRule,
+  formatRule,
+  getToolCallCommand,
+  isSameRule,
+  matchesRule,
+  RULE_DECISIONS,
+} from "./permission-rules.js";
+import {
+  createRuleSet,
+  isProjectAllowRule,
+  PermissionStore,
+} from "./permission-store.js";
+
+/**
+ * @typedef {import("./permission-rules.js").PermissionRule} PermissionRule
+ * @typedef {import("./permission-rules.js").RuleDecision} RuleDecision
+ * @typedef {import("./permission-store.js").RuleSet} RuleSet
+ * @typedef {import("./command-risk.js").CommandRisk & {policy: string}} PolicedRisk
+ */
+
+/**
+ * @typedef {Object} PermissionState
+ * @property {string|null} cwd - Рабочая папка сессии (проект правил)
+ * @property {PermissionRule[]} rules - Правила «Разрешать всегда» только этой сессии
+ */
+
+/**
+ * @typedef {Object} ScopedRule
+ * @property {PermissionRule} rule
+ * @property {RuleDecision} decision
+ * @property {"session"|"project"|"user"} scope
+ */
+
+/**
+ * @typedef {Object} PermissionDecision
+ * @property {RuleDecision} decision
+ * @property {ScopedRule|null} source - Правило, принявшее решение
+ * @property {PolicedRisk|null} risk - Риск команды, определивший решение
+ */
 
 /**
  * Permission Handler - обрабатывает запросы на разрешения
+ *
+ * Порядок решений: правила deny, политика deny категории риска команды,
+ * затем правила ask (кроме bypass), затем allow, затем режим сессии. Среди
+ * правил с одним решением первыми проверяются правила сессии, потом проекта,
+ * потом пользователя.
  */
 export class PermissionHandler {
   /**
    * @param {Object} connection - ACP connection
    * @param {Object} [options={}]
    * @param {boolean} [options.debug=false]
+   * @param {SessionStateStore} [options.sessionState] - Общее хранилище состояния
+   * @param {PermissionStore} [options.store] - Хранилище правил проекта и пользователя
+   * @param {Object<string, string>} [options.commandPolicy] - Политики категорий риска команд
    */
   constructor(connection, options = {}) {
     /** @type {Object} */
     this.connection = connection;
 
-    /** @type {Map<string, Set<string>>} sessionId -> Set of tool types */
-    this.alwaysAllowedTypes = new Map();
+    /** @type {SessionStateStore} */
+    this.sessionState = options.sessionState || new SessionStateStore();
+    this.sessionState.define("permissions", () => ({ cwd: null, rules: [] }));
+
+    /** @type {PermissionStore} */
+    this.store = options.store || new PermissionStore({ debug: options.debug });
+
+    /** @type {Map<string, RuleSet>} cwd -> правила проекта */
+    this.projectRules = new Map();
+
+    /** @type {RuleSet} */
+    this.userRules = createRuleSet();
+
+    /** @type {Object<string, string>} category -> allow|ask|deny */
+    this.commandPolicy = {
+      ...COMMAND_RISK.DEFAULT_POLICY,
+      ...options.commandPolicy,
+    };
 
     /** @type {boolean} */
     this.debug = options.debug || false;
@@ -33,6 +99,182 @@ export class PermissionHandler {
     }
   }
 
+  /**
+   * Состояние разрешений сессии
+   * @param {string} sessionId
+   * @returns {PermissionState}
+   */
+  getState(sessionId) {
+    return this.sessionState.get(sessionId, "permissions");
+  }
+
+  /**
+   * Правила «Разрешать всегда» только этой сессии
+   * @param {string} sessionId
+   * @returns {PermissionRule[]}
+   */
+  getSessionRules(sessionId) {
+    return this.getState(sessionId).rules;
+  }
+
+  /**
+   * Правила проекта сессии
+   * @param {string} sessionId
+   * @returns {RuleSet}
+   */
+  getProjectRules(sessionId) {
+    const cwd = this.sessionState.peek(sessionId, "permissions")?.cwd;
+    return (cwd && this.projectRules.get(cwd)) || createRuleSet();
+  }
+
+  /**
+   * Загрузить правила проекта и пользователя для сессии (новая сессия,
+   * загрузка, /clear)
+   * @param {string} sessionId
+   * @param {string} cwd
+   * @returns {Promise<void>}
+   */
+  async loadRules(sessionId, cwd) {
+    this.getState(sessionId).cwd = cwd;
+    const [project, user] = await Promise.all([
+      this.store.load(cwd),
+      this.store.loadUser(),
+    ]);
+    this.projectRules.set(cwd, project);
+    this.userRules = user;
+
+    const count = (rules) =>
+      RULE_DECISIONS.map((d) => `${rules[d].length} ${d}`).join(", ");
+    this.debugLog(
+      `Loaded rules for ${cwd}: project ${count(project)}; user ${count(user)}`
+    );
+  }
+
+  /**
+   * Все правила сессии: сначала сессионные, затем проекта, затем пользователя;
+   * внутри источника - deny, ask, allow
+   * @param {string} sessionId
+   * @returns {ScopedRule[]}
+   */
+  listRules(sessionId) {
+    const session = this.sessionState.peek(sessionId, "permissions");
+    const scoped = (rules, scope) =>
+      RULE_DECISIONS.flatMap((decision) =>
+        rules[decision].map((rule) => ({ rule, decision, scope }))
+      );
+
+    return [
+      ...(session?.rules || []).map((rule) => ({
+        rule,
+        decision: "allow",
+        scope: "session",
+      })),
+      ...scoped(this.getProjectRules(sessionId), "project"),
+      ...scoped(this.userRules, "user"),
+    ];
+  }
+
+  /**
+   * Добавить правило «Разрешать всегда»
+   * @param {string} sessionId
+   * @param {PermissionRule} rule
+   * @param {"session"|"project"} scope
+   * @returns {Promise<boolean>} false, если такое правило уже есть
+   * @throws {Error} If the project rules can't be saved or may not allow the rule
+   */
+  async addRule(sessionId, rule, scope) {
+    const state = this.getState(sessionId);
+    if (scope === "project" && !state.cwd) {
+      throw new Error("Session has no project directory");
+    }
+    if (scope === "project" && !this.canAllowInProject(rule)) {
+      throw new Error(
+        "Project rules may only allow commands and prefixes that are not dangerous"
+      );
+    }
+
+    const project =
+      scope === "project" ? this.projectRules.get(state.cwd) : null;
+    const rules = scope === "project" ? project?.allow || [] : state.rules;
+    if (rules.some((existing) => isSameRule(existing, rule))) return false;
+
+    rules.push(rule);
+    this.debugLog(`Always allowing ${formatRule(rule)} (${scope})`);
+
+    if (scope === "project") {
+      const updated = project || { ...createRuleSet(), allow: rules };
+      this.projectRules.set(state.cwd, updated);
+      await this.store.save(state.cwd, updated);
+    }
+    return true;
+  }
+
+  /**
+   * Можно ли сохранить правило allow в файл проекта: только команды и
+   * префиксы, и не для опасных команд
+   * @param {PermissionRule} rule
+   * @returns {boolean}
+   */
+  canAllowInProject(rule) {
+    return (
+      isProjectAllowRule(rule) &&
+      (rule.match !== "command" ||
+        this.getCommandType({ rawInput: { command: rule.pattern } }) !==
+          TOOL_TYPE.DANGEROUS_COMMAND)
+    );
+  }
+
+  /**
+   * Удалить правило сессии или проекта по индексу из listRules()
+   *
+   * Правила пользователя не удаляются: их файл правится вручную.
+   * @param {string} sessionId
+   * @param {number} index
+   * @returns {Promise<ScopedRule|null>}
+   */
+  async removeRule(sessionId, index) {
+    const entry = this.listRules(sessionId)[index];
+    if (!entry || entry.scope === "user") return null;
+
+    const state = this.getState(sessionId);
+    const project = this.getProjectRules(sessionId);
+    const rules =
+      entry.scope === "project" ? project[entry.decision] : state.rules;
+    rules.splice(rules.indexOf(entry.rule), 1);
+
+    if (entry.scope === "project") {
+      await this.store.save(state.cwd, project);
+    }
+    return entry;
+  }
+
+  /**
+   * Найти правило с заданным решением, подходящее под tool call
+   *
+   * Правила allow из файла проекта не разрешают опасные команды: файл
+   * приходит вместе с репозиторием.
+   * @param {string} sessionId
+   * @param {Object} toolCall
+   * @param {string} toolType
+   * @param {RuleDecision} [decision="allow"]
+   * @returns {ScopedRule|null}
+   */
+  findRule(sessionId, toolCall, toolType, decision = "allow") {
+    const cwd = this.sessionState.peek(sessionId, "permissions")?.cwd || null;
+    return (
+      this.listRules(sessionId).find(
+        (entry) =>
+          entry.decision === decision &&
+          !(
+            entry.scope === "project" &&
+            decision === "allow" &&
+            toolType === TOOL_TYPE.DANGEROUS_COMMAND
+          ) &&
+          matchesRule(entry.rule, toolCall, toolType, cwd, decision)
+      ) || null
+    );
+  }
+
   /**
    * Определить тип инструмента по tool call
    * @param {Object} toolCall
@@ -47,13 +289,7 @@ export class PermissionHandler {
     if (kind === "edit") return TOOL_TYPE.FILE_EDIT;
     if (kind === "delete") return TOOL_TYPE.FILE_DELETE;
 
-    if (kind === "execute") {
-      const input = JSON.stringify(toolCall.rawInput || {});
-      for (const pattern of DANGEROUS_PATTERNS) {
-        if (pattern.test(input)) return TOOL_TYPE.DANGEROUS_COMMAND;
-      }
-      return TOOL_TYPE.COMMAND_EXECUTE;
-    }
+    if (kind === "execute") return this.getCommandType(toolCall);
 
     // Fallback to title-based classification
     if (
@@ -78,32 +314,100 @@ export class PermissionHandler {
       title.includes("command") ||
       title.includes("run")
     ) {
-      return TOOL_TYPE.COMMAND_EXECUTE;
+      return this.getCommandType(toolCall);
     }
 
     return TOOL_TYPE.OTHER;
   }
 
   /**
-   * Проверить, нужно ли разрешение
+   * Риски команды tool call с политиками их категорий
+   * @param {Object} toolCall
+   * @returns {PolicedRisk[]}
+   */
+  getCommandRisks(toolCall) {
+    const command = getToolCallCommand(toolCall);
+    if (!command) return [];
+    return classifyCommand(command).map((risk) => ({
+      ...risk,
+      policy: this.commandPolicy[risk.category] || "ask",
+    }));
+  }
+
+  /**
+   * Опасна ли команда: опасна, если политика хотя бы одного риска не allow
+   * @private
+   * @param {Object} toolCall
+   * @returns {string}
+   */
+  getCommandType(toolCall) {
+    return this.getCommandRisks(toolCall).some(
+      (risk) => risk.policy !== "allow"
+    )
+      ? TOOL_TYPE.DANGEROUS_COMMAND
+      : TOOL_TYPE.COMMAND_EXECUTE;
+  }
+
+  /**
+   * Решить, как поступить с tool call: выполнить, спросить или запретить
    * @param {string} sessionId
    * @param {string} mode
    * @param {Object} toolCall
-   * @returns {boolean}
+   * @returns {PermissionDecision}
    */
-  needsPermission(sessionId, mode, toolCall) {
+  evaluate(sessionId, mode, toolCall) {
     const toolType = this.getToolType(toolCall);
+    const decide = (decision, source = null, risk = null) => {
+      let reason = `mode ${mode}`;
+      if (source) {
+        reason = `${source.scope} ${source.decision} rule: ${formatRule(source.rule)}`;
+      } else if (risk) {
+        reason = `${risk.category} command policy ${risk.policy}: ${risk.reason} in \`${risk.command}\``;
+      }
+      this.debugLog(
+        `${decision} "${toolCall.title || toolType}" (${toolType}) by ${reason}`
+      );
+      return { decision, source, risk };
+    };
+
+    // Deny rules and deny policies hold in every mode
+    const denied = this.findRule(sessionId, toolCall, toolType, "deny");
+    if (denied) return decide("deny", denied);
+
+    const risks =
+      toolType === TOOL_TYPE.DANGEROUS_COMMAND
+        ? this.getCommandRisks(toolCall)
+        : [];
+    const blocked = risks.find((risk) => risk.policy === "deny");
+    if (blocked) return decide("deny", null, blocked);
+
+    // Bypass mode skips every question, including ask rules
+    if (mode === "bypass") return decide("allow");
+
+    const asked = this.findRule(sessionId, toolCall, toolType, "ask");
+    if (asked) return decide("ask", asked);
 
     // Read operations never need permission
-    if (toolType === TOOL_TYPE.READ) return false;
+    if (toolType === TOOL_TYPE.READ) return decide("allow");
 
-    // Bypass mode - no permissions needed
-    if (mode === "bypass") return false;
+    const allowed = this.findRule(sessionId, toolCall, toolType, "allow");
+    if (allowed) return decide("allow", allowed);
 
-    // Check if always allowed for this session
-    const alwaysAllowed = this.alwaysAllowedTypes.get(sessionId);
-    if (alwaysAllowed?.has(toolType)) return false;
+    return decide(
+      this.needsPermissionInMode(mode, toolType) ? "ask" : "allow",
+      null,
+      risks.find((risk) => risk.policy === "ask") || null
+    );
+  }
 
+  /**
+   * Нужно ли разрешение по режиму сессии, без учёта правил
+   * @private
+   * @param {string} mode
+   * @param {string} toolType
+   * @returns {boolean}
+   */
+  needsPermissionInMode(mode, toolType) {
     // Plan mode - always needs permission (to block execution)
     if (mode === "plan") return true;
 
@@ -117,6 +421,17 @@ export class PermissionHandler {
     return true;
   }
 
+  /**
+   * Проверить, нужно ли разрешение (запрещённый tool call тоже не выполняется сам)
+   * @param {string} sessionId
+   * @param {string} mode
+   * @param {Object} toolCall
+   * @returns {boolean}
+   */
+  needsPermission(sessionId, mode, toolCall) {
+    return this.evaluate(sessionId, mode, toolCall).decision !== "allow";
+  }
+
   /**
    * Запросить разрешение у пользователя
    * @param {string} sessionId
@@ -132,23 +447,40 @@ export class PermissionHandler {
       return { outcome: "blocked", optionId: "plan_blocked" };
     }
 
+    // "Always" covers exactly this command or file, not the whole tool type
+    const state = this.getState(sessionId);
+    const rule = buildExactRule(toolCall, toolType, state.cwd);
     const options = [
       {
         optionId: "allow",
         name: "Allow / Разрешить",
         kind: "allow_once",
       },
-      {
+    ];
+    if (rule) {
+      options.push({
         optionId: "allow_always",
         name: "Allow Always / Разрешать всегда",
         kind: "allow_always",
-      },
-      {
-        optionId: "reject",
-        name: "Reject / Отклонить",
-        kind: "reject_once",
-      },
-    ];
+      });
+    }
+    // A project rule is shared through the repository: never for dangerous commands
+    if (
+      state.cwd &&
+      isProjectAllowRule(rule) &&
+      toolType !== TOOL_TYPE.DANGEROUS_COMMAND
+    ) {
+      options.push({
+        optionId: "allow_always_project",
+        name: "Always in Project / Всегда в проекте",
+        kind: "allow_always",
+      });
+    }
+    options.push({
+      optionId: "reject",
+      name: "Reject / Отклонить",
+      kind: "reject_once",
+    });
 
     try {
       const response = await this.connection.requestPermission({
@@ -159,18 +491,19 @@ export class PermissionHandler {
           kind: toolCall.kind,
           status: toolCall.status,
           locations: toolCall.locations,
+          content: toolCall.content,
           rawInput: toolCall.rawInput,
         },
         options,
       });
 
-      // Handle "Allow Always"
-      if (response.outcome.optionId === "allow_always") {
-        if (!this.alwaysAllowedTypes.has(sessionId)) {
-          this.alwaysAllowedTypes.set(sessionId, new Set());
-        }
-        this.alwaysAllowedTypes.get(sessionId).add(toolType);
-        this.debugLog(`Always allowing "${toolType}" for session ${sessionId}`);
+      const optionId = response.outcome.optionId;
+      if (rule && optionId === "allow_always") {
+        await this.addRule(sessionId, rule, "session");
+      } else if (rule && optionId === "allow_always_project") {
+        await this.addRule(sessionId, rule, "project").catch((error) =>
+          this.debugLog("Failed to save project rule:", error.message)
+        );
       }
 
       return response.outcome;
@@ -185,6 +518,6 @@ export class PermissionHandler {
    * @param {string} sessionId
    */
   deleteSession(sessionId) {
-    this.alwaysAllowedTypes.delete(sessionId);
+    this.sessionState.reset(sessionId, "permissions");
   }
 }
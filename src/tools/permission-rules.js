@@ -0,0 +1,297 @@
+/**
+ * Permission Rules - правила allow/ask/deny для команд, файлов и типов инструментов
+ */
+
+import path from "node:path";
+import { TOOL_TYPE } from "../config/constants.js";
+import { parseShellCommand } from "./shell-command.js";
+
+/**
+ * @typedef {Object} PermissionRule
+ * @property {"command"|"prefix"|"path"|"tool"} match - Точная команда, префикс команды, glob пути или тип инструмента
+ * @property {string} pattern - Команда, префикс, glob (относительно cwd сессии) или TOOL_TYPE
+ * @property {string} [toolType] - Для path: read, file_edit или file_delete (без него - любой)
+ */
+
+/**
+ * @typedef {"allow"|"ask"|"deny"} RuleDecision
+ */
+
+/**
+ * Виды правил
+ */
+export const RULE_MATCHES = ["command", "prefix", "path", "tool"];
+
+/**
+ * Решения правил в порядке приоритета: запрет сильнее вопроса, вопрос сильнее разрешения
+ */
+export const RULE_DECISIONS = ["deny", "ask", "allow"];
+
+/**
+ * Типы инструментов, к которым применяются path-правила
+ */
+const PATH_TOOL_TYPES = [
+  TOOL_TYPE.READ,
+  TOOL_TYPE.FILE_EDIT,
+  TOOL_TYPE.FILE_DELETE,
+];
+
+/**
+ * Операторы shell, после которых префикс уже не описывает команду целиком
+ */
+const COMPOUND_COMMAND = /[;&|`<>\n]|\$\(/;
+
+/**
+ * Команда shell из tool call
+ * @param {Object} toolCall
+ * @returns {string|null}
+ */
+export function getToolCallCommand(toolCall) {
+  const command = toolCall.rawInput?.command;
+  if (Array.isArray(command)) return command.join(" ").trim() || null;
+  return typeof command === "string" && command.trim() ? command.trim() : null;
+}
+
+/**
+ * Извлечь пути файлов из tool call
+ * @param {Object} toolCall
+ * @returns {string[]}
+ */
+export function getToolCallPaths(toolCall) {
+  const input = toolCall.rawInput || {};
+  const paths = [
+    ...(toolCall.locations || []).map((location) => location.path),
+    input.file_path,
+    input.filePath,
+    input.absolute_path,
+    input.path,
+  ];
+  const normalized = paths
+    .filter((p) => typeof p === "string" && p)
+    .map((p) => path.normalize(p));
+  return [...new Set(normalized)];
+}
+
+/**
+ * Преобразовать glob пути в RegExp: "**" - любые каталоги, "*" и "?" - в
+ * пределах одного имени, "\" экранирует следующий символ
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "\\" && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else if (char === "*" && glob[i + 1] === "*") {
+      i++;
+      // "**/" also matches no directories at all
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Экранировать имя файла для glob
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGlob(text) {
+  return text.replace(/[*?\\]/g, "\\$&");
+}
+
+/**
+ * Подходит ли tool call под правило
+ *
+ * Разрешение (allow) осторожно: префикс не одобряет составные и опасные
+ * команды, а path-правило должно покрывать все файлы tool call. Запрет и
+ * вопрос (deny, ask) срабатывают, если под правило подходит любая простая
+ * команда в цепочке или любой из файлов.
+ * @param {PermissionRule} rule
+ * @param {Object} toolCall
+ * @param {string} toolType
+ * @param {string|null} cwd - Рабочая папка сессии для относительных glob
+ * @param {RuleDecision} [decision="allow"] - Решение правила
+ * @returns {boolean}
+ */
+export function matchesRule(rule, toolCall, toolType, cwd, decision = "allow") {
+  if (rule.match === "tool") {
+    return rule.pattern === toolType;
+  }
+
+  if (rule.match === "command" || rule.match === "prefix") {
+    if (
+      toolType !== TOOL_TYPE.COMMAND_EXECUTE &&
+      toolType !== TOOL_TYPE.DANGEROUS_COMMAND
+    ) {
+      return false;
+    }
+    const command = getToolCallCommand(toolCall);
+    if (!command) return false;
+
+    const matches = (text) =>
+      rule.match === "command"
+        ? text === rule.pattern
+        : text === rule.pattern || text.startsWith(`${rule.pattern} `);
+
+    if (decision !== "allow") {
+      return parseShellCommand(command).some((simple) =>
+        matches(simple.argv.join(" "))
+      );
+    }
+
+    // A prefix never approves dangerous or chained commands
+    return rule.match === "command"
+      ? matches(command)
+      : toolType === TOOL_TYPE.COMMAND_EXECUTE &&
+          !COMPOUND_COMMAND.test(command) &&
+          matches(command);
+  }
+
+  if (rule.match === "path") {
+    if (!PATH_TOOL_TYPES.includes(toolType)) return false;
+    if (rule.toolType && rule.toolType !== toolType) return false;
+
+    const paths = getToolCallPaths(toolCall);
+    if (paths.length === 0) return false;
+
+    const glob = path.isAbsolute(rule.pattern)
+      ? rule.pattern
+      : path.posix.join(toPosix(cwd || "/"), rule.pattern);
+    const regexp = globToRegExp(glob);
+    const matches = (p) => regexp.test(toPosix(path.resolve(cwd || "/", p)));
+    return decision === "allow" ? paths.every(matches) : paths.some(matches);
+  }
+
+  return false;
+}
+
+/**
+ * @param {string} p
+ * @returns {string}
+ */
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+/**
+ * Правило «Разрешать всегда» ровно для этого tool call
+ * @param {Object} toolCall
+ * @param {string} toolType
+ * @param {string|null} cwd
+ * @returns {PermissionRule|null} null, если у tool call нет команды или пути
+ */
+export function buildExactRule(toolCall, toolType, cwd) {
+  if (
+    toolType === TOOL_TYPE.COMMAND_EXECUTE ||
+    toolType === TOOL_TYPE.DANGEROUS_COMMAND
+  ) {
+    const command = getToolCallCommand(toolCall);
+    return command ? { match: "command", pattern: command } : null;
+  }
+
+  if (toolType === TOOL_TYPE.FILE_EDIT || toolType === TOOL_TYPE.FILE_DELETE) {
+    const paths = getToolCallPaths(toolCall);
+    if (paths.length !== 1 || (!path.isAbsolute(paths[0]) && !cwd)) {
+      return null;
+    }
+
+    // Project rules stay valid wherever the project is checked out
+    const absolute = path.resolve(cwd || "/", paths[0]);
+    const relative = cwd ? path.relative(cwd, absolute) : "";
+    const inside =
+      relative &&
+      relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative);
+    return {
+      match: "path",
+      pattern: escapeGlob(toPosix(inside ? relative : absolute)),
+      toolType,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Одинаковые ли правила
+ * @param {PermissionRule} a
+ * @param {PermissionRule} b
+ * @returns {boolean}
+ */
+export function isSameRule(a, b) {
+  return (
+    a.match === b.match &&
+    a.pattern === b.pattern &&
+    (a.toolType || null) === (b.toolType || null)
+  );
+}
+
+/**
+ * Проверить правило из файла или команды
+ * @param {any} rule
+ * @returns {PermissionRule|null}
+ */
+export function normalizeRule(rule) {
+  if (!rule || !RULE_MATCHES.includes(rule.match)) return null;
+  if (typeof rule.pattern !== "string" || !rule.pattern.trim()) return null;
+
+  const normalized = { match: rule.match, pattern: rule.pattern.trim() };
+  if (
+    rule.match === "tool" &&
+    !Object.values(TOOL_TYPE).includes(normalized.pattern)
+  ) {
+    return null;
+  }
+  if (rule.match === "path" && PATH_TOOL_TYPES.includes(rule.toolType)) {
+    normalized.toolType = rule.toolType;
+  }
+  return normalized;
+}
+
+/**
+ * Описание правила для пользователя
+ * @param {PermissionRule} rule
+ * @returns {string}
+ */
+export function formatRule(rule) {
+  switch (rule.match) {
+    case "command":
+      return `команда \`${rule.pattern}\``;
+    case "prefix":
+      return `команды \`${rule.pattern} …\``;
+    case "tool":
+      return `инструменты \`${rule.pattern}\``;
+    default: {
+      const actions = {
+        [TOOL_TYPE.READ]: "чтение",
+        [TOOL_TYPE.FILE_EDIT]: "правка",
+        [TOOL_TYPE.FILE_DELETE]: "удаление",
+      };
+      const action = actions[rule.toolType] || "любой доступ к";
+      return `${action} \`${rule.pattern}\``;
+    }
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Permission Store - правила разрешений проекта (.koda/permissions.json)
+ * и пользователя (~/.config/koda/permissions.json)
+ */
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { PATHS, PERMISSIONS } from "../config/constants.js";
+import { normalizeRule, RULE_DECISIONS } from "./permission-rules.js";
+
+/**
+ * @typedef {import("./permission-rules.js").PermissionRule} PermissionRule
+ */
+
+/**
+ * @typedef {Object} RuleSet
+ * @property {PermissionRule[]} allow - Выполнять без вопроса
+ * @property {PermissionRule[]} ask - Всегда спрашивать
+ * @property {PermissionRule[]} deny - Запрещать без вопроса
+ */
+
+/**
+ * @typedef {Object} PermissionsFile
+ * @property {number} version - Версия формата
+ * @property {PermissionRule[]} [allow]
+ * @property {PermissionRule[]} [ask]
+ * @property {PermissionRule[]} [deny]
+ */
+
+/**
+ * Пустой набор правил
+ * @returns {RuleSet}
+ */
+export function createRuleSet() {
+  return { allow: [], ask: [], deny: [] };
+}
+
+/**
+ * Можно ли файлу проекта разрешать по этому правилу
+ * @param {PermissionRule|null} rule
+ * @returns {boolean}
+ */
+export function isProjectAllowRule(rule) {
+  return (
+    Boolean(rule) && PERMISSIONS.PROJECT_ALLOW_MATCHES.includes(rule.match)
+  );
+}
+
+/**
+ * Permission Store - читает и записывает файлы правил
+ */
+export class PermissionStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {boolean} [options.debug=false]
+   * @param {string} [options.userFile] - Файл правил пользователя
+   */
+  constructor(options = {}) {
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+
+    /** @type {string} */
+    this.userFile = options.userFile || PATHS.PERMISSIONS_FILE;
+
+    /** @type {Map<string, Promise>} filePath -> last pending write */
+    this.writeQueue = new Map();
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[PermissionStore]", ...args);
+    }
+  }
+
+  /**
+   * Путь к файлу правил проекта
+   * @param {string} cwd
+   * @returns {string}
+   */
+  getFilePath(cwd) {
+    return path.join(cwd, PERMISSIONS.FILE);
+  }
+
+  /**
+   * Загрузить правила проекта
+   *
+   * Файл проекта приходит вместе с репозиторием, поэтому ему доверяют не
+   * полностью: deny и ask действуют все, а allow - только для точных команд
+   * и префиксов (PERMISSIONS.PROJECT_ALLOW_MATCHES). Правила allow для путей
+   * и типов инструментов пропускаются и задаются в файле пользователя.
+   * @param {string} cwd
+   * @returns {Promise<RuleSet>}
+   */
+  async load(cwd) {
+    const filePath = this.getFilePath(cwd);
+    // Don't read a file that is still being written
+    await this.writeQueue.get(filePath)?.catch(() => {});
+
+    const rules = await this.readRules(filePath);
+    rules.allow = rules.allow.filter((rule) => {
+      if (isProjectAllowRule(rule)) return true;
+      this.debugLog(
+        `Ignoring untrusted allow rule in ${filePath}:`,
+        JSON.stringify(rule)
+      );
+      return false;
+    });
+    return rules;
+  }
+
+  /**
+   * Загрузить правила пользователя (только чтение: файл правится вручную)
+   * @returns {Promise<RuleSet>}
+   */
+  loadUser() {
+    return this.readRules(this.userFile);
+  }
+
+  /**
+   * @private
+   * @param {string} filePath
+   * @returns {Promise<RuleSet>} Пустой набор, если файла нет или он повреждён
+   */
+  async readRules(filePath) {
+    const data = await this.readFile(filePath);
+    const rules = createRuleSet();
+    if (!data) return rules;
+
+    if (data.version !== PERMISSIONS.FORMAT_VERSION) {
+      this.debugLog(`Unsupported permissions format: ${data.version}`);
+      return rules;
+    }
+
+    for (const decision of RULE_DECISIONS) {
+      const list = Array.isArray(data[decision]) ? data[decision] : [];
+      for (const raw of list) {
+        const rule = normalizeRule(raw);
+        if (rule) {
+          rules[decision].push(rule);
+        } else {
+          this.debugLog(
+            `Skipping invalid ${decision} rule in ${filePath}:`,
+            JSON.stringify(raw)
+          );
+        }
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * @private
+   * @param {string} filePath
+   * @returns {Promise<Object|null>}
+   */
+  async readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.debugLog(`Failed to read ${filePath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Сохранить правила проекта (записи выполняются последовательно)
+   *
+   * Остальные поля файла и пропущенные при загрузке правила allow
+   * сохраняются, пустые ask и deny не записываются.
+   * @param {string} cwd
+   * @param {RuleSet} rules
+   * @returns {Promise<void>}
+   */
+  save(cwd, rules) {
+    const filePath = this.getFilePath(cwd);
+
+    const previous = this.writeQueue.get(filePath) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const existing = await this.readFile(filePath);
+        /** @type {PermissionsFile} */
+        const data = {
+          ...(existing?.version === PERMISSIONS.FORMAT_VERSION ? existing : {}),
+          version: PERMISSIONS.FORMAT_VERSION,
+        };
+        // Allow rules that load() ignored stay in the file as written
+        const ignored = (Array.isArray(data.allow) ? data.allow : []).filter(
+          (raw) => {
+            const rule = normalizeRule(raw);
+            return rule !== null && !isProjectAllowRule(rule);
+          }
+        );
+        for (const decision of RULE_DECISIONS) {
+          if (decision === "allow") {
+            data.allow = [
+              ...rules.allow.map((rule) => ({ ...rule })),
+              ...ignored,
+            ];
+          } else if (rules[decision].length) {
+            data[decision] = rules[decision].map((rule) => ({ ...rule }));
+          } else {
+            delete data[decision];
+          }
+        }
+        await this.writeFile(filePath, data);
+      });
+
+    this.writeQueue.set(filePath, next);
+    next
+      .finally(() => {
+        if (this.writeQueue.get(filePath) === next) {
+          this.writeQueue.delete(filePath);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * @private
+   * @param {string} filePath
+   * @param {PermissionsFile} data
+   * @returns {Promise<void>}
+   */
+  async writeFile(filePath, data) {
+    // Write to a temp file first so a crash never leaves a truncated file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tmpPath, filePath);
+    this.debugLog(`Saved permission rules to ${filePath}`);
+  }
+}
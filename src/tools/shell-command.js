@@ -0,0 +1,324 @@
+/**
+ * Shell Command - разбор командной строки shell на простые команды
+ */
+
+/**
+ * @typedef {Object} ShellToken
+ * @property {"word"|"op"} type
+ * @property {string} value - Слово без кавычек или оператор
+ */
+
+/**
+ * @typedef {Object} Redirect
+ * @property {string} op - Оператор перенаправления, например ">" или "2>"
+ * @property {string} target - Файл или дескриптор
+ */
+
+/**
+ * @typedef {Object} SimpleCommand
+ * @property {string[]} argv - Имя команды и аргументы (без присваиваний VAR=x)
+ * @property {Redirect[]} redirects
+ * @property {string[]} upstream - Имена команд, чей вывод приходит по конвейеру
+ */
+
+/**
+ * Операторы shell, от длинных к коротким
+ */
+const OPERATORS = [
+  "&>>",
+  "<<<",
+  "<<-",
+  "&&",
+  "||",
+  "|&",
+  ";;",
+  "&>",
+  ">>",
+  "<<",
+  ">&",
+  "<&",
+  ">|",
+  "<>",
+  "|",
+  "&",
+  ";",
+  "(",
+  ")",
+  "<",
+  ">",
+];
+
+/**
+ * Операторы, после которых идёт цель перенаправления
+ */
+const REDIRECTS = new Set([
+  "&>>",
+  "<<<",
+  "<<-",
+  "&>",
+  ">>",
+  "<<",
+  ">&",
+  "<&",
+  ">|",
+  "<>",
+  "<",
+  ">",
+]);
+
+/**
+ * Ключевые слова, за которыми сразу идёт команда
+ */
+const PREFIX_KEYWORDS = new Set([
+  "if",
+  "then",
+  "else",
+  "elif",
+  "do",
+  "while",
+  "until",
+  "!",
+  "{",
+]);
+
+/**
+ * Конструкции, которые сами ничего не запускают
+ */
+const SKIPPED_KEYWORDS = new Set([
+  "for",
+  "case",
+  "select",
+  "function",
+  "fi",
+  "done",
+  "esac",
+  "}",
+]);
+
+const ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*(?:\[[^\]]*\])?\+?=/;
+
+/**
+ * Найти конец $(...) или <(...) с учётом вложенных скобок и кавычек
+ * @param {string} input
+ * @param {number} start - Индекс сразу после открывающей скобки
+ * @returns {number} Индекс закрывающей скобки (или длина строки)
+ */
+function findClosingParen(input, start) {
+  let depth = 1;
+  let quote = null;
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === "\\") {
+      i++;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return i;
+    }
+  }
+  return input.length;
+}
+
+/**
+ * Найти закрывающую обратную кавычку
+ * @param {string} input
+ * @param {number} start - Индекс сразу после открывающей кавычки
+ * @returns {number}
+ */
+function findClosingBacktick(input, start) {
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === "\\") i++;
+    else if (input[i] === "`") return i;
+  }
+  return input.length;
+}
+
+/**
+ * Разбить командную строку на слова и операторы
+ *
+ * Кавычки и экранирование снимаются, тела heredoc пропускаются. Команды из
+ * подстановок $(...), `...`, <(...) и >(...) возвращаются отдельно: они
+ * выполняются так же, как основная команда.
+ * @param {string} input
+ * @returns {{tokens: ShellToken[], substitutions: string[]}}
+ */
+export function tokenizeShell(input) {
+  const tokens = [];
+  const substitutions = [];
+  const heredocs = [];
+  let word = null;
+  let expectHeredoc = null;
+
+  const append = (text) => {
+    word = (word ?? "") + text;
+  };
+  const pushWord = () => {
+    if (word === null) return;
+    if (expectHeredoc) {
+      heredocs.push({ delimiter: word, stripTabs: expectHeredoc === "<<-" });
+      expectHeredoc = null;
+    }
+    tokens.push({ type: "word", value: word });
+    word = null;
+  };
+  // "$(" at start, returns the index after the closing paren
+  const readSubstitution = (start, openLength) => {
+    const end = findClosingParen(input, start + openLength);
+    const body = input.slice(start + openLength, end);
+    // $(( ... )) is arithmetic, not a command
+    if (!(input[start] === "$" && body.startsWith("("))) {
+      substitutions.push(body);
+    }
+    append(input.slice(start, end + 1));
+    return end + 1;
+  };
+  const readBackticks = (start) => {
+    const end = findClosingBacktick(input, start + 1);
+    substitutions.push(input.slice(start + 1, end).replace(/\\(.)/g, "$1"));
+    append(input.slice(start, end + 1));
+    return end + 1;
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === " " || char === "\t" || char === "\r") {
+      pushWord();
+      i++;
+    } else if (char === "\n") {
+      pushWord();
+      tokens.push({ type: "op", value: ";" });
+      i++;
+      // Heredoc bodies are data, not commands
+      for (const { delimiter, stripTabs } of heredocs.splice(0)) {
+        while (i < input.length) {
+          const lineEnd = input.indexOf("\n", i);
+          const end = lineEnd === -1 ? input.length : lineEnd;
+          const line = input.slice(i, end);
+          i = end + 1;
+          if ((stripTabs ? line.replace(/^\t+/, "") : line) === delimiter) {
+            break;
+          }
+        }
+      }
+    } else if (char === "\\") {
+      if (input[i + 1] !== "\n") append(input[i + 1] ?? "");
+      i += 2;
+    } else if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      const stop = end === -1 ? input.length : end;
+      append(input.slice(i + 1, stop));
+      i = stop + 1;
+    } else if (char === '"') {
+      append("");
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === "\\" && '"\\$`\n'.includes(input[i + 1])) {
+          if (input[i + 1] !== "\n") append(input[i + 1]);
+          i += 2;
+        } else if (input[i] === "$" && input[i + 1] === "(") {
+          i = readSubstitution(i, 2);
+        } else if (input[i] === "`") {
+          i = readBackticks(i);
+        } else {
+          append(input[i++]);
+        }
+      }
+      i++;
+    } else if (char === "$" && input[i + 1] === "(") {
+      i = readSubstitution(i, 2);
+    } else if ((char === "<" || char === ">") && input[i + 1] === "(") {
+      pushWord();
+      i = readSubstitution(i, 2);
+      pushWord();
+    } else if (char === "`") {
+      i = readBackticks(i);
+    } else if (char === "#" && word === null) {
+      while (i < input.length && input[i] !== "\n") i++;
+    } else {
+      const op = OPERATORS.find((candidate) => input.startsWith(candidate, i));
+      if (!op) {
+        append(char);
+        i++;
+        continue;
+      }
+
+      // "2>file", "2>&1": the digits name a file descriptor
+      const fd =
+        word !== null && /^\d+$/.test(word) && /^[<>]/.test(op) ? word : "";
+      if (fd) word = null;
+      pushWord();
+      tokens.push({ type: "op", value: `${fd}${op}` });
+      if (op === "<<" || op === "<<-") expectHeredoc = op;
+      i += op.length;
+    }
+  }
+  pushWord();
+
+  return { tokens, substitutions };
+}
+
+/**
+ * Разобрать командную строку на простые команды
+ *
+ * Учитываются конвейеры, списки (&&, ||, ;, &), подоболочки, подстановки
+ * команд и перенаправления. Содержимое переменных не раскрывается.
+ * @param {string} command
+ * @returns {SimpleCommand[]}
+ */
+export function parseShellCommand(command) {
+  const { tokens, substitutions } = tokenizeShell(command);
+  const commands = [];
+  let pipeline = [];
+  let current = { words: [], redirects: [] };
+  let redirect = null;
+
+  const finish = () => {
+    const argv = [...current.words];
+    while (argv.length && ASSIGNMENT.test(argv[0])) argv.shift();
+    while (argv.length && PREFIX_KEYWORDS.has(argv[0])) argv.shift();
+
+    const skipped = argv.length > 0 && SKIPPED_KEYWORDS.has(argv[0]);
+    if (!skipped && (argv.length || current.redirects.length)) {
+      const simple = {
+        argv,
+        redirects: current.redirects,
+        upstream: pipeline.map((previous) => previous.argv[0]).filter(Boolean),
+      };
+      commands.push(simple);
+      pipeline.push(simple);
+    }
+    current = { words: [], redirects: [] };
+    redirect = null;
+  };
+
+  for (const token of tokens) {
+    if (token.type === "word") {
+      if (redirect) {
+        current.redirects.push({ op: redirect, target: token.value });
+        redirect = null;
+      } else {
+        current.words.push(token.value);
+      }
+    } else if (REDIRECTS.has(token.value.replace(/^\d+/, ""))) {
+      redirect = token.value;
+    } else if (token.value === "|" || token.value === "|&") {
+      finish();
+    } else {
+      finish();
+      pipeline = [];
+    }
+  }
+  finish();
+
+  for (const substitution of substitutions) {
+    commands.push(...parseShellCommand(substitution));
+  }
+  return commands;
+}
@@ -0,0 +1,177 @@
+/**
+ * Terminal Manager - терминалы ACP клиента, созданные по запросам KODA CLI
+ */
+
+import { SessionStateStore } from "../session/session-state.js";
+
+/**
+ * Terminal Manager - создаёт терминалы через ACP connection и хранит их
+ * handle по сессиям, чтобы освободить все терминалы при закрытии сессии
+ */
+export class TerminalManager {
+  /**
+   * @param {Object} connection - ACP connection
+   * @param {Object} [options={}]
+   * @param {boolean} [options.debug=false]
+   * @param {SessionStateStore} [options.sessionState] - Общее хранилище состояния
+   */
+  constructor(connection, options = {}) {
+    /** @type {Object} */
+    this.connection = connection;
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+
+    /** @type {SessionStateStore} */
+    this.sessionState = options.sessionState || new SessionStateStore();
+    this.sessionState.define(
+      "terminals",
+      () => new Map(),
+      (terminals, sessionId) => {
+        this.releaseTerminals(sessionId, [...terminals.values()]);
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[TerminalManager]", ...args);
+    }
+  }
+
+  /**
+   * Терминалы сессии
+   * @param {string} sessionId
+   * @returns {Map<string, Object>} terminalId -> TerminalHandle
+   */
+  getTerminals(sessionId) {
+    return this.sessionState.get(sessionId, "terminals");
+  }
+
+  /**
+   * Найти терминал сессии
+   * @private
+   * @param {string} sessionId
+   * @param {string} terminalId
+   * @returns {Object} TerminalHandle
+   * @throws {Error} If the terminal was not created in this session
+   */
+  getTerminal(sessionId, terminalId) {
+    const terminal = this.sessionState
+      .peek(sessionId, "terminals")
+      ?.get(terminalId);
+    if (!terminal) {
+      throw new Error(`Unknown terminal: ${terminalId}`);
+    }
+    return terminal;
+  }
+
+  /**
+   * Запустить команду в новом терминале (terminal/create)
+   * @param {string} sessionId
+   * @param {Object} params
+   * @param {string} params.command
+   * @param {string[]} [params.args]
+   * @param {Array<{name: string, value: string}>} [params.env]
+   * @param {string|null} [params.cwd]
+   * @param {number|null} [params.outputByteLimit]
+   * @returns {Promise<{terminalId: string}>}
+   */
+  async create(sessionId, params) {
+    const terminal = await this.connection.createTerminal({
+      sessionId,
+      command: params.command,
+      args: params.args,
+      env: params.env,
+      cwd: params.cwd,
+      outputByteLimit: params.outputByteLimit,
+    });
+
+    this.getTerminals(sessionId).set(terminal.id, terminal);
+    this.debugLog(`Created terminal ${terminal.id}: ${params.command}`);
+    return { terminalId: terminal.id };
+  }
+
+  /**
+   * Текущий вывод терминала (terminal/output)
+   * @param {string} sessionId
+   * @param {string} terminalId
+   * @returns {Promise<Object>} {output, truncated, exitStatus}
+   */
+  output(sessionId, terminalId) {
+    return this.getTerminal(sessionId, terminalId).currentOutput();
+  }
+
+  /**
+   * Дождаться завершения команды (terminal/wait_for_exit)
+   * @param {string} sessionId
+   * @param {string} terminalId
+   * @returns {Promise<Object>} {exitCode, signal}
+   */
+  waitForExit(sessionId, terminalId) {
+    return this.getTerminal(sessionId, terminalId).waitForExit();
+  }
+
+  /**
+   * Остановить команду, не освобождая терминал (terminal/kill)
+   * @param {string} sessionId
+   * @param {string} terminalId
+   * @returns {Promise<Object>}
+   */
+  kill(sessionId, terminalId) {
+    return this.getTerminal(sessionId, terminalId).kill();
+  }
+
+  /**
+   * Освободить терминал (terminal/release)
+   * @param {string} sessionId
+   * @param {string} terminalId
+   * @returns {Promise<Object>}
+   */
+  async release(sessionId, terminalId) {
+    const terminal = this.getTerminal(sessionId, terminalId);
+    this.getTerminals(sessionId).delete(terminalId);
+    return terminal.release();
+  }
+
+  /**
+   * Освободить все терминалы сессии (например, после перезапуска KODA CLI)
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  releaseAll(sessionId) {
+    const terminals = this.sessionState.peek(sessionId, "terminals");
+    if (!terminals?.size) return Promise.resolve();
+
+    const handles = [...terminals.values()];
+    terminals.clear();
+    return this.releaseTerminals(sessionId, handles);
+  }
+
+  /**
+   * @private
+   * @param {string} sessionId
+   * @param {Object[]} handles
+   * @returns {Promise<void>}
+   */
+  async releaseTerminals(sessionId, handles) {
+    await Promise.all(
+      handles.map((terminal) =>
+        terminal
+          .release()
+          .catch((error) =>
+            this.debugLog(
+              `Failed to release terminal ${terminal.id} of ${sessionId}:`,
+              error.message
+            )
+          )
+      )
+    );
+    if (handles.length) {
+      this.debugLog(`Released ${handles.length} terminals of ${sessionId}`);
+    }
+  }
+}
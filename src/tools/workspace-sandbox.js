@@ -0,0 +1,246 @@
+/**
+ * Workspace Sandbox - ограничение fs-запросов KODA CLI рабочей папкой
+ */
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { SANDBOX } from "../config/constants.js";
+import { SessionStateStore } from "../session/session-state.js";
+
+/**
+ * Запросы KODA CLI, обращающиеся к файлам
+ */
+const FS_METHODS = {
+  "fs/read_text_file": "read",
+  "fs/write_text_file": "write",
+};
+
+/**
+ * Реальный путь с раскрытыми символическими ссылками
+ *
+ * Для ещё не созданного файла раскрывается ближайший существующий каталог.
+ * @param {string} filePath - Абсолютный путь
+ * @returns {Promise<string|null>} null, если путь нельзя надёжно раскрыть
+ */
+export async function resolveRealPath(filePath) {
+  const missing = [];
+  let current = filePath;
+
+  for (;;) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing.reverse());
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+
+      const parent = path.dirname(current);
+      const name = path.basename(current);
+      // ".." after a missing directory can't be resolved the way the OS would
+      if (parent === current || name === "..") return null;
+
+      if (name !== ".") missing.push(name);
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Лежит ли путь внутри каталога
+ * @param {string} filePath
+ * @param {string} root
+ * @returns {boolean}
+ */
+function isWithin(filePath, root) {
+  const relative = path.relative(root, filePath);
+  return (
+    relative === "" ||
+    (!relative.startsWith(`..${path.sep}`) &&
+      relative !== ".." &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Workspace Sandbox - пропускает чтение и запись только внутри cwd сессии
+ * и дополнительных каталогов, остальное запрещает или спрашивает у пользователя
+ */
+export class WorkspaceSandbox {
+  /**
+   * @param {Object} connection - ACP connection
+   * @param {Object} [options={}]
+   * @param {string[]} [options.roots=[]] - Дополнительные разрешённые каталоги
+   * @param {"ask"|"deny"} [options.policy="ask"] - Доступ вне разрешённых каталогов
+   * @param {SessionStateStore} [options.sessionState] - Общее хранилище состояния
+   * @param {boolean} [options.debug=false]
+   */
+  constructor(connection, options = {}) {
+    /** @type {Object} */
+    this.connection = connection;
+
+    /** @type {string[]} */
+    this.roots = options.roots || [];
+
+    /** @type {string} */
+    this.policy = options.policy || SANDBOX.DEFAULT_POLICY;
+
+    /** @type {SessionStateStore} */
+    this.sessionState = options.sessionState || new SessionStateStore();
+    // Real paths the user allowed "always" in the session
+    this.sessionState.define("sandbox", () => new Set());
+
+    /** @type {boolean} */
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * @private
+   */
+  debugLog(...args) {
+    if (this.debug) {
+      console.error("[Sandbox]", ...args);
+    }
+  }
+
+  /**
+   * Проверить, лежит ли путь в разрешённых каталогах
+   * @param {string} filePath - Реальный путь
+   * @param {string} cwd - Рабочая папка сессии
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(filePath, cwd) {
+    for (const root of [cwd, ...this.roots]) {
+      const realRoot = await resolveRealPath(path.resolve(root));
+      if (realRoot && isWithin(filePath, realRoot)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Доступен ли файл без вопроса пользователю: лежит в разрешённых каталогах
+   * или разрешён "всегда" в сессии
+   * @param {string} sessionId
+   * @param {string} filePath - Абсолютный путь
+   * @param {string} cwd - Рабочая папка сессии
+   * @returns {Promise<boolean>}
+   */
+  async canAccess(sessionId, filePath, cwd) {
+    let realPath = null;
+    try {
+      realPath = await resolveRealPath(filePath);
+    } catch (error) {
+      this.debugLog(`Could not resolve ${filePath}: ${error.message}`);
+    }
+    if (!realPath || !cwd) return false;
+
+    return (
+      (await this.isAllowed(realPath, cwd)) ||
+      this.sessionState.get(sessionId, "sandbox").has(realPath)
+    );
+  }
+
+  /**
+   * Проверить fs-запрос KODA CLI перед выполнением
+   * @param {string} sessionId
+   * @param {string} method - ACP метод
+   * @param {Object} params
+   * @param {Object} context
+   * @param {string} context.cwd - Рабочая папка сессии
+   * @param {string} [context.mode] - Режим сессии
+   * @returns {Promise<{allowed: boolean, path?: string, reason?: string}>}
+   *   path - проверенный реальный путь: запрос нужно выполнять с ним, чтобы
+   *   подменённая после проверки символическая ссылка не увела его наружу
+   */
+  async checkRequest(sessionId, method, params, context) {
+    const access = FS_METHODS[method];
+    if (!access) {
+      return { allowed: true };
+    }
+
+    const filePath = params?.path || "";
+    // No path.resolve(): ".." must be applied after symlinks, as the OS does
+    const requested = path.isAbsolute(filePath)
+      ? filePath
+      : `${context.cwd}${path.sep}${filePath}`;
+    let realPath = null;
+    try {
+      realPath = await resolveRealPath(requested);
+    } catch (error) {
+      this.debugLog(`Could not resolve ${requested}: ${error.message}`);
+    }
+
+    const allowed = { allowed: true, path: realPath };
+    if (realPath && (await this.isAllowed(realPath, context.cwd))) {
+      return allowed;
+    }
+
+    const shown = realPath || requested;
+    const denied = {
+      allowed: false,
+      reason: `Blocked: ${shown} is outside the workspace (${context.cwd}). Work with files inside the project or ask the user to allow this path.`,
+    };
+
+    if (!realPath || this.policy === "deny") {
+      this.debugLog(`Denied ${access} outside the workspace: ${shown}`);
+      return denied;
+    }
+
+    const alwaysAllowed = this.sessionState.get(sessionId, "sandbox");
+    if (alwaysAllowed.has(realPath) || context.mode === "bypass") {
+      return allowed;
+    }
+
+    const optionId = await this.askUser(sessionId, access, realPath);
+    if (optionId === "allow_always") {
+      alwaysAllowed.add(realPath);
+    }
+    if (optionId === "allow" || optionId === "allow_always") {
+      this.debugLog(
+        `User allowed ${access} outside the workspace: ${realPath}`
+      );
+      return allowed;
+    }
+    return denied;
+  }
+
+  /**
+   * Запросить у пользователя доступ к файлу вне рабочей папки
+   * @private
+   * @param {string} sessionId
+   * @param {"read"|"write"} access
+   * @param {string} filePath
+   * @returns {Promise<string|null>} Выбранный optionId
+   */
+  async askUser(sessionId, access, filePath) {
+    const action = access === "read" ? "Чтение" : "Запись";
+
+    try {
+      const response = await this.connection.requestPermission({
+        sessionId,
+        toolCall: {
+          toolCallId: `sandbox_${Date.now()}`,
+          title: `${action} вне рабочей папки: ${filePath}`,
+          kind: access === "read" ? "read" : "edit",
+          status: "pending",
+          locations: [{ path: filePath }],
+        },
+        options: [
+          { optionId: "allow", name: "Allow / Разрешить", kind: "allow_once" },
+          {
+            optionId: "allow_always",
+            name: "Allow Always / Разрешать всегда",
+            kind: "allow_always",
+          },
+          {
+            optionId: "reject",
+            name: "Reject / Отклонить",
+            kind: "reject_once",
+          },
+        ],
+      });
+      return response.outcome?.optionId || null;
+    } catch (error) {
+      this.debugLog("Permission request failed:", error.message);
+      return null;
+    }
+  }
+}
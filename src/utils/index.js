@@ -2,6 +2,16 @@
  * Utility Functions
  */
 
+import os from "node:os";
+import path from "node:path";
+import {
+  COMMAND_RISK,
+  CONTEXT_TRANSFER,
+  PROFESSIONAL,
+  RECOVERY,
+  SANDBOX,
+} from "../config/constants.js";
+
 /**
  * Преобразовать значение в boolean
  * @param {any} value
@@ -18,6 +28,103 @@ export function parseBool(value, fallback = false) {
   return fallback;
 }
 
+/**
+ * Преобразовать значение в неотрицательное целое
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+export function parseCount(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Выбрать стратегию переноса контекста
+ * @param {any} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+function parseContextTransfer(value, fallback) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return CONTEXT_TRANSFER.STRATEGIES.includes(normalized)
+    ? normalized
+    : fallback;
+}
+
+/**
+ * Выбрать политику доступа вне рабочей папки
+ * @param {any} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+function parseOutsideAccess(value, fallback) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return SANDBOX.POLICIES.includes(normalized) ? normalized : fallback;
+}
+
+/**
+ * Разобрать политики категорий риска команд, например "network=allow,system=deny"
+ * @param {string} raw
+ * @param {Object<string, string>} [base={}] - Политики, заданные ранее
+ * @returns {Object<string, string>} Неизвестные категории и политики пропускаются
+ */
+export function parseCommandPolicy(raw, base = {}) {
+  const categories = Object.values(COMMAND_RISK.CATEGORIES);
+  const policy = { ...base };
+  for (const entry of String(raw || "").split(",")) {
+    const [category, value] = entry.split("=").map((part) =>
+      String(part || "")
+        .trim()
+        .toLowerCase()
+    );
+    if (
+      categories.includes(category) &&
+      COMMAND_RISK.POLICIES.includes(value)
+    ) {
+      policy[category] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Разобрать список каталогов (разделитель - path.delimiter), раскрыв "~"
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function parseRootList(raw) {
+  return String(raw || "")
+    .split(path.delimiter)
+    .map((root) => root.trim())
+    .filter(Boolean)
+    .map((root) =>
+      root === "~" || root.startsWith(`~${path.sep}`)
+        ? path.join(os.homedir(), root.slice(1))
+        : root
+    );
+}
+
+/**
+ * Ограничить ожидание промиса по времени
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} message - Текст ошибки по таймауту
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Разобрать список аргументов
  * @param {string} raw
@@ -51,6 +158,22 @@ export function parseServerArgs(argv, env = process.env) {
   let defaultMode = env.KODA_DEFAULT_MODE || "default";
   let defaultModel = env.KODA_DEFAULT_MODEL || "";
   let debug = parseBool(env.KODA_DEBUG, false);
+  let maxRestarts = parseCount(env.KODA_MAX_RESTARTS, RECOVERY.MAX_ATTEMPTS);
+  let contextTransfer = parseContextTransfer(
+    env.KODA_CONTEXT_TRANSFER,
+    CONTEXT_TRANSFER.DEFAULT_STRATEGY
+  );
+  let stepTimeout = parseCount(
+    env.KODA_STEP_TIMEOUT,
+    PROFESSIONAL.STEP_TIMEOUT_SEC
+  );
+  let stepCommits = parseBool(env.KODA_STEP_COMMITS, false);
+  let allowedRoots = parseRootList(env.KODA_ALLOWED_ROOTS);
+  let outsideAccess = parseOutsideAccess(
+    env.KODA_OUTSIDE_ACCESS,
+    SANDBOX.DEFAULT_POLICY
+  );
+  let commandPolicy = parseCommandPolicy(env.KODA_COMMAND_POLICY);
 
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
@@ -75,6 +198,40 @@ export function parseServerArgs(argv, env = process.env) {
       i++;
       continue;
     }
+    if (arg === "--max-restarts" && argv[i + 1]) {
+      maxRestarts = parseCount(argv[i + 1], maxRestarts);
+      i++;
+      continue;
+    }
+    if (arg === "--context-transfer" && argv[i + 1]) {
+      contextTransfer = parseContextTransfer(argv[i + 1], contextTransfer);
+      i++;
+      continue;
+    }
+    if (arg === "--step-timeout" && argv[i + 1]) {
+      stepTimeout = parseCount(argv[i + 1], stepTimeout);
+      i++;
+      continue;
+    }
+    if (arg === "--step-commits") {
+      stepCommits = true;
+      continue;
+    }
+    if (arg === "--allow-root" && argv[i + 1]) {
+      allowedRoots = [...allowedRoots, ...parseRootList(argv[i + 1])];
+      i++;
+      continue;
+    }
+    if (arg === "--outside-access" && argv[i + 1]) {
+      outsideAccess = parseOutsideAccess(argv[i + 1], outsideAccess);
+      i++;
+      continue;
+    }
+    if (arg === "--command-policy" && argv[i + 1]) {
+      commandPolicy = parseCommandPolicy(argv[i + 1], commandPolicy);
+      i++;
+      continue;
+    }
     if (arg === "--debug") {
       debug = true;
       continue;
@@ -90,6 +247,13 @@ Options:
   --koda-args <args>      Extra args as JSON array or space-separated string
   --default-mode <mode>   Default session mode: default, auto_edit, plan, yolo, bypass
   --default-model <model> Default model to use
+  --max-restarts <n>      Restart attempts after a KODA CLI crash (default: ${RECOVERY.MAX_ATTEMPTS})
+  --context-transfer <s>  Context kept on model switch: replay, summary, none (default: ${CONTEXT_TRANSFER.DEFAULT_STRATEGY})
+  --step-timeout <sec>    Autopilot time limit per plan step, 0 to disable (default: ${PROFESSIONAL.STEP_TIMEOUT_SEC})
+  --step-commits          Commit each completed Professional plan step to git
+  --allow-root <dir>      Extra directory KODA may read and write (repeatable)
+  --outside-access <p>    Files outside the workspace: ask, deny (default: ${SANDBOX.DEFAULT_POLICY})
+  --command-policy <c=p>  Policy of a command risk category: allow, ask, deny (repeatable)
   --debug                 Enable debug output
 
 Environment Variables:
@@ -97,6 +261,13 @@ Environment Variables:
   KODA_CLI_ARGS           Extra arguments for KODA CLI
   KODA_DEFAULT_MODE       Default session mode
   KODA_DEFAULT_MODEL      Default model
+  KODA_MAX_RESTARTS       Restart attempts after a KODA CLI crash
+  KODA_CONTEXT_TRANSFER   Context kept on model switch: replay, summary, none
+  KODA_STEP_TIMEOUT       Autopilot time limit per plan step in seconds
+  KODA_STEP_COMMITS       Commit each completed plan step to git (1/true)
+  KODA_ALLOWED_ROOTS      Extra directories for KODA, separated by "${path.delimiter}"
+  KODA_OUTSIDE_ACCESS     Files outside the workspace: ask, deny
+  KODA_COMMAND_POLICY     Command risk policies, e.g. "network=allow,system=deny"
   KODA_DEBUG              Enable debug mode (1/true)
 `);
       process.exit(0);
@@ -108,6 +279,13 @@ Environment Variables:
     extraArgs,
     defaultMode,
     defaultModel,
+    maxRestarts,
+    contextTransfer,
+    stepTimeoutMs: stepTimeout * 1000,
+    stepCommits,
+    allowedRoots,
+    outsideAccess,
+    commandPolicy,
     debug,
   };
 }